@@ -5,6 +5,8 @@ import { SocketProvider } from './contexts/SocketContext';
 import Layout from './components/Layout';
 import LoginPage from './pages/auth/LoginPage';
 import RegisterPage from './pages/auth/RegisterPage';
+import OAuthCallbackPage from './pages/auth/OAuthCallbackPage';
+import SecureAccountPage from './pages/auth/SecureAccountPage';
 import HomePage from './pages/HomePage';
 import QuestionsPage from './pages/QuestionsPage';
 import QuestionDetailPage from './pages/QuestionDetailPage';
@@ -31,6 +33,8 @@ const AppRoutes = () => {
     <Routes>
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
+      <Route path="/secure-account" element={<SecureAccountPage />} />
       <Route path="/" element={
         <Layout>
           <HomePage />
@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services';
+import { Button } from './ui';
+
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || !user || user.isEmailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await authService.resendVerification();
+      toast.success('Verification email sent. Please check your inbox.');
+    } catch {
+      // Errors are shown by the API interceptor
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-yellow-800">
+          Please verify your email address ({user.email}) to post and vote.
+        </p>
+        <Button variant="outline" size="sm" loading={sending} onClick={handleResend}>
+          Resend verification email
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -1,10 +1,12 @@
 import Header from './Header';
 import Footer from './Footer';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = ({ children }) => {
   return (
     <div className="min-h-screen flex flex-col bg-gray-50">
       <Header />
+      <EmailVerificationBanner />
       <main className="flex-1">
         {children}
       </main>
@@ -68,23 +68,60 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'SET_LOADING', payload: false });
   }, []);
 
+  const completeLogin = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { token, user },
+    });
+
+    toast.success('Login successful!');
+  };
+
   const login = async (credentials) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       const response = await authService.login(credentials);
       
+      if (response.success && response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
       if (response.success) {
-        const { token, user } = response.data;
-        
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        
-        dispatch({
-          type: 'LOGIN_SUCCESS',
-          payload: { token, user },
-        });
-        
-        toast.success('Login successful!');
+        completeLogin(response.data);
+        return { success: true };
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
+      toast.error(message);
+      return { success: false, message };
+    } finally {
+      dispatch({ type: 'SET_LOADING', payload: false });
+    }
+  };
+
+  const loginWithOAuthCode = async (code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      const response = await authService.exchangeOAuthCode(code);
+
+      if (response.success && response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
+      if (response.success) {
+        completeLogin(response.data);
         return { success: true };
       }
     } catch (error) {
@@ -96,6 +133,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      const response = await authService.verifyTwoFactor(challengeToken, code);
+
+      if (response.success) {
+        completeLogin(response.data);
+        return { success: true };
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, message };
+    } finally {
+      dispatch({ type: 'SET_LOADING', payload: false });
+    }
+  };
+
   const register = async (userData) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
@@ -121,6 +176,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
@@ -136,6 +192,8 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    loginWithOAuthCode,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
@@ -1,9 +1,15 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { questionService, tagService } from '../services';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { questionService, tagService, draftService } from '../services';
 import { Card, Button, Input, Textarea } from '../components/ui';
 import { useAuth } from '../contexts/AuthContext';
 
+const DRAFT_STATUS_LABELS = {
+  saving: 'Saving draft...',
+  saved: 'Draft saved',
+  restored: 'Draft restored'
+};
+
 const AskQuestionPage = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
@@ -13,8 +19,81 @@ const AskQuestionPage = () => {
     tags: []
   });
   const [tagInput, setTagInput] = useState('');
+  const [answerOwnQuestion, setAnswerOwnQuestion] = useState(false);
+  const [selfAnswer, setSelfAnswer] = useState('');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [similarQuestions, setSimilarQuestions] = useState([]);
+  const [draftLoaded, setDraftLoaded] = useState(false);
+  const [draftStatus, setDraftStatus] = useState('');
+  const lastSavedDraft = useRef(JSON.stringify(formData));
+
+  // Restore the draft saved from an earlier visit
+  useEffect(() => {
+    const loadDraft = async () => {
+      try {
+        const response = await draftService.getQuestionDraft();
+        if (response.success && response.data) {
+          const draft = {
+            title: response.data.title || '',
+            description: response.data.description || '',
+            tags: response.data.tags || []
+          };
+          lastSavedDraft.current = JSON.stringify(draft);
+          setFormData(draft);
+          setDraftStatus('restored');
+        }
+      } catch (error) {
+        console.error('Error loading draft:', error);
+      } finally {
+        setDraftLoaded(true);
+      }
+    };
+
+    loadDraft();
+  }, []);
+
+  // Autosave the draft once the user stops typing
+  useEffect(() => {
+    const serialized = JSON.stringify(formData);
+    if (!draftLoaded || loading || serialized === lastSavedDraft.current) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        setDraftStatus('saving');
+        await draftService.saveQuestionDraft(formData);
+        lastSavedDraft.current = serialized;
+        setDraftStatus('saved');
+      } catch (error) {
+        console.error('Error saving draft:', error);
+        setDraftStatus('');
+      }
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [formData, draftLoaded, loading]);
+
+  // Look for existing questions once the user stops typing the title
+  useEffect(() => {
+    const title = formData.title.trim();
+    if (title.length < 10) {
+      setSimilarQuestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await questionService.getPossibleDuplicates(title, formData.description.slice(0, 2000));
+        if (response.success) {
+          setSimilarQuestions(response.data);
+        }
+      } catch (error) {
+        console.error('Error finding similar questions:', error);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [formData.title, formData.description]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,7 +105,8 @@ const AskQuestionPage = () => {
       const response = await questionService.create({
         title: formData.title,
         description: formData.description,
-        tags: formData.tags
+        tags: formData.tags,
+        ...(answerOwnQuestion && { answer: selfAnswer })
       });
 
       if (response.success) {
@@ -58,10 +138,26 @@ const AskQuestionPage = () => {
       newErrors.tags = 'At least one tag is required';
     }
 
+    if (answerOwnQuestion && selfAnswer.trim().length < 30) {
+      newErrors.selfAnswer = 'Answer must be at least 30 characters';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const discardDraft = async () => {
+    try {
+      await draftService.deleteQuestionDraft();
+      const emptyForm = { title: '', description: '', tags: [] };
+      lastSavedDraft.current = JSON.stringify(emptyForm);
+      setFormData(emptyForm);
+      setDraftStatus('');
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+    }
+  };
+
   const addTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
       setFormData(prev => ({
@@ -100,6 +196,31 @@ const AskQuestionPage = () => {
               error={errors.title}
             />
 
+            {/* Similar questions */}
+            {similarQuestions.length > 0 && (
+              <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+                <p className="text-sm font-medium text-yellow-900 mb-2">
+                  Similar questions have already been asked. Check if one of them answers yours:
+                </p>
+                <ul className="space-y-1 text-sm">
+                  {similarQuestions.map((question) => (
+                    <li key={question._id}>
+                      <Link
+                        to={`/questions/${question.duplicateOf || question._id}`}
+                        target="_blank"
+                        className="text-primary-600 hover:text-primary-800"
+                      >
+                        {question.title}
+                      </Link>
+                      <span className="text-gray-500 ml-2">
+                        {question.answerCount} answer{question.answerCount !== 1 ? 's' : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Description */}
             <Textarea
               label="Description"
@@ -155,6 +276,28 @@ const AskQuestionPage = () => {
           </div>
         </Card>
 
+        {/* Self-answer */}
+        <Card className="p-6 mb-6">
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={answerOwnQuestion}
+              onChange={(e) => setAnswerOwnQuestion(e.target.checked)}
+            />
+            Answer your own question – share what you've learned Q&A-style
+          </label>
+          {answerOwnQuestion && (
+            <Textarea
+              className="mt-4"
+              placeholder="Write your answer here..."
+              rows={8}
+              value={selfAnswer}
+              onChange={(e) => setSelfAnswer(e.target.value)}
+              error={errors.selfAnswer}
+            />
+          )}
+        </Card>
+
         {/* Tips */}
         <Card className="p-6 mb-6 bg-blue-50 border-blue-200">
           <h3 className="text-lg font-semibold text-blue-900 mb-3">Tips for a great question:</h3>
@@ -183,6 +326,20 @@ const AskQuestionPage = () => {
           >
             Cancel
           </Button>
+          {(draftStatus === 'saved' || draftStatus === 'restored') && (
+            <Button
+              type="button"
+              variant="ghost"
+              onClick={discardDraft}
+            >
+              Discard Draft
+            </Button>
+          )}
+          {draftStatus && (
+            <span className="self-center text-sm text-gray-500">
+              {DRAFT_STATUS_LABELS[draftStatus]}
+            </span>
+          )}
         </div>
       </form>
     </div>
@@ -1,35 +1,101 @@
-import { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { questionService, answerService, voteService } from '../services';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { questionService, answerService, voteService, draftService } from '../services';
 import { Card, Button, Avatar, Badge, LoadingSpinner } from '../components/ui';
 import { formatDate, formatNumber } from '../utils/helpers';
 import { useAuth } from '../contexts/AuthContext';
 
+// Users who wrote or edited a community wiki post
+const ContributorList = ({ contributors }) => (
+  <div className="mt-4 pt-3 border-t border-gray-100 text-sm text-gray-500">
+    <Badge variant="success" className="mr-2">Community wiki</Badge>
+    {contributors?.length > 0 && (
+      <span>
+        Contributors:{' '}
+        {contributors.map(({ user: contributor, contributions }, index) => (
+          <span key={contributor?._id || index}>
+            {index > 0 && ', '}
+            <strong>{contributor?.username || 'deleted user'}</strong> ({contributions})
+          </span>
+        ))}
+      </span>
+    )}
+  </div>
+);
+
 const QuestionDetailPage = () => {
   const { id } = useParams();
   const { isAuthenticated, user } = useAuth();
   const [question, setQuestion] = useState(null);
   const [answers, setAnswers] = useState([]);
+  const [answerSort, setAnswerSort] = useState('votes');
+  const [answersPagination, setAnswersPagination] = useState(null);
+  const [loadingMoreAnswers, setLoadingMoreAnswers] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [answerContent, setAnswerContent] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [draftLoaded, setDraftLoaded] = useState(false);
+  const [draftStatus, setDraftStatus] = useState('');
+  const lastSavedDraft = useRef('');
 
   useEffect(() => {
     fetchQuestionDetails();
   }, [id]);
 
+  // Restore the answer draft saved for this question
+  useEffect(() => {
+    setAnswerContent('');
+    setDraftStatus('');
+    setDraftLoaded(false);
+    lastSavedDraft.current = '';
+    if (!isAuthenticated) return;
+
+    const loadDraft = async () => {
+      try {
+        const response = await draftService.getAnswerDraft(id);
+        if (response.success && response.data) {
+          lastSavedDraft.current = response.data.content;
+          setAnswerContent(response.data.content);
+          setDraftStatus('restored');
+        }
+      } catch (err) {
+        console.error('Error loading draft:', err);
+      } finally {
+        setDraftLoaded(true);
+      }
+    };
+
+    loadDraft();
+  }, [id, isAuthenticated]);
+
+  // Autosave the answer draft once the user stops typing
+  useEffect(() => {
+    if (!draftLoaded || posting || answerContent === lastSavedDraft.current) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        await draftService.saveAnswerDraft(id, answerContent);
+        lastSavedDraft.current = answerContent;
+        setDraftStatus('saved');
+      } catch (err) {
+        console.error('Error saving draft:', err);
+      }
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [id, answerContent, draftLoaded, posting]);
+
   const fetchQuestionDetails = async () => {
     try {
       setLoading(true);
-      const [questionResponse, answersResponse] = await Promise.all([
-        questionService.getById(id),
-        answerService.getByQuestion(id)
-      ]);
+      // The question comes with the first page of its answers
+      const response = await questionService.getById(id, { answerSort });
 
-      if (questionResponse.success) {
-        setQuestion(questionResponse.data);
-      }
-      if (answersResponse.success) {
-        setAnswers(answersResponse.data.answers);
+      if (response.success) {
+        setQuestion(response.data);
+        setAnswers(response.data.answers);
+        setAnswersPagination(response.data.answersPagination);
       }
     } catch (err) {
       setError(err.message);
@@ -38,6 +104,27 @@ const QuestionDetailPage = () => {
     }
   };
 
+  const fetchAnswers = async (sort, cursor) => {
+    try {
+      setLoadingMoreAnswers(true);
+      const response = await answerService.getByQuestion(id, { sort, cursor });
+
+      if (response.success) {
+        setAnswers(prev => (cursor ? [...prev, ...response.data] : response.data));
+        setAnswersPagination(response.meta.pagination);
+      }
+    } catch (err) {
+      console.error('Error loading answers:', err);
+    } finally {
+      setLoadingMoreAnswers(false);
+    }
+  };
+
+  const handleAnswerSortChange = (sort) => {
+    setAnswerSort(sort);
+    fetchAnswers(sort);
+  };
+
   const handleVote = async (targetId, targetType, voteType) => {
     if (!isAuthenticated) return;
     
@@ -50,6 +137,54 @@ const QuestionDetailPage = () => {
     }
   };
 
+  const handleToggleFollow = async () => {
+    try {
+      const response = question.isFollowing
+        ? await questionService.unfollow(id)
+        : await questionService.follow(id);
+      if (response.success) {
+        setQuestion((current) => ({ ...current, isFollowing: response.data.following }));
+      }
+    } catch (err) {
+      console.error('Follow error:', err);
+    }
+  };
+
+  const handleToggleAlsoHelpful = async (answer) => {
+    try {
+      const response = answer.isAlsoHelpful
+        ? await answerService.unmarkAlsoHelpful(answer._id)
+        : await answerService.markAlsoHelpful(answer._id);
+      if (response.success) {
+        setAnswers((current) => current.map((item) => (
+          item._id === answer._id ? { ...item, isAlsoHelpful: response.data.isAlsoHelpful } : item
+        )));
+      }
+    } catch (err) {
+      console.error('Also helpful error:', err);
+    }
+  };
+
+  const handlePostAnswer = async () => {
+    if (!answerContent.trim()) return;
+
+    try {
+      setPosting(true);
+      const response = await answerService.create(id, { content: answerContent });
+      if (response.success) {
+        // Posting the answer discards its draft on the server
+        lastSavedDraft.current = '';
+        setAnswerContent('');
+        setDraftStatus('');
+        fetchQuestionDetails();
+      }
+    } catch (err) {
+      console.error('Post answer error:', err);
+    } finally {
+      setPosting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center py-12">
@@ -70,6 +205,21 @@ const QuestionDetailPage = () => {
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
+      {/* Closed as duplicate */}
+      {question.duplicateOf && (
+        <Card className="p-4 mb-6 bg-yellow-50 border-yellow-200">
+          <p className="text-sm text-yellow-900">
+            This question already has an answer here:{' '}
+            <Link
+              to={`/questions/${question.duplicateOf._id}`}
+              className="font-medium text-primary-600 hover:text-primary-800"
+            >
+              {question.duplicateOf.title}
+            </Link>
+          </p>
+        </Card>
+      )}
+
       {/* Question */}
       <Card className="p-6 mb-6">
         <div className="flex gap-4">
@@ -117,17 +267,55 @@ const QuestionDetailPage = () => {
               <div className="flex items-center space-x-4">
                 <span>{formatNumber(question.views)} views</span>
                 <span>{formatNumber(question.answerCount)} answers</span>
+                {isAuthenticated && (
+                  <Button variant="outline" size="sm" onClick={handleToggleFollow}>
+                    {question.isFollowing ? 'Unfollow' : 'Follow'}
+                  </Button>
+                )}
               </div>
             </div>
+
+            {question.isCommunityWiki && (
+              <ContributorList contributors={question.contributors} />
+            )}
           </div>
         </div>
       </Card>
 
+      {/* Linked duplicates */}
+      {question.linkedDuplicates?.length > 0 && (
+        <Card className="p-4 mb-6">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">Linked duplicates</h3>
+          <ul className="space-y-1 text-sm">
+            {question.linkedDuplicates.map((duplicate) => (
+              <li key={duplicate._id}>
+                <Link to={`/questions/${duplicate._id}`} className="text-primary-600 hover:text-primary-800">
+                  {duplicate.title}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
       {/* Answers */}
       <div className="space-y-4">
-        <h2 className="text-xl font-bold text-gray-900">
-          {answers?.length || 0} Answer{(answers?.length || 0) !== 1 ? 's' : ''}
-        </h2>
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold text-gray-900">
+            {answersPagination?.total || 0} Answer{answersPagination?.total !== 1 ? 's' : ''}
+          </h2>
+          <select
+            value={answerSort}
+            onChange={(e) => handleAnswerSortChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="votes">Highest score</option>
+            <option value="trending">Trending</option>
+            <option value="active">Recently modified</option>
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+          </select>
+        </div>
         
         {answers?.map((answer) => (
           <Card key={answer._id} className="p-6">
@@ -165,11 +353,36 @@ const QuestionDetailPage = () => {
                   <span>
                     answered by <strong>{answer.author?.username}</strong> {formatDate(answer.createdAt)}
                   </span>
+                  {answer.isSelfAnswer && <Badge variant="primary">Self-answer</Badge>}
+                  {answer.isAlsoHelpful && <Badge variant="success">Also helpful</Badge>}
+                  {question.communityAcceptedAnswer === answer._id && (
+                    <Badge variant="success">Community accepted</Badge>
+                  )}
+                  {user?._id === question.author?._id && !answer.isAccepted && (
+                    <Button variant="ghost" size="sm" onClick={() => handleToggleAlsoHelpful(answer)}>
+                      {answer.isAlsoHelpful ? 'Unmark also helpful' : 'Mark as also helpful'}
+                    </Button>
+                  )}
                 </div>
+
+                {answer.isCommunityWiki && (
+                  <ContributorList contributors={answer.contributors} />
+                )}
               </div>
             </div>
           </Card>
         ))}
+
+        {answersPagination?.hasNext && (
+          <Button
+            variant="outline"
+            onClick={() => fetchAnswers(answerSort, answersPagination.nextCursor)}
+            loading={loadingMoreAnswers}
+            disabled={loadingMoreAnswers}
+          >
+            Load more answers
+          </Button>
+        )}
       </div>
 
       {/* Answer form (if authenticated) */}
@@ -180,8 +393,23 @@ const QuestionDetailPage = () => {
             className="w-full p-3 border border-gray-300 rounded-lg mb-4"
             rows="6"
             placeholder="Write your answer here..."
+            value={answerContent}
+            onChange={(e) => setAnswerContent(e.target.value)}
           />
-          <Button>Post Your Answer</Button>
+          <div className="flex items-center gap-4">
+            <Button
+              onClick={handlePostAnswer}
+              loading={posting}
+              disabled={posting || !answerContent.trim()}
+            >
+              Post Your Answer
+            </Button>
+            {draftStatus && (
+              <span className="text-sm text-gray-500">
+                {draftStatus === 'restored' ? 'Draft restored' : 'Draft saved'}
+              </span>
+            )}
+          </div>
         </Card>
       )}
     </div>
@@ -44,6 +44,7 @@ const QuestionsPage = () => {
             <option value="oldest">Oldest</option>
             <option value="votes">Most Votes</option>
             <option value="views">Most Views</option>
+            <option value="featured">Featured</option>
           </select>
         </div>
       </Card>
@@ -64,12 +65,17 @@ const QuestionsPage = () => {
                   <div>{formatNumber(question.views)} views</div>
                 </div>
                 <div className="flex-1">
-                  <Link 
-                    to={`/questions/${question._id}`}
-                    className="text-lg font-medium text-primary-600 hover:text-primary-700 mb-2 block"
-                  >
-                    {question.title}
-                  </Link>
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <Link 
+                      to={`/questions/${question._id}`}
+                      className="text-lg font-medium text-primary-600 hover:text-primary-700 block"
+                    >
+                      {question.title}
+                    </Link>
+                    {question.bountyAmount > 0 && (
+                      <Badge variant="warning" className="shrink-0">+{question.bountyAmount} bounty</Badge>
+                    )}
+                  </div>
                   <p className="text-gray-600 mb-3 line-clamp-2">{question.description}</p>
                   <div className="flex flex-wrap gap-2 mb-3">
                     {question.tags?.map((tag) => (
@@ -1,8 +1,9 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button, Input, Card } from '../../components/ui';
 import { validateEmail, validatePassword } from '../../utils/helpers';
+import { authService } from '../../services';
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({
@@ -10,12 +11,21 @@ const LoginPage = () => {
     password: '',
   });
   const [errors, setErrors] = useState({});
-  const { login, loading } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [oauthProviders, setOAuthProviders] = useState([]);
+  const { login, verifyTwoFactor, loading } = useAuth();
 
   const from = location.state?.from?.pathname || '/';
 
+  useEffect(() => {
+    authService.getOAuthProviders()
+      .then((response) => setOAuthProviders(response.data || []))
+      .catch(() => setOAuthProviders([]));
+  }, []);
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -39,6 +49,22 @@ const LoginPage = () => {
     if (!validateForm()) return;
 
     const result = await login(formData);
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
+      navigate(from, { replace: true });
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ code: 'Authentication code is required' });
+      return;
+    }
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
     if (result.success) {
       navigate(from, { replace: true });
     }
@@ -76,6 +102,28 @@ const LoginPage = () => {
         </div>
 
         <Card className="p-8">
+          {challengeToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <Input
+                label="Authentication code"
+                name="code"
+                autoComplete="one-time-code"
+                placeholder="6-digit code or recovery code"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                error={errors.code}
+              />
+
+              <Button
+                type="submit"
+                className="w-full"
+                loading={loading}
+                disabled={loading}
+              >
+                Verify
+              </Button>
+            </form>
+          ) : (
           <form onSubmit={handleSubmit} className="space-y-6">
             <Input
               label="Email address"
@@ -128,7 +176,33 @@ const LoginPage = () => {
             >
               Sign in
             </Button>
+
+            {oauthProviders.length > 0 && (
+              <div className="space-y-3">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-300" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-2 bg-white text-gray-500">Or continue with</span>
+                  </div>
+                </div>
+
+                {oauthProviders.map((provider) => (
+                  <Button
+                    key={provider.id}
+                    type="button"
+                    variant="outline"
+                    className="w-full"
+                    onClick={() => { window.location.href = authService.getOAuthLoginUrl(provider.id); }}
+                  >
+                    {provider.name}
+                  </Button>
+                ))}
+              </div>
+            )}
           </form>
+          )}
         </Card>
       </div>
     </div>
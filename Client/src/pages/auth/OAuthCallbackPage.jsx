@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { LoadingSpinner } from '../../components/ui';
+
+const OAuthCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const { loginWithOAuthCode } = useAuth();
+  const navigate = useNavigate();
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // Login codes are single-use - don't redeem twice in StrictMode
+    if (handled.current) return;
+    handled.current = true;
+
+    const code = searchParams.get('code');
+    const error = searchParams.get('error');
+
+    if (error || !code) {
+      toast.error(error || 'Login failed');
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    loginWithOAuthCode(code).then((result) => {
+      if (result?.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else if (result?.success) {
+        navigate('/', { replace: true });
+      } else {
+        navigate('/login', { replace: true });
+      }
+    });
+  }, [searchParams, loginWithOAuthCode, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <LoadingSpinner size="lg" className="text-primary-600" />
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Button, Card } from '../../components/ui';
+import { authService } from '../../services';
+
+// Landing page of the "this wasn't me" link in new sign-in emails
+const SecureAccountPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState('idle');
+  const [message, setMessage] = useState('');
+
+  // Only sign the session out on an explicit click - mail scanners open links too
+  const handleReport = async () => {
+    setStatus('submitting');
+    try {
+      const response = await authService.reportSession(token);
+      setMessage(response.message);
+      setStatus('done');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to sign out the session');
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900">
+            Secure your account
+          </h2>
+        </div>
+
+        <Card className="p-8 space-y-6">
+          {!token ? (
+            <p className="text-sm text-gray-700">
+              This link is incomplete. Open it again from the sign-in alert email.
+            </p>
+          ) : status === 'done' ? (
+            <p className="text-sm text-gray-700">{message}</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-700">
+                If you didn&apos;t sign in from the device in the alert, sign that session out now
+                and then change your password.
+              </p>
+              {status === 'error' && (
+                <p className="text-sm text-red-600">{message}</p>
+              )}
+              <Button
+                className="w-full"
+                onClick={handleReport}
+                loading={status === 'submitting'}
+                disabled={status === 'submitting'}
+              >
+                Sign out that session
+              </Button>
+            </>
+          )}
+
+          <p className="text-center text-sm">
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Go to sign in
+            </Link>
+          </p>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default SecureAccountPage;
@@ -26,16 +26,51 @@ api.interceptors.request.use(
   }
 );
 
+// Single in-flight refresh shared by concurrent 401 responses
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  const { token, refreshToken: newRefreshToken } = response.data.data;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', newRefreshToken);
+  return token;
+};
+
 // Response interceptor for global error handling
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
     const message = error.response?.data?.message || 'Something went wrong';
+    const originalRequest = error.config;
     
-    if (error.response?.status === 401) {
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
+      originalRequest._retry = true;
+
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken();
+        const token = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+      } finally {
+        refreshPromise = null;
+      }
+    } else if (error.response?.status === 401) {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       window.location.href = '/login';
     } else if (error.response?.status === 429) {
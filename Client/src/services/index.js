@@ -12,8 +12,28 @@ export const authService = {
     return response.data;
   },
 
+  verifyTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+    return response.data;
+  },
+
+  getOAuthProviders: async () => {
+    const response = await api.get('/auth/oauth/providers');
+    return response.data;
+  },
+
+  getOAuthLoginUrl: (providerId) => {
+    return `${api.defaults.baseURL}/auth/oauth/${providerId}`;
+  },
+
+  exchangeOAuthCode: async (code) => {
+    const response = await api.post('/auth/oauth/exchange', { code });
+    return response.data;
+  },
+
   logout: async () => {
-    const response = await api.post('/auth/logout');
+    const refreshToken = localStorage.getItem('refreshToken');
+    const response = await api.post('/auth/logout', { refreshToken });
     return response.data;
   },
 
@@ -31,6 +51,16 @@ export const authService = {
     const response = await api.post('/auth/verify-email', { token });
     return response.data;
   },
+
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  reportSession: async (token) => {
+    const response = await api.post('/auth/sessions/report', { token });
+    return response.data;
+  },
 };
 
 // Question services
@@ -40,8 +70,8 @@ export const questionService = {
     return response.data;
   },
 
-  getById: async (id) => {
-    const response = await api.get(`/questions/${id}`);
+  getById: async (id, params) => {
+    const response = await api.get(`/questions/${id}`, { params });
     return response.data;
   },
 
@@ -66,6 +96,23 @@ export const questionService = {
     });
     return response.data;
   },
+
+  getPossibleDuplicates: async (title, description) => {
+    const response = await api.get('/questions/possible-duplicates', {
+      params: { title, description }
+    });
+    return response.data;
+  },
+
+  follow: async (id) => {
+    const response = await api.post(`/questions/${id}/follow`);
+    return response.data;
+  },
+
+  unfollow: async (id) => {
+    const response = await api.delete(`/questions/${id}/follow`);
+    return response.data;
+  },
 };
 
 // Answer services
@@ -75,8 +122,8 @@ export const answerService = {
     return response.data;
   },
 
-  create: async (answerData) => {
-    const response = await api.post('/answers', answerData);
+  create: async (questionId, answerData) => {
+    const response = await api.post(`/answers/question/${questionId}`, answerData);
     return response.data;
   },
 
@@ -94,6 +141,54 @@ export const answerService = {
     const response = await api.post(`/answers/${id}/accept`);
     return response.data;
   },
+
+  markAlsoHelpful: async (id) => {
+    const response = await api.put(`/answers/${id}/also-helpful`);
+    return response.data;
+  },
+
+  unmarkAlsoHelpful: async (id) => {
+    const response = await api.delete(`/answers/${id}/also-helpful`);
+    return response.data;
+  },
+};
+
+// Draft services
+export const draftService = {
+  getAll: async () => {
+    const response = await api.get('/drafts');
+    return response.data;
+  },
+
+  getQuestionDraft: async () => {
+    const response = await api.get('/drafts/question');
+    return response.data;
+  },
+
+  saveQuestionDraft: async (draft) => {
+    const response = await api.put('/drafts/question', draft);
+    return response.data;
+  },
+
+  deleteQuestionDraft: async () => {
+    const response = await api.delete('/drafts/question');
+    return response.data;
+  },
+
+  getAnswerDraft: async (questionId) => {
+    const response = await api.get(`/drafts/answer/${questionId}`);
+    return response.data;
+  },
+
+  saveAnswerDraft: async (questionId, content) => {
+    const response = await api.put(`/drafts/answer/${questionId}`, { content });
+    return response.data;
+  },
+
+  deleteAnswerDraft: async (questionId) => {
+    const response = await api.delete(`/drafts/answer/${questionId}`);
+    return response.data;
+  },
 };
 
 // Vote services
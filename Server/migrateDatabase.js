@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Question = require('./src/models/Question');
+const User = require('./src/models/User');
+const OAuthIdentity = require('./src/models/OAuthIdentity');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected for migration');
+  } catch (error) {
+    console.error('❌ Database connection failed:', error);
+    process.exit(1);
+  }
+};
+
+// Data migrations, run in order. Each one only touches documents that still
+// need it, so running the script again is safe.
+const migrations = [
+  {
+    name: 'question-soft-deletion',
+    // Questions used to be deleted with status "deleted" and had no isDeleted
+    run: async () => {
+      const deleted = await Question.updateMany(
+        { status: 'deleted' },
+        [{
+          $set: {
+            isDeleted: true,
+            status: 'active',
+            deletedAt: { $ifNull: ['$deletedAt', '$updatedAt'] }
+          }
+        }]
+      );
+      const missing = await Question.updateMany(
+        { isDeleted: { $exists: false } },
+        { $set: { isDeleted: false } }
+      );
+      return `${deleted.modifiedCount} deleted questions converted, ${missing.modifiedCount} questions given isDeleted`;
+    }
+  },
+  {
+    name: 'oauth-only-accounts',
+    // Accounts created by an OAuth sign-in got their identity linked in the
+    // same request and a random password nobody knows. Accounts that changed
+    // their password since are left alone.
+    run: async () => {
+      const created = await OAuthIdentity.aggregate([
+        { $group: { _id: '$user', linkedAt: { $min: '$createdAt' } } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        {
+          $match: {
+            'user.hasPassword': { $ne: false },
+            'user.passwordChangedAt': null,
+            $expr: { $lte: [{ $subtract: ['$linkedAt', '$user.createdAt'] }, 60 * 1000] }
+          }
+        },
+        { $project: { _id: 1 } }
+      ]);
+
+      const result = await User.updateMany(
+        { _id: { $in: created.map(entry => entry._id) } },
+        { $set: { hasPassword: false } }
+      );
+      return `${result.modifiedCount} OAuth-only accounts marked as having no password`;
+    }
+  }
+];
+
+// Run all migrations
+const migrateDatabase = async () => {
+  try {
+    console.log('🚚 Migrating database...\n');
+
+    for (const migration of migrations) {
+      const summary = await migration.run();
+      console.log(`   ${migration.name}: ${summary}`);
+    }
+
+    console.log('\n✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run the migration
+connectDB().then(() => {
+  migrateDatabase();
+});
+
+module.exports = { migrateDatabase };
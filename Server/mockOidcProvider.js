@@ -0,0 +1,100 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Minimal OpenID Connect provider for trying the "oidc" login locally.
+// It signs in every visitor as the user below without asking for credentials.
+//
+// Server .env:
+//   OIDC_ISSUER=http://localhost:9000
+//   OIDC_CLIENT_ID=stackit-local
+//   OIDC_CLIENT_SECRET=stackit-local-secret
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'stackit-local';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'stackit-local-secret';
+
+const mockUser = {
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'jane.doe@example.com',
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+  preferred_username: process.env.MOCK_OIDC_USERNAME || 'jane.doe',
+  given_name: 'Jane',
+  family_name: 'Doe',
+  name: 'Jane Doe'
+};
+
+// Issued authorization codes: code -> { nonce, redirectUri }
+const authorizationCodes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['HS256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizationCodes.set(code, { nonce, redirectUri: redirect_uri });
+
+  const redirectUrl = new URL(redirect_uri);
+  redirectUrl.searchParams.set('code', code);
+  if (state) redirectUrl.searchParams.set('state', state);
+
+  console.log(`🔑 Signed in ${mockUser.email}, redirecting to ${redirect_uri}`);
+  res.redirect(redirectUrl.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, client_id, client_secret, redirect_uri } = req.body;
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (!grant || grant.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  const idToken = jwt.sign(
+    { ...mockUser, nonce: grant.nonce },
+    CLIENT_SECRET,
+    { issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  res.json(mockUser);
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock OIDC provider running at ${ISSUER}`);
+});
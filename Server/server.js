@@ -1,6 +1,7 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startJobs, stopJobs } = require('./src/jobs');
 const { handleUnhandledRejection, handleUncaughtException } = require('./src/middleware/errorHandler');
 const http = require('http');
 
@@ -25,6 +26,9 @@ const startServer = async () => {
     await connectDB();
     console.log('✅ Database connected successfully');
 
+    // Start background jobs
+    startJobs();
+
     // Start server
     server.listen(PORT, () => {
       console.log('🚀 Server is running on:', `http://localhost:${PORT}`);
@@ -49,6 +53,8 @@ const startServer = async () => {
     const gracefulShutdown = (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
       
+      stopJobs();
+
       server.close(() => {
         console.log('✅ HTTP server closed');
         
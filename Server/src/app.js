@@ -18,6 +18,8 @@ const tagRoutes = require('./routes/tags');
 const voteRoutes = require('./routes/votes');
 const commentRoutes = require('./routes/comments');
 const notificationRoutes = require('./routes/notifications');
+const suggestedEditRoutes = require('./routes/suggestedEdits');
+const draftRoutes = require('./routes/drafts');
 
 const app = express();
 
@@ -105,6 +107,8 @@ app.use('/api/tags', tagRoutes);
 app.use('/api/votes', voteRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/suggested-edits', suggestedEditRoutes);
+app.use('/api/drafts', draftRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -120,7 +124,9 @@ app.get('/api', (req, res) => {
       tags: '/api/tags',
       votes: '/api/votes',
       comments: '/api/comments',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      suggestedEdits: '/api/suggested-edits',
+      drafts: '/api/drafts'
     },
     features: [
       'User authentication and authorization',
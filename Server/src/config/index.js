@@ -1,4 +1,5 @@
 module.exports = {
   database: require('./database'),
-  cloudinary: require('./cloudinary')
+  cloudinary: require('./cloudinary'),
+  oauth: require('./oauth')
 };
@@ -0,0 +1,78 @@
+// OAuth / OIDC login providers
+// A provider is enabled once its client credentials (and issuer for OIDC) are set
+const providers = {
+  github: {
+    type: 'oauth2',
+    name: 'GitHub',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userInfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email'
+  },
+
+  google: {
+    type: 'oidc',
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: 'openid email profile'
+  },
+
+  // Generic OIDC provider (e.g. company identity provider)
+  oidc: {
+    type: 'oidc',
+    name: process.env.OIDC_DISPLAY_NAME || 'Single Sign-On',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE || 'openid email profile'
+  }
+};
+
+/**
+ * Check if a provider has everything it needs
+ * @param {Object} provider - Provider config
+ * @returns {boolean} True if provider can be used
+ */
+const isConfigured = (provider) => {
+  if (!provider.clientId || !provider.clientSecret) return false;
+  return provider.type !== 'oidc' || !!provider.issuer;
+};
+
+/**
+ * Get a configured provider by ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Provider config or null
+ */
+const getProvider = (id) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, id) ? providers[id] : null;
+  return provider && isConfigured(provider) ? { id, ...provider } : null;
+};
+
+/**
+ * Get all configured providers
+ * @returns {Array} Provider configs
+ */
+const getEnabledProviders = () => {
+  return Object.keys(providers).map(getProvider).filter(Boolean);
+};
+
+/**
+ * Build the callback URL registered with providers
+ * @param {string} id - Provider ID
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = (id) => {
+  const baseUrl = process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl}/api/auth/oauth/${id}/callback`;
+};
+
+module.exports = {
+  getProvider,
+  getEnabledProviders,
+  getRedirectUri
+};
@@ -1,9 +1,94 @@
 const Answer = require('../models/Answer');
 const Question = require('../models/Question');
-const { createResponse, getPaginationParams, createPaginationMeta } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const Draft = require('../models/Draft');
+const User = require('../models/User');
+const {
+  createResponse,
+  getPaginationParams,
+  createCursorPaginationMeta,
+  calculateReputationChange
+} = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  DRAFT_KINDS,
+  QUESTION_STATUS,
+  ERROR_CODES,
+  ANSWER_SORTS,
+  MAX_ALSO_HELPFUL_ANSWERS
+} = require('../utils/constants');
 const { createAnswerSchema, updateAnswerSchema } = require('../utils/validators');
+const { diffText } = require('../utils/diff');
 const notificationService = require('../services/notificationService');
+const answerService = require('../services/answerService');
+const bountyService = require('../services/bountyService');
+const deletionService = require('../services/deletionService');
+const {
+  PRIVILEGES,
+  hasPrivilege,
+  getRequiredReputation,
+  canViewDeleted,
+  getVisibilityFilter
+} = require('../utils/privileges');
+
+/**
+ * Grant (or take back) the reputation for accepting an answer
+ * Self-answers and community wiki answers earn none. Taking it back only
+ * reverses what was granted (acceptanceReputationApplied), so the answer
+ * becoming or ceasing to be a wiki in between doesn't matter
+ * @param {Object} answer - Accepted answer
+ * @param {string} askerId - ID of the question author
+ * @param {number} [sign=1] - 1 to grant, -1 to take back
+ */
+const updateAcceptanceReputation = async (answer, askerId, sign = 1) => {
+  const grant = sign > 0;
+  if (grant ? answer.isSelfAnswer || answer.isCommunityWiki : !answer.acceptanceReputationApplied) return;
+
+  const [author, asker] = await Promise.all([
+    User.findById(answer.author),
+    User.findById(askerId)
+  ]);
+
+  if (author) {
+    await author.updateReputation(sign * calculateReputationChange('answer_accepted'));
+  }
+  if (asker) {
+    await asker.updateReputation(sign * calculateReputationChange('accept_answer'));
+  }
+
+  answer.acceptanceReputationApplied = grant;
+  await Answer.updateOne({ _id: answer._id }, { acceptanceReputationApplied: grant });
+};
+
+/**
+ * Grant (or take back) the reputation for an "also helpful" answer
+ * Self-answers and community wiki answers earn none; taking it back follows
+ * alsoHelpfulReputationApplied like updateAcceptanceReputation
+ * @param {Object} answer - Marked answer
+ * @param {number} [sign=1] - 1 to grant, -1 to take back
+ */
+const updateAlsoHelpfulReputation = async (answer, sign = 1) => {
+  const grant = sign > 0;
+  if (grant ? answer.isSelfAnswer || answer.isCommunityWiki : !answer.alsoHelpfulReputationApplied) return;
+
+  const author = await User.findById(answer.author);
+  if (author) {
+    await author.updateReputation(sign * calculateReputationChange('answer_also_helpful'));
+  }
+
+  answer.alsoHelpfulReputationApplied = grant;
+  await Answer.updateOne({ _id: answer._id }, { alsoHelpfulReputationApplied: grant });
+};
+
+/**
+ * Check if an answer can be shown to the requesting user
+ * @param {Object} answer - Answer document
+ * @param {Object} [user] - Authenticated user
+ * @returns {boolean} True if visible
+ */
+const isAnswerVisible = (answer, user) => {
+  if (!answer || !canViewDeleted(answer, user)) return false;
+  return !answer.isQuarantined || answer.author.toString() === user?._id.toString();
+};
 
 /**
  * @desc    Get answers for a question
@@ -12,57 +97,36 @@ const notificationService = require('../services/notificationService');
  */
 const getAnswersByQuestion = async (req, res) => {
   try {
-    const { page, limit, skip } = getPaginationParams(req.query);
-    const { sort = 'votes' } = req.query;
+    const { limit } = getPaginationParams(req.query);
+    const { sort = ANSWER_SORTS.VOTES, cursor } = req.query;
 
     // Verify question exists
     const question = await Question.findById(req.params.questionId);
-    if (!question || question.status === 'deleted') {
+    if (!question || !canViewDeleted(question, req.user)) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
     }
 
-    // Build sort criteria
-    let sortCriteria = {};
-    switch (sort) {
-      case 'oldest':
-        sortCriteria = { createdAt: 1 };
-        break;
-      case 'newest':
-        sortCriteria = { createdAt: -1 };
-        break;
-      case 'active':
-        sortCriteria = { lastActivity: -1 };
-        break;
-      default: // votes
-        // Accepted answer first, then by vote score
-        sortCriteria = { isAccepted: -1, voteScore: -1, createdAt: 1 };
-    }
-
-    // Get answers
-    const answers = await Answer.find({
-      question: req.params.questionId,
-      isDeleted: false
-    })
-      .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
-      .sort(sortCriteria)
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count
-    const total = await Answer.countDocuments({
-      question: req.params.questionId,
-      isDeleted: false
-    });
-
-    // Create pagination metadata
-    const meta = createPaginationMeta(total, page, limit);
+    // Deleted answers are only listed for their author and moderators
+    const { answers, total, nextCursor } = await answerService.listAnswers({
+      question: question._id,
+      isQuarantined: { $ne: true },
+      ...getVisibilityFilter(req.user)
+    }, { sort, cursor, limit });
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Answers retrieved successfully', answers, meta)
+      createResponse(
+        true,
+        'Answers retrieved successfully',
+        answers,
+        createCursorPaginationMeta(total, limit, nextCursor)
+      )
     );
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(createResponse(false, error.message));
+    }
     console.error('Get answers by question error:', error);
     if (error.name === 'CastError') {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
@@ -82,21 +146,27 @@ const getAnswersByQuestion = async (req, res) => {
  */
 const getAnswerById = async (req, res) => {
   try {
-    const answer = await Answer.findOne({
-      _id: req.params.id,
-      isDeleted: false
-    })
+    const answer = await Answer.findById(req.params.id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('question', 'title _id');
 
-    if (!answer) {
+    if (!answer || !canViewDeleted(answer, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    // Quarantined answers are only visible to their author
+    if (answer.isQuarantined && answer.author._id.toString() !== req.user?._id.toString()) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Answer not found')
       );
     }
 
+    const contributors = answer.isCommunityWiki ? await answer.getContributors() : undefined;
+
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Answer retrieved successfully', answer)
+      createResponse(true, 'Answer retrieved successfully', { ...answer.toJSON(), contributors })
     );
   } catch (error) {
     console.error('Get answer by ID error:', error);
@@ -128,58 +198,87 @@ const createAnswer = async (req, res) => {
 
     // Verify question exists and is open
     const question = await Question.findById(req.params.questionId).populate('author', 'username');
-    if (!question || question.status === 'deleted') {
+    if (!question || question.isDeleted) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
     }
 
-    if (question.status === 'closed') {
+    if (question.status === QUESTION_STATUS.CLOSED) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
         createResponse(false, 'Cannot answer a closed question')
       );
     }
 
-    // Check if user is trying to answer their own question
-    if (question.author._id.toString() === req.user._id.toString()) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'You cannot answer your own question')
+    if (question.status === QUESTION_STATUS.LOCKED && !hasPrivilege(req.user, PRIVILEGES.MODERATE)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'This question is locked and cannot be answered', {
+          code: ERROR_CODES.QUESTION_LOCKED
+        })
+      );
+    }
+
+    // Protected questions only take answers from users with some reputation
+    if (question.status === QUESTION_STATUS.PROTECTED && !hasPrivilege(req.user, PRIVILEGES.ANSWER_PROTECTED)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, `This question is protected. You need ${getRequiredReputation(PRIVILEGES.ANSWER_PROTECTED)} reputation to answer it.`, {
+          code: ERROR_CODES.INSUFFICIENT_PRIVILEGE,
+          privilege: PRIVILEGES.ANSWER_PROTECTED,
+          requiredReputation: getRequiredReputation(PRIVILEGES.ANSWER_PROTECTED)
+        })
       );
     }
 
-    const { content } = value;
+    const { content, communityWiki = false } = value;
 
     // Create answer
     const answer = await Answer.create({
       content,
       author: req.user._id,
-      question: req.params.questionId
+      question: req.params.questionId,
+      isSelfAnswer: question.author._id.equals(req.user._id),
+      isQuarantined: !!req.quarantine,
+      isCommunityWiki: communityWiki,
+      communityWikiAt: communityWiki ? new Date() : null
     });
 
-    // Update question's answer count and last activity
-    await Question.findByIdAndUpdate(req.params.questionId, {
-      $inc: { answersCount: 1 },
-      lastActivity: new Date()
-    });
+    await Draft.discard(req.user._id, DRAFT_KINDS.ANSWER, question._id);
+
+    // Update question's answer count and last activity (on release for quarantined answers)
+    if (!answer.isQuarantined) {
+      await Question.findByIdAndUpdate(req.params.questionId, {
+        $inc: { answerCount: 1 },
+        lastActivity: new Date()
+      });
+    }
 
     // Populate the created answer
     const populatedAnswer = await Answer.findById(answer._id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('question', 'title _id');
 
-    // Send notification to question author
-    if (question.author._id.toString() !== req.user._id.toString()) {
-      await notificationService.createNotification({
-        recipient: question.author._id,
-        type: 'answer',
-        message: `${req.user.username} answered your question "${question.title}"`,
-        relatedId: answer._id,
-        sender: req.user._id
+    // Notify the question author (skipped for self-answers) and followers
+    if (!answer.isQuarantined) {
+      try {
+        await notificationService.notifyNewAnswer(answer, question);
+      } catch (error) {
+        console.error('Error notifying question author of new answer:', error);
+      }
+
+      await notificationService.notifyQuestionFollowers(question, {
+        sender: req.user._id,
+        message: `${req.user.username} answered "${question.title}"`,
+        answerId: answer._id,
+        exclude: [question.author._id]
       });
     }
 
+    const message = answer.isQuarantined
+      ? 'Answer saved. It will be published once you verify your email.'
+      : 'Answer created successfully';
+
     res.status(HTTP_STATUS.CREATED).json(
-      createResponse(true, 'Answer created successfully', populatedAnswer)
+      createResponse(true, message, populatedAnswer)
     );
   } catch (error) {
     console.error('Create answer error:', error);
@@ -220,25 +319,16 @@ const updateAnswer = async (req, res) => {
       );
     }
 
-    // Check if user is the author or an admin
-    if (answer.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to update this answer')
+    const { content, reason } = value;
+
+    if (content === answer.content) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Answer content is unchanged')
       );
     }
 
-    const { content } = value;
-
-    // Update answer
-    answer.content = content;
-    answer.isEdited = true;
-    answer.lastActivity = new Date();
-    await answer.save();
-
-    // Update question's last activity
-    await Question.findByIdAndUpdate(answer.question, {
-      lastActivity: new Date()
-    });
+    // Recorded in the edit history so it can be diffed and rolled back
+    await answer.editContent(content, req.user._id, reason);
 
     // Populate the updated answer
     const populatedAnswer = await Answer.findById(answer._id)
@@ -262,60 +352,51 @@ const updateAnswer = async (req, res) => {
 };
 
 /**
- * @desc    Delete an answer
+ * @desc    Delete an answer along with its comments
  * @route   DELETE /api/answers/:id
- * @access  Private
+ * @access  Private (Author or Moderator)
  */
 const deleteAnswer = async (req, res) => {
   try {
-    const answer = await Answer.findOne({
-      _id: req.params.id,
-      isDeleted: false
-    });
+    await deletionService.deleteAnswer(req.resource, req.user);
 
-    if (!answer) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(
-        createResponse(false, 'Answer not found')
-      );
-    }
-
-    // Check if user is the author or an admin
-    if (answer.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to delete this answer')
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Answer deleted successfully')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
+    console.error('Delete answer error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to delete answer')
+    );
+  }
+};
 
-    // Soft delete the answer
-    answer.isDeleted = true;
-    answer.deletedAt = new Date();
-    await answer.save();
-
-    // Update question's answer count
-    await Question.findByIdAndUpdate(answer.question, {
-      $inc: { answersCount: -1 },
-      lastActivity: new Date()
-    });
-
-    // If this was the accepted answer, unaccept it
-    if (answer.isAccepted) {
-      await Question.findByIdAndUpdate(answer.question, {
-        acceptedAnswer: null
-      });
-    }
+/**
+ * @desc    Undelete an answer along with the comments deleted with it
+ * @route   POST /api/answers/:id/undelete
+ * @access  Private (Author who deleted it or Moderator, within the undelete window)
+ */
+const undeleteAnswer = async (req, res) => {
+  try {
+    const answer = await deletionService.undeleteAnswer(req.resource, req.user);
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Answer deleted successfully')
+      createResponse(true, 'Answer undeleted successfully', answer)
     );
   } catch (error) {
-    console.error('Delete answer error:', error);
-    if (error.name === 'CastError') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Invalid answer ID')
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
+    console.error('Undelete answer error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createResponse(false, 'Failed to delete answer')
+      createResponse(false, 'Failed to undelete answer')
     );
   }
 };
@@ -352,22 +433,47 @@ const acceptAnswer = async (req, res) => {
     }
 
     // Unaccept any previously accepted answer for this question
+    const previousAnswer = await Answer.findOne({
+      question: answer.question._id,
+      isAccepted: true
+    });
     await Answer.updateMany(
       { question: answer.question._id },
       { isAccepted: false }
     );
 
+    // Accepting an "also helpful" answer replaces its mark and smaller reward
+    if (answer.isAlsoHelpful) {
+      answer.isAlsoHelpful = false;
+      answer.alsoHelpfulAt = null;
+      await updateAlsoHelpfulReputation(answer, -1);
+    }
+
     // Accept this answer
     answer.isAccepted = true;
     answer.acceptedAt = new Date();
     await answer.save();
 
     // Update question with accepted answer
+    // The asker's choice supersedes any community-accepted answer
     await Question.findByIdAndUpdate(answer.question._id, {
       acceptedAnswer: answer._id,
+      communityAcceptedAnswer: null,
+      communityAcceptedAt: null,
       lastActivity: new Date()
     });
 
+    if (previousAnswer) {
+      await updateAcceptanceReputation(previousAnswer, req.user._id, -1);
+    }
+    await updateAcceptanceReputation(answer, req.user._id);
+
+    // Accepting an answer awards any active bounty on the question, unless
+    // the asker accepts their own answer
+    if (!answer.isSelfAnswer) {
+      await bountyService.awardOnAccept(answer.question, answer);
+    }
+
     // Send notification to answer author
     if (answer.author.toString() !== req.user._id.toString()) {
       await notificationService.createNotification({
@@ -379,6 +485,13 @@ const acceptAnswer = async (req, res) => {
       });
     }
 
+    await notificationService.notifyQuestionFollowers(answer.question, {
+      sender: req.user._id,
+      message: `An answer was accepted on "${answer.question.title}"`,
+      answerId: answer._id,
+      exclude: [answer.author]
+    });
+
     // Populate the accepted answer
     const populatedAnswer = await Answer.findById(answer._id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
@@ -436,6 +549,8 @@ const unacceptAnswer = async (req, res) => {
     answer.acceptedAt = null;
     await answer.save();
 
+    await updateAcceptanceReputation(answer, req.user._id, -1);
+
     // Update question to remove accepted answer
     await Question.findByIdAndUpdate(answer.question._id, {
       acceptedAnswer: null,
@@ -463,12 +578,379 @@ const unacceptAnswer = async (req, res) => {
   }
 };
 
+/**
+ * Build a handler marking an answer as "also helpful" or removing the mark
+ * Lets the asker credit answers that helped alongside the accepted one
+ * @param {boolean} helpful - Whether the answer gets the mark
+ * @returns {Function} Express handler
+ */
+const setAlsoHelpful = (helpful) => async (req, res) => {
+  try {
+    const answer = await Answer.findOne({
+      _id: req.params.id,
+      isDeleted: false
+    }).populate('question');
+
+    if (!answer) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    if (answer.question.author.toString() !== req.user._id.toString()) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'Only the question author can mark answers as also helpful')
+      );
+    }
+
+    if (answer.isAlsoHelpful === helpful) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, `Answer is ${helpful ? 'already' : 'not'} marked as also helpful`)
+      );
+    }
+
+    if (helpful) {
+      if (answer.isAccepted) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'The accepted answer cannot also be marked as also helpful')
+        );
+      }
+
+      const markedCount = await Answer.countDocuments({
+        question: answer.question._id,
+        isAlsoHelpful: true,
+        isDeleted: false
+      });
+      if (markedCount >= MAX_ALSO_HELPFUL_ANSWERS) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, `At most ${MAX_ALSO_HELPFUL_ANSWERS} answers can be marked as also helpful`)
+        );
+      }
+    }
+
+    answer.isAlsoHelpful = helpful;
+    answer.alsoHelpfulAt = helpful ? new Date() : null;
+    await answer.save();
+
+    await updateAlsoHelpfulReputation(answer, helpful ? 1 : -1);
+
+    if (helpful) {
+      await notificationService.notifyAnswerAlsoHelpful(answer, answer.question);
+    }
+
+    const populatedAnswer = await Answer.findById(answer._id)
+      .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .populate('question', 'title _id');
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(
+        true,
+        helpful ? 'Answer marked as also helpful' : 'Also helpful mark removed',
+        populatedAnswer
+      )
+    );
+  } catch (error) {
+    console.error('Set also helpful error:', error);
+    if (error.name === 'CastError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Invalid answer ID')
+      );
+    }
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to update answer')
+    );
+  }
+};
+
+/**
+ * @desc    Mark an answer as also helpful
+ * @route   PUT /api/answers/:id/also-helpful
+ * @access  Private (Question author)
+ */
+const markAlsoHelpful = setAlsoHelpful(true);
+
+/**
+ * @desc    Remove an answer's also helpful mark
+ * @route   DELETE /api/answers/:id/also-helpful
+ * @access  Private (Question author)
+ */
+const unmarkAlsoHelpful = setAlsoHelpful(false);
+
+/**
+ * Build a handler turning community wiki on or off for an answer
+ * @param {boolean} enabled - Whether the answer becomes a community wiki
+ * @returns {Function} Express handler
+ */
+const setCommunityWiki = (enabled) => async (req, res) => {
+  try {
+    const answer = req.resource;
+    if (answer.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    if (answer.isCommunityWiki === enabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, `Answer is ${enabled ? 'already' : 'not'} a community wiki`)
+      );
+    }
+
+    await answer.setCommunityWiki(enabled);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, enabled ? 'Answer is now a community wiki' : 'Answer is no longer a community wiki', {
+        isCommunityWiki: answer.isCommunityWiki,
+        communityWikiAt: answer.communityWikiAt
+      })
+    );
+  } catch (error) {
+    console.error('Set answer community wiki error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to update community wiki status')
+    );
+  }
+};
+
+/**
+ * @desc    Make an answer a community wiki
+ * @route   POST /api/answers/:id/community-wiki
+ * @access  Private (Author or Moderator)
+ */
+const makeCommunityWiki = setCommunityWiki(true);
+
+/**
+ * @desc    Turn a community wiki answer back into a regular answer
+ * @route   DELETE /api/answers/:id/community-wiki
+ * @access  Private (Moderator)
+ */
+const removeCommunityWiki = setCommunityWiki(false);
+
+/**
+ * @desc    Get the revision history of an answer
+ * @route   GET /api/answers/:id/revisions
+ * @access  Public
+ */
+const getAnswerRevisions = async (req, res) => {
+  try {
+    const answer = await Answer.findById(req.params.id);
+    if (!isAnswerVisible(answer, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    const revisions = await User.populate(answer.getRevisions().reverse(), {
+      path: 'editor',
+      select: 'username profile.firstName profile.lastName profile.avatar reputation'
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Answer revisions retrieved successfully', revisions)
+    );
+  } catch (error) {
+    console.error('Get answer revisions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve answer revisions')
+    );
+  }
+};
+
+/**
+ * @desc    Diff two revisions of an answer
+ * @route   GET /api/answers/:id/revisions/diff?from=1&to=2&mode=line|word
+ * @access  Public
+ */
+const getAnswerRevisionDiff = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    const mode = req.query.mode === 'word' ? 'word' : 'line';
+
+    const answer = await Answer.findById(req.params.id);
+    if (!isAnswerVisible(answer, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    const revisions = answer.getRevisions();
+    const oldRevision = revisions.find(revision => revision.revisionNumber === from);
+    const newRevision = revisions.find(revision => revision.revisionNumber === to);
+
+    if (!oldRevision || !newRevision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Revision not found')
+      );
+    }
+
+    const summarize = ({ revisionNumber, type, editor, reason, createdAt }) => ({
+      revisionNumber,
+      type,
+      editor,
+      reason,
+      createdAt
+    });
+
+    const [fromSummary, toSummary] = await User.populate(
+      [summarize(oldRevision), summarize(newRevision)],
+      { path: 'editor', select: 'username profile.firstName profile.lastName profile.avatar reputation' }
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Revision diff retrieved successfully', {
+        from: fromSummary,
+        to: toSummary,
+        mode,
+        content: diffText(oldRevision.content, newRevision.content, mode)
+      })
+    );
+  } catch (error) {
+    console.error('Get answer revision diff error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to diff answer revisions')
+    );
+  }
+};
+
+/**
+ * @desc    Restore an answer to an earlier revision
+ * @route   POST /api/answers/:id/rollback/:revision
+ * @access  Private (Author or Moderator)
+ */
+const rollbackAnswer = async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision, 10);
+
+    const answer = req.resource;
+    if (answer.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    const revision = answer.getRevisions()
+      .find(candidate => candidate.revisionNumber === revisionNumber);
+
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Revision not found')
+      );
+    }
+
+    if (revision.content === answer.content) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Answer already matches this revision')
+      );
+    }
+
+    await answer.editContent(
+      revision.content,
+      req.user._id,
+      req.body.reason || `Rolled back to revision ${revisionNumber}`,
+      { type: 'rollback', rolledBackTo: revisionNumber }
+    );
+
+    const updatedAnswer = await Answer.findById(answer._id)
+      .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .populate('question', 'title _id');
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, `Answer rolled back to revision ${revisionNumber}`, updatedAnswer)
+    );
+  } catch (error) {
+    console.error('Rollback answer error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to roll back answer')
+    );
+  }
+};
+
+/**
+ * @desc    Lock an answer against edits, e.g. to stop an edit war
+ * @route   POST /api/answers/:id/edit-lock
+ * @access  Private (Moderator)
+ */
+const lockAnswerEdits = async (req, res) => {
+  try {
+    const answer = req.resource;
+    if (answer.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    const { durationDays, reason } = req.body;
+    const expiresAt = durationDays
+      ? new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    await answer.lockEdits(req.user._id, { reason: reason || null, expiresAt });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Answer locked against edits', {
+        editLockedAt: answer.editLockedAt,
+        editLockReason: answer.editLockReason,
+        editLockExpiresAt: answer.editLockExpiresAt
+      })
+    );
+  } catch (error) {
+    console.error('Lock answer edits error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to lock answer')
+    );
+  }
+};
+
+/**
+ * @desc    Lift an answer's edit lock
+ * @route   DELETE /api/answers/:id/edit-lock
+ * @access  Private (Moderator)
+ */
+const unlockAnswerEdits = async (req, res) => {
+  try {
+    const answer = req.resource;
+    if (answer.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    if (!answer.isEditLocked()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Answer is not locked against edits')
+      );
+    }
+
+    await answer.unlockEdits();
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Answer edit lock removed')
+    );
+  } catch (error) {
+    console.error('Unlock answer edits error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to unlock answer')
+    );
+  }
+};
+
 module.exports = {
   getAnswersByQuestion,
   getAnswerById,
   createAnswer,
   updateAnswer,
   deleteAnswer,
+  undeleteAnswer,
   acceptAnswer,
-  unacceptAnswer
+  unacceptAnswer,
+  markAlsoHelpful,
+  unmarkAlsoHelpful,
+  makeCommunityWiki,
+  removeCommunityWiki,
+  getAnswerRevisions,
+  getAnswerRevisionDiff,
+  rollbackAnswer,
+  lockAnswerEdits,
+  unlockAnswerEdits
 };
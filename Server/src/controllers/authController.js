@@ -1,8 +1,131 @@
 const User = require('../models/User');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { createResponse, generateToken, sanitizeUser, generateRandomString } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { createResponse, sanitizeUser, generateRandomString } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  API_TOKEN_SCOPES,
+  MAX_API_TOKENS_PER_USER
+} = require('../utils/constants');
+const { PRIVILEGES, hasPrivilege, getPrivileges } = require('../utils/privileges');
 const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const oauthService = require('../services/oauthService');
+const notificationService = require('../services/notificationService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const accountService = require('../services/accountService');
+
+const OAUTH_NONCE_COOKIE = 'oauth_nonce';
+
+/**
+ * Email the user about a sign-in from a new device
+ * @param {Object} user - User document
+ * @param {Object} session - Newly created session
+ */
+const sendNewLoginAlert = async (user, session) => {
+  try {
+    await emailService.sendNewLoginEmail(
+      user.email,
+      user.username,
+      {
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        time: session.createdAt
+      },
+      tokenService.createSessionReportToken(session)
+    );
+  } catch (error) {
+    console.error('Failed to send new sign-in email:', error);
+  }
+};
+
+/**
+ * Respond to a login attempt on a locked account
+ * @param {Object} res - Express response
+ * @param {Date} lockUntil - End of the lock
+ */
+const sendAccountLocked = (res, lockUntil) => {
+  const minutes = Math.ceil((lockUntil.getTime() - Date.now()) / 60000);
+
+  return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(
+    createResponse(false, `Too many failed login attempts. Try again in ${minutes} minute(s).`, {
+      code: ERROR_CODES.ACCOUNT_LOCKED,
+      lockUntil
+    })
+  );
+};
+
+/**
+ * Respond to a password rejected by the password policy
+ * @param {Object} res - Express response
+ * @param {Object} rejection - Result of passwordPolicyService.check()
+ */
+const sendPasswordRejected = (res, rejection) => {
+  return res.status(HTTP_STATUS.BAD_REQUEST).json(
+    createResponse(false, rejection.message, {
+      code: rejection.code,
+      errors: rejection.errors
+    })
+  );
+};
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record the login and start a new session
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to login response data
+ */
+const completeLogin = async (user, req) => {
+  const context = {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+
+  // Check before the new session is recorded
+  const isKnownDevice = await Session.isKnownDevice(user._id, context.ip, context.userAgent);
+
+  // Update last login and clear failed attempts
+  user.lastLogin = new Date();
+  user.resetFailedLogins();
+  await user.save();
+
+  // Generate access and refresh tokens
+  const { token, refreshToken, session } = await tokenService.issueTokens(user, context);
+
+  // Don't hold up the login for the email
+  if (!isKnownDevice) {
+    sendNewLoginAlert(user, session);
+  }
+
+  return {
+    token,
+    refreshToken,
+    user: sanitizeUser(user),
+    twoFactorEnrollmentRequired: user.requiresTwoFactorEnrollment()
+  };
+};
 
 /**
  * @desc    Register new user
@@ -24,6 +147,11 @@ const register = asyncHandler(async (req, res) => {
     );
   }
 
+  const rejection = await passwordPolicyService.check(password, { username, email });
+  if (rejection) {
+    return sendPasswordRejected(res, rejection);
+  }
+
   // Create user
   const userData = {
     username,
@@ -50,12 +178,16 @@ const register = asyncHandler(async (req, res) => {
     // Don't fail registration if email fails
   }
 
-  // Generate JWT token
-  const token = generateToken(user._id);
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await tokenService.issueTokens(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
 
   res.status(HTTP_STATUS.CREATED).json(
     createResponse(true, 'User registered successfully', {
       token,
+      refreshToken,
       user: sanitizeUser(user)
     })
   );
@@ -78,30 +210,210 @@ const login = asyncHandler(async (req, res) => {
     );
   }
 
+  // Refuse attempts while the account is locked
+  if (user.isLocked()) {
+    return sendAccountLocked(res, user.lockUntil);
+  }
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
+    const lockUntil = await user.registerFailedLogin();
+    if (lockUntil) {
+      return sendAccountLocked(res, lockUntil);
+    }
+
     return res.status(HTTP_STATUS.UNAUTHORIZED).json(
       createResponse(false, 'Invalid email or password')
     );
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  // Second step required - hand out a challenge instead of a session
+  if (user.twoFactor?.enabled) {
+    return res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Two-factor authentication required', {
+        code: ERROR_CODES.TWO_FACTOR_REQUIRED,
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user)
+      })
+    );
+  }
 
-  // Generate JWT token
-  const token = generateToken(user._id);
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'Login successful', await completeLogin(user, req))
+  );
+});
 
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const account = await User.findById(userId);
+    if (account?.isLocked()) {
+      return sendAccountLocked(res, account.lockUntil);
+    }
+
+    let verification;
+    try {
+      verification = await twoFactorService.verifyCode(userId, code);
+    } catch (error) {
+      if (account && error.statusCode === HTTP_STATUS.UNAUTHORIZED) {
+        const lockUntil = await account.registerFailedLogin();
+        if (lockUntil) {
+          return sendAccountLocked(res, lockUntil);
+        }
+      }
+      throw error;
+    }
+
+    const { user, method, remainingRecoveryCodes } = verification;
+
+    const data = await completeLogin(user, req);
+    data.twoFactorMethod = method;
+    data.remainingRecoveryCodes = remainingRecoveryCodes;
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Login successful', data)
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Get the password policy
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+const getPasswordPolicy = asyncHandler(async (req, res) => {
   res.status(HTTP_STATUS.OK).json(
-    createResponse(true, 'Login successful', {
-      token,
-      user: sanitizeUser(user)
-    })
+    createResponse(true, 'Password policy retrieved successfully', passwordPolicyService.getPolicy())
   );
 });
 
+/**
+ * @desc    List enabled OAuth/OIDC login providers
+ * @route   GET /api/auth/oauth/providers
+ * @access  Public
+ */
+const getOAuthProviders = asyncHandler(async (req, res) => {
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'Login providers retrieved successfully', oauthService.listProviders())
+  );
+});
+
+/**
+ * @desc    Redirect to an OAuth/OIDC provider
+ * @route   GET /api/auth/oauth/:provider?intent=reauth
+ * @access  Public
+ */
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  try {
+    const { url, nonce } = await oauthService.getAuthorizationUrl(
+      req.params.provider,
+      req.query.intent || 'login'
+    );
+
+    // Binds the callback to this browser (login CSRF protection)
+    res.cookie(OAUTH_NONCE_COOKIE, nonce, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 10 * 60 * 1000,
+      path: '/api/auth/oauth'
+    });
+
+    res.redirect(url);
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Handle the provider callback and hand a login code (or a
+ *          re-authentication token) to the frontend
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @access  Public
+ */
+const oauthCallback = asyncHandler(async (req, res) => {
+  const redirectUrl = new URL('/oauth/callback', process.env.FRONTEND_URL || 'http://localhost:3000');
+
+  res.clearCookie(OAUTH_NONCE_COOKIE, { path: '/api/auth/oauth' });
+
+  try {
+    if (req.query.error) {
+      throw new ApiError(req.query.error_description || 'Login was cancelled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const { user, intent } = await oauthService.handleCallback(req.params.provider, {
+      code: req.query.code,
+      state: req.query.state,
+      cookieNonce: readCookie(req, OAUTH_NONCE_COOKIE)
+    });
+
+    if (intent === 'reauth') {
+      redirectUrl.searchParams.set('reauthToken', oauthService.createReauthToken(user));
+    } else {
+      redirectUrl.searchParams.set('code', oauthService.createLoginCode(user));
+    }
+  } catch (error) {
+    if (!error.isOperational) {
+      console.error('OAuth callback error:', error);
+    }
+    redirectUrl.searchParams.set('error', error.isOperational ? error.message : 'Login failed');
+  }
+
+  res.redirect(redirectUrl.toString());
+});
+
+/**
+ * @desc    Exchange an OAuth login code for tokens
+ * @route   POST /api/auth/oauth/exchange
+ * @access  Public
+ */
+const exchangeOAuthLoginCode = asyncHandler(async (req, res) => {
+  try {
+    const user = await oauthService.redeemLoginCode(req.body.code);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(HTTP_STATUS.OK).json(
+        createResponse(true, 'Two-factor authentication required', {
+          code: ERROR_CODES.TWO_FACTOR_REQUIRED,
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user)
+        })
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Login successful', await completeLogin(user, req))
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -114,7 +426,8 @@ const getMe = asyncHandler(async (req, res) => {
 
   res.status(HTTP_STATUS.OK).json(
     createResponse(true, 'User profile retrieved successfully', {
-      user: sanitizeUser(user)
+      user: sanitizeUser(user),
+      privileges: getPrivileges(user)
     })
   );
 });
@@ -156,7 +469,7 @@ const updateProfile = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const changePassword = asyncHandler(async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
+  const { currentPassword, newPassword, reauthToken } = req.body;
 
   const user = await User.findById(req.user._id).select('+password');
 
@@ -167,20 +480,47 @@ const changePassword = asyncHandler(async (req, res) => {
   }
 
   // Verify current password
-  const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-
-  if (!isCurrentPasswordValid) {
+  if (user.hasPassword && !(currentPassword && await user.comparePassword(currentPassword))) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json(
       createResponse(false, 'Current password is incorrect')
     );
   }
 
-  // Update password
+  const rejection = await passwordPolicyService.check(newPassword, user);
+  if (rejection) {
+    return sendPasswordRejected(res, rejection);
+  }
+
+  // Accounts created through OAuth have no current password and set their
+  // first one after signing in with their provider again
+  if (!user.hasPassword) {
+    try {
+      await accountService.confirmIdentity(user, { reauthToken });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
+      );
+    }
+  }
+
+  // Update password (invalidates previously issued access tokens)
   user.password = newPassword;
   await user.save();
 
+  // Kill existing sessions and hand back a fresh token pair
+  await tokenService.revokeAllForUser(user._id);
+  const { token, refreshToken } = await tokenService.issueTokens(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
   res.status(HTTP_STATUS.OK).json(
-    createResponse(true, 'Password changed successfully')
+    createResponse(true, 'Password changed successfully', {
+      token,
+      refreshToken
+    })
   );
 });
 
@@ -245,12 +585,20 @@ const resetPassword = asyncHandler(async (req, res) => {
     );
   }
 
+  const rejection = await passwordPolicyService.check(password, user);
+  if (rejection) {
+    return sendPasswordRejected(res, rejection);
+  }
+
   // Update password and clear reset token
   user.password = password;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
   await user.save();
 
+  // Sign out every existing session
+  await tokenService.revokeAllForUser(user._id);
+
   res.status(HTTP_STATUS.OK).json(
     createResponse(true, 'Password reset successfully')
   );
@@ -278,6 +626,10 @@ const verifyEmail = asyncHandler(async (req, res) => {
   user.emailVerificationToken = undefined;
   await user.save();
 
+  // Publish anything posted while unverified
+  const released = await user.releaseQuarantinedContent();
+  await notificationService.notifyReleasedContent(user, released);
+
   res.status(HTTP_STATUS.OK).json(
     createResponse(true, 'Email verified successfully')
   );
@@ -324,22 +676,331 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Refresh access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshToken = asyncHandler(async (req, res) => {
+  const { refreshToken: rawToken } = req.body;
+
+  try {
+    const { user, token, refreshToken: newRefreshToken } =
+      await tokenService.rotateRefreshToken(rawToken, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Token refreshed successfully', {
+        token,
+        refreshToken: newRefreshToken,
+        user: sanitizeUser(user)
+      })
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Logout user (revokes current access token, refresh token and session)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // Since we're using JWT, logout is handled client-side by removing the token
-  // This endpoint is here for completeness and can be used for logging purposes
-  
+  await tokenService.revokeAccessToken(req.tokenPayload);
+  await tokenService.revokeRefreshToken(req.body?.refreshToken, req.user._id);
+
+  if (req.authSession) {
+    await tokenService.revokeSession(req.authSession._id, req.user._id);
+  }
+
   res.status(HTTP_STATUS.OK).json(
     createResponse(true, 'Logout successful')
   );
 });
 
+/**
+ * @desc    Get active sessions of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveByUser(req.user._id).lean();
+  const currentSessionId = req.authSession?._id.toString();
+
+  const data = sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    isCurrent: session._id.toString() === currentSessionId
+  }));
+
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'Sessions retrieved successfully', data)
+  );
+});
+
+/**
+ * @desc    Sign out a single session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await tokenService.revokeSession(req.params.id, req.user._id);
+
+  if (!session) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      createResponse(false, 'Session not found')
+    );
+  }
+
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'Session signed out successfully')
+  );
+});
+
+/**
+ * @desc    Sign out every session except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  if (!req.authSession) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      createResponse(false, 'Current token is not bound to a session. Please log in again.')
+    );
+  }
+
+  const revokedCount = await tokenService.revokeAllForUser(req.user._id, req.authSession._id);
+
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'Signed out of all other sessions', { revokedCount })
+  );
+});
+
+/**
+ * @desc    Sign out a session from the "this wasn't me" link of a sign-in alert
+ * @route   POST /api/auth/sessions/report
+ * @access  Public
+ */
+const reportSession = asyncHandler(async (req, res) => {
+  try {
+    await tokenService.reportSession(req.body.token);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'The session has been signed out. Please change your password.')
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * Shape an API token for responses (never includes the hash)
+ * @param {Object} apiToken - ApiToken document
+ * @returns {Object} Public token data
+ */
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPreview: apiToken.tokenPreview,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  createdAt: apiToken.createdAt
+});
+
+/**
+ * @desc    Get personal API tokens of current user
+ * @route   GET /api/auth/tokens
+ * @access  Private
+ */
+const getApiTokens = asyncHandler(async (req, res) => {
+  const apiTokens = await ApiToken.findActiveByUser(req.user._id);
+
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'API tokens retrieved successfully', apiTokens.map(formatApiToken))
+  );
+});
+
+/**
+ * @desc    Create a personal API token
+ * @route   POST /api/auth/tokens
+ * @access  Private
+ */
+const createApiToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (scopes.includes(API_TOKEN_SCOPES.ADMIN) && !hasPrivilege(req.user, PRIVILEGES.MODERATE)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      createResponse(false, 'Only moderators and admins can create tokens with the admin scope')
+    );
+  }
+
+  const activeCount = (await ApiToken.findActiveByUser(req.user._id)).length;
+  if (activeCount >= MAX_API_TOKENS_PER_USER) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      createResponse(false, `You can have at most ${MAX_API_TOKENS_PER_USER} active API tokens`)
+    );
+  }
+
+  const { rawToken, apiToken } = await ApiToken.issue(req.user._id, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  res.status(HTTP_STATUS.CREATED).json(
+    createResponse(true, 'API token created. Copy it now - it will not be shown again.', {
+      ...formatApiToken(apiToken),
+      token: rawToken
+    })
+  );
+});
+
+/**
+ * @desc    Revoke a personal API token
+ * @route   DELETE /api/auth/tokens/:id
+ * @access  Private
+ */
+const revokeApiToken = asyncHandler(async (req, res) => {
+  const apiToken = await ApiToken.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
+
+  if (!apiToken) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json(
+      createResponse(false, 'API token not found')
+    );
+  }
+
+  apiToken.revokedAt = new Date();
+  await apiToken.save();
+
+  res.status(HTTP_STATUS.OK).json(
+    createResponse(true, 'API token revoked successfully')
+  );
+});
+
+/**
+ * @desc    Start two-factor enrollment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(req.user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Scan the QR code with your authenticator app, then confirm with a code', {
+        secret,
+        otpauthUrl
+      })
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Confirm two-factor enrollment
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Two-factor authentication enabled. Store your recovery codes safely.', {
+        recoveryCodes
+      })
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, reauthToken } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  try {
+    await accountService.confirmIdentity(user, { password, reauthToken });
+    await twoFactorService.verifyCode(req.user._id, code);
+    await twoFactorService.disable(req.user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Two-factor authentication disabled')
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
+/**
+ * @desc    Regenerate two-factor recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  try {
+    await twoFactorService.verifyCode(req.user._id, req.body.code);
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Recovery codes regenerated', { recoveryCodes })
+    );
+  } catch (error) {
+    if (!error.isOperational) throw error;
+
+    res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+});
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  getPasswordPolicy,
+  getOAuthProviders,
+  startOAuthLogin,
+  oauthCallback,
+  exchangeOAuthLoginCode,
   getMe,
   updateProfile,
   changePassword,
@@ -347,5 +1008,17 @@ module.exports = {
   resetPassword,
   verifyEmail,
   resendEmailVerification,
-  logout
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  reportSession,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
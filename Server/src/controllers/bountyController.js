@@ -0,0 +1,117 @@
+const Question = require('../models/Question');
+const { createResponse } = require('../utils/helpers');
+const { HTTP_STATUS } = require('../utils/constants');
+const bountyService = require('../services/bountyService');
+
+/**
+ * Load a question bounties can be offered or awarded on
+ * @param {string} id - Question ID
+ * @returns {Promise} Promise resolving to the question, or null
+ */
+const findBountyQuestion = async (id) => {
+  const question = await Question.findById(id);
+  if (!question || question.isDeleted || question.isQuarantined) return null;
+  return question;
+};
+
+/**
+ * Send the response for a failed bounty action
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the action
+ * @param {string} action - Description used in logs and the fallback message
+ */
+const sendBountyError = (res, error, action) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+  console.error(`${action} error:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    createResponse(false, `Failed to ${action.toLowerCase()}`)
+  );
+};
+
+/**
+ * @desc    Get the active bounty and past bounties on a question
+ * @route   GET /api/questions/:id/bounty
+ * @access  Public
+ */
+const getBounty = async (req, res) => {
+  try {
+    const question = await findBountyQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const bounties = await bountyService.getBounties(question._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Bounty retrieved successfully', {
+        active: bounties.find(bounty => bounty.status === 'active') || null,
+        bounties
+      })
+    );
+  } catch (error) {
+    sendBountyError(res, error, 'Retrieve bounty');
+  }
+};
+
+/**
+ * @desc    Offer a bounty on a question
+ * @route   POST /api/questions/:id/bounty
+ * @access  Private (verified email; costs the sponsor the bounty amount)
+ */
+const startBounty = async (req, res) => {
+  try {
+    const question = await findBountyQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const bounty = await bountyService.startBounty(question, req.user, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json(
+      createResponse(true, 'Bounty started successfully', {
+        bounty,
+        reputation: req.user.reputation
+      })
+    );
+  } catch (error) {
+    sendBountyError(res, error, 'Start bounty');
+  }
+};
+
+/**
+ * @desc    Award the active bounty to an answer
+ * @route   POST /api/questions/:id/bounty/award
+ * @access  Private (bounty sponsor)
+ */
+const awardBounty = async (req, res) => {
+  try {
+    const question = await findBountyQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const bounty = await bountyService.awardBountyTo(question, req.user, req.body.answerId);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Bounty awarded successfully', bounty)
+    );
+  } catch (error) {
+    sendBountyError(res, error, 'Award bounty');
+  }
+};
+
+module.exports = {
+  getBounty,
+  startBounty,
+  awardBounty
+};
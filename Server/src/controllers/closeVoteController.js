@@ -0,0 +1,200 @@
+const Question = require('../models/Question');
+const { createResponse, getPaginationParams, createPaginationMeta } = require('../utils/helpers');
+const { HTTP_STATUS } = require('../utils/constants');
+const closeVoteService = require('../services/closeVoteService');
+
+/**
+ * Load a question that close votes can be cast on
+ * @param {string} id - Question ID
+ * @returns {Promise} Promise resolving to the question, or null
+ */
+const findVotableQuestion = async (id) => {
+  const question = await Question.findById(id);
+  if (!question || question.isDeleted || question.isQuarantined) return null;
+  return question;
+};
+
+/**
+ * Send the response for a failed close vote action
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the action
+ * @param {string} action - Description used in logs and the fallback message
+ */
+const sendCloseVoteError = (res, error, action) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json(
+      createResponse(false, error.message)
+    );
+  }
+  console.error(`${action} error:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    createResponse(false, `Failed to ${action.toLowerCase()}`)
+  );
+};
+
+/**
+ * @desc    Get the active close and reopen votes on a question
+ * @route   GET /api/questions/:id/close-votes
+ * @access  Public
+ */
+const getCloseVotes = async (req, res) => {
+  try {
+    const question = await findVotableQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const tally = await closeVoteService.getTally(question._id, req.user?._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Close votes retrieved successfully', {
+        status: question.status,
+        closedReason: question.closedReason,
+        closedReasonType: question.closedReasonType,
+        ...tally
+      })
+    );
+  } catch (error) {
+    sendCloseVoteError(res, error, 'Retrieve close votes');
+  }
+};
+
+/**
+ * @desc    Vote to close a question
+ * @route   POST /api/questions/:id/close-votes
+ * @access  Private (close_vote privilege; moderator votes are binding)
+ */
+const castCloseVote = async (req, res) => {
+  try {
+    const question = await findVotableQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const { closed } = await closeVoteService.castCloseVote(question, req.user, req.body);
+    const tally = await closeVoteService.getTally(question._id, req.user._id);
+
+    res.status(closed ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json(
+      createResponse(true, closed ? 'Question closed' : 'Close vote recorded', {
+        status: question.status,
+        closedReason: question.closedReason,
+        closedReasonType: question.closedReasonType,
+        duplicateOf: question.duplicateOf,
+        ...tally
+      })
+    );
+  } catch (error) {
+    sendCloseVoteError(res, error, 'Cast close vote');
+  }
+};
+
+/**
+ * @desc    Vote to reopen a closed question
+ * @route   POST /api/questions/:id/reopen-votes
+ * @access  Private (close_vote privilege; moderator votes are binding)
+ */
+const castReopenVote = async (req, res) => {
+  try {
+    const question = await findVotableQuestion(req.params.id);
+    if (!question) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const { reopened } = await closeVoteService.castReopenVote(question, req.user, req.body);
+    const tally = await closeVoteService.getTally(question._id, req.user._id);
+
+    res.status(reopened ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json(
+      createResponse(true, reopened ? 'Question reopened' : 'Reopen vote recorded', {
+        status: question.status,
+        ...tally
+      })
+    );
+  } catch (error) {
+    sendCloseVoteError(res, error, 'Cast reopen vote');
+  }
+};
+
+/**
+ * Build a handler that withdraws the current user's vote
+ * @param {string} type - "close" or "reopen"
+ * @returns {Function} Express handler
+ */
+const retractVote = (type) => async (req, res) => {
+  try {
+    await closeVoteService.retractVote(req.params.id, req.user._id, type);
+    const tally = await closeVoteService.getTally(req.params.id, req.user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, `${type === 'close' ? 'Close' : 'Reopen'} vote withdrawn`, tally)
+    );
+  } catch (error) {
+    sendCloseVoteError(res, error, `Withdraw ${type} vote`);
+  }
+};
+
+/**
+ * @desc    Withdraw a close vote
+ * @route   DELETE /api/questions/:id/close-votes
+ * @access  Private
+ */
+const retractCloseVote = retractVote('close');
+
+/**
+ * @desc    Withdraw a reopen vote
+ * @route   DELETE /api/questions/:id/reopen-votes
+ * @access  Private
+ */
+const retractReopenVote = retractVote('reopen');
+
+/**
+ * Build a handler listing questions waiting for a close or reopen decision
+ * @param {string} type - "close" or "reopen"
+ * @returns {Function} Express handler
+ */
+const getQueue = (type) => async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { entries, total } = await closeVoteService.getQueue(type, { skip, limit });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(
+        true,
+        `${type === 'close' ? 'Close' : 'Reopen'} queue retrieved successfully`,
+        { votesRequired: closeVoteService.getVotesRequired(), entries },
+        createPaginationMeta(total, page, limit)
+      )
+    );
+  } catch (error) {
+    sendCloseVoteError(res, error, `Retrieve ${type} queue`);
+  }
+};
+
+/**
+ * @desc    Get open questions with pending close votes
+ * @route   GET /api/questions/close-queue
+ * @access  Private (close_vote privilege)
+ */
+const getCloseQueue = getQueue('close');
+
+/**
+ * @desc    Get closed questions with pending reopen votes
+ * @route   GET /api/questions/reopen-queue
+ * @access  Private (close_vote privilege)
+ */
+const getReopenQueue = getQueue('reopen');
+
+module.exports = {
+  getCloseVotes,
+  castCloseVote,
+  castReopenVote,
+  retractCloseVote,
+  retractReopenVote,
+  getCloseQueue,
+  getReopenQueue
+};
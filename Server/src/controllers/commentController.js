@@ -5,6 +5,8 @@ const { createResponse, getPaginationParams, createPaginationMeta } = require('.
 const { HTTP_STATUS } = require('../utils/constants');
 const { createCommentSchema, updateCommentSchema } = require('../utils/validators');
 const notificationService = require('../services/notificationService');
+const deletionService = require('../services/deletionService');
+const { canViewDeleted, getVisibilityFilter } = require('../utils/privileges');
 
 /**
  * @desc    Get comments for a question or answer
@@ -31,29 +33,29 @@ const getComments = async (req, res) => {
     // Verify the post exists
     const Model = postType === 'question' ? Question : Answer;
     const post = await Model.findById(postId);
-    if (!post) {
+    if (!post || !canViewDeleted(post, req.user)) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, `${postType} not found`)
       );
     }
 
-    // Get comments
-    const comments = await Comment.find({ 
-      postType, 
+    // Deleted comments are only listed for their author and moderators
+    const filterCriteria = {
+      postType,
       postId,
-      isDeleted: false
-    })
+      isQuarantined: { $ne: true },
+      ...getVisibilityFilter(req.user)
+    };
+
+    // Get comments
+    const comments = await Comment.find(filterCriteria)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .sort({ createdAt: 1 })
       .skip(skip)
       .limit(limit);
 
     // Get total count
-    const total = await Comment.countDocuments({ 
-      postType, 
-      postId,
-      isDeleted: false
-    });
+    const total = await Comment.countDocuments(filterCriteria);
 
     // Create pagination metadata
     const meta = createPaginationMeta(total, page, limit);
@@ -152,9 +154,20 @@ const createComment = async (req, res) => {
       author: req.user._id,
       postType,
       postId,
-      parentCommentId
+      parentCommentId,
+      isQuarantined: !!req.quarantine
     });
 
+    // Quarantined comments stay out of counts and notifications
+    if (comment.isQuarantined) {
+      const populatedComment = await Comment.findById(comment._id)
+        .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation');
+
+      return res.status(HTTP_STATUS.CREATED).json(
+        createResponse(true, 'Comment saved. It will be published once you verify your email.', populatedComment)
+      );
+    }
+
     // Update comment count on the post
     await Model.findByIdAndUpdate(postId, {
       $inc: { commentsCount: 1 }
@@ -234,13 +247,6 @@ const updateComment = async (req, res) => {
       );
     }
 
-    // Check if user is the author or an admin
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to update this comment')
-      );
-    }
-
     const { content } = value;
 
     // Update comment
@@ -271,77 +277,49 @@ const updateComment = async (req, res) => {
 /**
  * @desc    Delete a comment
  * @route   DELETE /api/comments/:id
- * @access  Private
+ * @access  Private (Author or Moderator)
  */
 const deleteComment = async (req, res) => {
   try {
-    const comment = await Comment.findOne({
-      _id: req.params.id,
-      isDeleted: false
-    });
-
-    if (!comment) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(
-        createResponse(false, 'Comment not found')
-      );
-    }
+    await deletionService.deleteComment(req.resource, req.user);
 
-    // Check if user is the author or an admin
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to delete this comment')
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Comment deleted successfully')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
-
-    // Soft delete the comment
-    comment.isDeleted = true;
-    comment.deletedAt = new Date();
-    await comment.save();
-
-    // Update comment count on the post
-    const Model = comment.postType === 'question' ? Question : Answer;
-    await Model.findByIdAndUpdate(comment.postId, {
-      $inc: { commentsCount: -1 }
-    });
-
-    // Update reply count on parent comment if it's a reply
-    if (comment.parentCommentId) {
-      await Comment.findByIdAndUpdate(comment.parentCommentId, {
-        $inc: { repliesCount: -1 }
-      });
-    }
-
-    // Delete all replies to this comment
-    const repliesDeleted = await Comment.updateMany(
-      { 
-        parentCommentId: comment._id,
-        isDeleted: false
-      },
-      { 
-        isDeleted: true,
-        deletedAt: new Date()
-      }
+    console.error('Delete comment error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to delete comment')
     );
+  }
+};
 
-    // Update comment count for deleted replies
-    if (repliesDeleted.modifiedCount > 0) {
-      await Model.findByIdAndUpdate(comment.postId, {
-        $inc: { commentsCount: -repliesDeleted.modifiedCount }
-      });
-    }
+/**
+ * @desc    Undelete a comment
+ * @route   POST /api/comments/:id/undelete
+ * @access  Private (Author who deleted it or Moderator, within the undelete window)
+ */
+const undeleteComment = async (req, res) => {
+  try {
+    const comment = await deletionService.undeleteComment(req.resource, req.user);
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Comment deleted successfully')
+      createResponse(true, 'Comment undeleted successfully', comment)
     );
   } catch (error) {
-    console.error('Delete comment error:', error);
-    if (error.name === 'CastError') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Invalid comment ID')
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
+    console.error('Undelete comment error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createResponse(false, 'Failed to delete comment')
+      createResponse(false, 'Failed to undelete comment')
     );
   }
 };
@@ -369,7 +347,8 @@ const getCommentReplies = async (req, res) => {
     // Get replies
     const replies = await Comment.find({ 
       parentCommentId: req.params.id,
-      isDeleted: false
+      isDeleted: false,
+      isQuarantined: { $ne: true }
     })
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .sort({ createdAt: 1 })
@@ -379,7 +358,8 @@ const getCommentReplies = async (req, res) => {
     // Get total count
     const total = await Comment.countDocuments({ 
       parentCommentId: req.params.id,
-      isDeleted: false
+      isDeleted: false,
+      isQuarantined: { $ne: true }
     });
 
     // Create pagination metadata
@@ -413,7 +393,8 @@ const getCommentsByUser = async (req, res) => {
     // Get comments
     const comments = await Comment.find({ 
       author: req.params.userId,
-      isDeleted: false
+      isDeleted: false,
+      isQuarantined: { $ne: true }
     })
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('postId', 'title') // Populate post title
@@ -424,7 +405,8 @@ const getCommentsByUser = async (req, res) => {
     // Get total count
     const total = await Comment.countDocuments({ 
       author: req.params.userId,
-      isDeleted: false
+      isDeleted: false,
+      isQuarantined: { $ne: true }
     });
 
     // Create pagination metadata
@@ -452,6 +434,7 @@ module.exports = {
   createComment,
   updateComment,
   deleteComment,
+  undeleteComment,
   getCommentReplies,
   getCommentsByUser
 };
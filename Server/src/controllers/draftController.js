@@ -0,0 +1,154 @@
+const Draft = require('../models/Draft');
+const Question = require('../models/Question');
+const { createResponse } = require('../utils/helpers');
+const { HTTP_STATUS, DRAFT_KINDS } = require('../utils/constants');
+
+/**
+ * @desc    Get all drafts of the current user
+ * @route   GET /api/drafts
+ * @access  Private
+ */
+const getDrafts = async (req, res) => {
+  try {
+    const drafts = await Draft.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('question', 'title status')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Drafts retrieved successfully', drafts)
+    );
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve drafts')
+    );
+  }
+};
+
+/**
+ * Build a handler returning the current user's draft for a context
+ * Responds with null data when there is no draft
+ * @param {string} kind - One of DRAFT_KINDS
+ * @returns {Function} Express handler
+ */
+const getDraft = (kind) => async (req, res) => {
+  try {
+    const draft = await Draft.findDraft(req.user._id, kind, req.params.questionId || null);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, draft ? 'Draft retrieved successfully' : 'No draft saved', draft)
+    );
+  } catch (error) {
+    console.error('Get draft error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve draft')
+    );
+  }
+};
+
+/**
+ * Build a handler saving the current user's draft for a context
+ * @param {string} kind - One of DRAFT_KINDS
+ * @returns {Function} Express handler
+ */
+const saveDraft = (kind) => async (req, res) => {
+  try {
+    const questionId = req.params.questionId || null;
+
+    if (questionId) {
+      const question = await Question.findById(questionId).select('isDeleted');
+      if (!question || question.isDeleted) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(
+          createResponse(false, 'Question not found')
+        );
+      }
+    }
+
+    const draft = await Draft.saveDraft(req.user._id, kind, questionId, req.body);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Draft saved', draft)
+    );
+  } catch (error) {
+    console.error('Save draft error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to save draft')
+    );
+  }
+};
+
+/**
+ * Build a handler discarding the current user's draft for a context
+ * @param {string} kind - One of DRAFT_KINDS
+ * @returns {Function} Express handler
+ */
+const deleteDraft = (kind) => async (req, res) => {
+  try {
+    await Draft.discard(req.user._id, kind, req.params.questionId || null);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Draft discarded')
+    );
+  } catch (error) {
+    console.error('Delete draft error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to discard draft')
+    );
+  }
+};
+
+/**
+ * @desc    Get the draft of a new question
+ * @route   GET /api/drafts/question
+ * @access  Private
+ */
+const getQuestionDraft = getDraft(DRAFT_KINDS.QUESTION);
+
+/**
+ * @desc    Save the draft of a new question
+ * @route   PUT /api/drafts/question
+ * @access  Private
+ */
+const saveQuestionDraft = saveDraft(DRAFT_KINDS.QUESTION);
+
+/**
+ * @desc    Discard the draft of a new question
+ * @route   DELETE /api/drafts/question
+ * @access  Private
+ */
+const deleteQuestionDraft = deleteDraft(DRAFT_KINDS.QUESTION);
+
+/**
+ * @desc    Get the draft of an answer to a question
+ * @route   GET /api/drafts/answer/:questionId
+ * @access  Private
+ */
+const getAnswerDraft = getDraft(DRAFT_KINDS.ANSWER);
+
+/**
+ * @desc    Save the draft of an answer to a question
+ * @route   PUT /api/drafts/answer/:questionId
+ * @access  Private
+ */
+const saveAnswerDraft = saveDraft(DRAFT_KINDS.ANSWER);
+
+/**
+ * @desc    Discard the draft of an answer to a question
+ * @route   DELETE /api/drafts/answer/:questionId
+ * @access  Private
+ */
+const deleteAnswerDraft = deleteDraft(DRAFT_KINDS.ANSWER);
+
+module.exports = {
+  getDrafts,
+  getQuestionDraft,
+  saveQuestionDraft,
+  deleteQuestionDraft,
+  getAnswerDraft,
+  saveAnswerDraft,
+  deleteAnswerDraft
+};
@@ -0,0 +1,153 @@
+const Follow = require('../models/Follow');
+const Question = require('../models/Question');
+const Tag = require('../models/Tag');
+const { createResponse } = require('../utils/helpers');
+const { HTTP_STATUS, FOLLOW_TARGETS } = require('../utils/constants');
+const { joinQuestionRoom, leaveQuestionRoom } = require('../socket/socketHandlers');
+
+/**
+ * Load a followable target
+ * @param {string} targetType - One of FOLLOW_TARGETS
+ * @param {string} id - Target ID
+ * @returns {Promise} Promise resolving to the target, or null
+ */
+const findFollowTarget = async (targetType, id) => {
+  if (targetType === FOLLOW_TARGETS.TAG) {
+    return Tag.findById(id).select('name');
+  }
+
+  const question = await Question.findById(id).select('title isDeleted isQuarantined');
+  if (!question || question.isDeleted || question.isQuarantined) return null;
+  return question;
+};
+
+/**
+ * Build a handler following a question or tag for the current user
+ * Following an already followed target is a no-op
+ * @param {string} targetType - One of FOLLOW_TARGETS
+ * @returns {Function} Express handler
+ */
+const follow = (targetType) => async (req, res) => {
+  try {
+    const target = await findFollowTarget(targetType, req.params.id);
+    if (!target) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, `${targetType === FOLLOW_TARGETS.TAG ? 'Tag' : 'Question'} not found`)
+      );
+    }
+
+    await Follow.updateOne(
+      { user: req.user._id, targetType, target: target._id },
+      { $setOnInsert: { user: req.user._id, targetType, target: target._id } },
+      { upsert: true }
+    );
+
+    if (targetType === FOLLOW_TARGETS.QUESTION) {
+      joinQuestionRoom(req.user._id, target._id);
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, `Following ${targetType}`, { following: true })
+    );
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, `Failed to follow ${targetType}`)
+    );
+  }
+};
+
+/**
+ * Build a handler unfollowing a question or tag for the current user
+ * @param {string} targetType - One of FOLLOW_TARGETS
+ * @returns {Function} Express handler
+ */
+const unfollow = (targetType) => async (req, res) => {
+  try {
+    await Follow.deleteOne({ user: req.user._id, targetType, target: req.params.id });
+
+    if (targetType === FOLLOW_TARGETS.QUESTION) {
+      leaveQuestionRoom(req.user._id, req.params.id);
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, `Unfollowed ${targetType}`, { following: false })
+    );
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, `Failed to unfollow ${targetType}`)
+    );
+  }
+};
+
+/**
+ * @desc    Get the questions and tags the current user follows
+ * @route   GET /api/users/me/follows
+ * @access  Private
+ */
+const getMyFollows = async (req, res) => {
+  try {
+    const follows = await Follow.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const idsOf = (targetType) => follows
+      .filter(followed => followed.targetType === targetType)
+      .map(followed => followed.target);
+
+    const [questions, tags] = await Promise.all([
+      Question.find({ _id: { $in: idsOf(FOLLOW_TARGETS.QUESTION) }, isDeleted: { $ne: true } })
+        .select('title status answerCount lastActivity')
+        .lean(),
+      Tag.find({ _id: { $in: idsOf(FOLLOW_TARGETS.TAG) } })
+        .select('name color description')
+        .lean()
+    ]);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Follows retrieved successfully', { questions, tags })
+    );
+  } catch (error) {
+    console.error('Get follows error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve follows')
+    );
+  }
+};
+
+/**
+ * @desc    Follow a question
+ * @route   POST /api/questions/:id/follow
+ * @access  Private
+ */
+const followQuestion = follow(FOLLOW_TARGETS.QUESTION);
+
+/**
+ * @desc    Unfollow a question
+ * @route   DELETE /api/questions/:id/follow
+ * @access  Private
+ */
+const unfollowQuestion = unfollow(FOLLOW_TARGETS.QUESTION);
+
+/**
+ * @desc    Follow a tag
+ * @route   POST /api/tags/:id/follow
+ * @access  Private
+ */
+const followTag = follow(FOLLOW_TARGETS.TAG);
+
+/**
+ * @desc    Unfollow a tag
+ * @route   DELETE /api/tags/:id/follow
+ * @access  Private
+ */
+const unfollowTag = unfollow(FOLLOW_TARGETS.TAG);
+
+module.exports = {
+  getMyFollows,
+  followQuestion,
+  unfollowQuestion,
+  followTag,
+  unfollowTag
+};
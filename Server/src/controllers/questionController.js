@@ -1,11 +1,42 @@
 const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const QuestionRevision = require('../models/QuestionRevision');
+const Draft = require('../models/Draft');
+const Follow = require('../models/Follow');
 const Tag = require('../models/Tag');
 const ViewHistory = require('../models/ViewHistory');
-const { createResponse, getPaginationParams, createPaginationMeta } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const {
+  createResponse,
+  getPaginationParams,
+  createPaginationMeta,
+  createCursorPaginationMeta,
+  getQuestionStatusFilter
+} = require('../utils/helpers');
+const { diffText, diffSets } = require('../utils/diff');
+const {
+  HTTP_STATUS,
+  DRAFT_KINDS,
+  FOLLOW_TARGETS,
+  QUESTION_STATUS,
+  PAGINATION
+} = require('../utils/constants');
 const { createQuestionSchema, updateQuestionSchema } = require('../utils/validators');
 const notificationService = require('../services/notificationService');
 const searchService = require('../services/searchService');
+const answerService = require('../services/answerService');
+const deletionService = require('../services/deletionService');
+const { canViewDeleted, getVisibilityFilter } = require('../utils/privileges');
+
+/**
+ * Check if a question can be shown to the requesting user
+ * @param {Object} question - Question document
+ * @param {Object} [user] - Authenticated user
+ * @returns {boolean} True if visible
+ */
+const isQuestionVisible = (question, user) => {
+  if (!question || !canViewDeleted(question, user)) return false;
+  return !question.isQuarantined || question.author.toString() === user?._id.toString();
+};
 
 /**
  * @desc    Get all questions with filters
@@ -15,13 +46,13 @@ const searchService = require('../services/searchService');
 const getQuestions = async (req, res) => {
   try {
     const { page, limit, skip } = getPaginationParams(req.query);
-    const { search, tags, sort = 'newest', status = 'open' } = req.query;
+    const { search, tags, sort = 'newest', status = QUESTION_STATUS.ACTIVE } = req.query;
 
     // Build filter criteria
-    const filterCriteria = { status: { $ne: 'deleted' } };
+    const filterCriteria = { isDeleted: { $ne: true }, isQuarantined: { $ne: true } };
     
     if (status !== 'all') {
-      filterCriteria.status = status;
+      filterCriteria.status = getQuestionStatusFilter(status);
     }
 
     if (search) {
@@ -52,9 +83,14 @@ const getQuestions = async (req, res) => {
         sortCriteria = { lastActivity: -1 };
         break;
       case 'unanswered':
-        filterCriteria.answersCount = 0;
+        filterCriteria.answerCount = 0;
         sortCriteria = { createdAt: -1 };
         break;
+      case 'featured':
+        // Questions with an active bounty, largest first, then ending soonest
+        filterCriteria.bountyAmount = { $gt: 0 };
+        sortCriteria = { bountyAmount: -1, bountyExpiresAt: 1 };
+        break;
       default: // newest
         sortCriteria = { createdAt: -1 };
     }
@@ -97,15 +133,17 @@ const getQuestionById = async (req, res) => {
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('tags', 'name color description')
       .populate('acceptedAnswer')
-      .populate({
-        path: 'answers',
-        populate: {
-          path: 'author',
-          select: 'username profile.firstName profile.lastName profile.avatar reputation'
-        }
-      });
+      .populate('duplicateOf', 'title status isDeleted answerCount acceptedAnswer');
 
-    if (!question || question.status === 'deleted') {
+    // Deleted questions stay visible to their author and moderators for a while
+    if (!question || !canViewDeleted(question, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    // Quarantined questions are only visible to their author
+    if (question.isQuarantined && question.author._id.toString() !== req.user?._id.toString()) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
@@ -127,8 +165,47 @@ const getQuestionById = async (req, res) => {
       // Don't fail the request if view recording fails
     }
 
+    // Questions closed as duplicates of this one
+    const linkedDuplicates = await Question.find({
+      duplicateOf: question._id,
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
+    })
+      .select('title answerCount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    // Community wiki questions credit everyone who wrote them
+    let contributors;
+    if (question.isCommunityWiki) {
+      await QuestionRevision.ensureInitial(question);
+      contributors = await QuestionRevision.getContributors(question._id);
+    }
+
+    const isFollowing = req.user
+      ? !!(await Follow.exists({ user: req.user._id, targetType: FOLLOW_TARGETS.QUESTION, target: question._id }))
+      : undefined;
+
+    // Only the first page of answers; GET /api/answers/question/:id pages through the rest
+    const answerLimit = PAGINATION.DEFAULT_LIMIT;
+    const { answers, total, nextCursor } = await answerService.listAnswers({
+      question: question._id,
+      isQuarantined: { $ne: true },
+      ...getVisibilityFilter(req.user)
+    }, { sort: req.query.answerSort, limit: answerLimit });
+
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Question retrieved successfully', question)
+      createResponse(true, 'Question retrieved successfully', {
+        ...question.toObject(),
+        // Deleted canonical questions aren't linked
+        duplicateOf: question.duplicateOf?.isDeleted ? null : question.duplicateOf,
+        linkedDuplicates,
+        contributors,
+        isFollowing,
+        answers,
+        answersPagination: createCursorPaginationMeta(total, answerLimit, nextCursor).pagination
+      })
     );
   } catch (error) {
     console.error('Get question by ID error:', error);
@@ -158,7 +235,7 @@ const createQuestion = async (req, res) => {
       );
     }
 
-    const { title, description, tags } = value;
+    const { title, description, tags, communityWiki = false, answer: answerContent } = value;
 
     // Process tags - convert tag names to ObjectIds, create if they don't exist
     const tagIds = [];
@@ -183,22 +260,52 @@ const createQuestion = async (req, res) => {
       title,
       description,
       tags: tagIds,
-      author: req.user._id
+      author: req.user._id,
+      isQuarantined: !!req.quarantine,
+      isCommunityWiki: communityWiki,
+      communityWikiAt: communityWiki ? new Date() : null
     });
 
+    await QuestionRevision.record(question, req.user._id, { type: 'initial' });
+
+    // The question is posted, so its draft is no longer needed
+    await Draft.discard(req.user._id, DRAFT_KINDS.QUESTION);
+
     // Update tag usage counts
     await Tag.updateMany(
       { _id: { $in: tagIds } },
       { $inc: { usageCount: 1 } }
     );
 
+    // Q&A style: the author documents the solution along with the question
+    let selfAnswer;
+    if (answerContent) {
+      selfAnswer = await Answer.create({
+        content: answerContent,
+        author: req.user._id,
+        question: question._id,
+        isSelfAnswer: true,
+        isQuarantined: question.isQuarantined
+      });
+    }
+
+    // Quarantined questions stay hidden, so tag followers hear about them once
+    // published (see notificationService.notifyReleasedContent)
+    if (!question.isQuarantined) {
+      await notificationService.notifyTagFollowers(question);
+    }
+
     // Populate the created question
     const populatedQuestion = await Question.findById(question._id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('tags', 'name color description');
 
+    const message = question.isQuarantined
+      ? 'Question saved. It will be published once you verify your email.'
+      : 'Question created successfully';
+
     res.status(HTTP_STATUS.CREATED).json(
-      createResponse(true, 'Question created successfully', populatedQuestion)
+      createResponse(true, message, { ...populatedQuestion.toObject(), selfAnswer })
     );
   } catch (error) {
     console.error('Create question error:', error);
@@ -224,22 +331,15 @@ const updateQuestion = async (req, res) => {
     }
 
     const question = await Question.findById(req.params.id);
-    if (!question || question.status === 'deleted') {
+    if (!question || question.isDeleted) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
     }
 
-    // Check if user is the author or an admin
-    if (question.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to update this question')
-      );
-    }
-
-    const { title, description, tags } = value;
+    const { title, description, tags, reason } = value;
 
-    // If tags are being updated, verify they exist and update counts
+    // If tags are being updated, verify they exist
     if (tags) {
       const existingTags = await Tag.find({ _id: { $in: tags } });
       if (existingTags.length !== tags.length) {
@@ -247,32 +347,36 @@ const updateQuestion = async (req, res) => {
           createResponse(false, 'One or more tags do not exist')
         );
       }
+    }
 
-      // Decrease count for old tags
-      await Tag.updateMany(
-        { _id: { $in: question.tags } },
-        { $inc: { usageCount: -1 } }
-      );
+    // Keep the pre-edit version of questions created before revision history
+    await QuestionRevision.ensureInitial(question);
+
+    const previousTags = [...question.tags];
+    if (title) question.title = title;
+    if (description) question.description = description;
+    if (tags) question.tags = tags;
 
-      // Increase count for new tags
-      await Tag.updateMany(
-        { _id: { $in: tags } },
-        { $inc: { usageCount: 1 } }
+    if (!question.isModified()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'No changes to save')
       );
     }
 
-    // Update question
-    const updateData = {};
-    if (title) updateData.title = title;
-    if (description) updateData.description = description;
-    if (tags) updateData.tags = tags;
-    updateData.isEdited = true;
+    await question.save();
 
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
+    if (tags) {
+      await Tag.updateUsage(previousTags, tags);
+    }
+
+    await QuestionRevision.record(question, req.user._id, { reason: reason || null });
+
+    await notificationService.notifyQuestionFollowers(question, {
+      sender: req.user._id,
+      message: `"${question.title}" was edited`
+    });
+
+    const updatedQuestion = await Question.findById(question._id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('tags', 'name color description');
 
@@ -293,49 +397,51 @@ const updateQuestion = async (req, res) => {
 };
 
 /**
- * @desc    Delete a question
+ * @desc    Delete a question along with its answers and comments
  * @route   DELETE /api/questions/:id
- * @access  Private
+ * @access  Private (Author or Moderator)
  */
 const deleteQuestion = async (req, res) => {
   try {
-    const question = await Question.findById(req.params.id);
-    if (!question || question.status === 'deleted') {
-      return res.status(HTTP_STATUS.NOT_FOUND).json(
-        createResponse(false, 'Question not found')
-      );
-    }
+    await deletionService.deleteQuestion(req.resource, req.user);
 
-    // Check if user is the author or an admin
-    if (question.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Not authorized to delete this question')
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Question deleted successfully')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
-
-    // Soft delete the question
-    question.status = 'deleted';
-    question.deletedAt = new Date();
-    await question.save();
-
-    // Decrease tag usage counts
-    await Tag.updateMany(
-      { _id: { $in: question.tags } },
-      { $inc: { usageCount: -1 } }
+    console.error('Delete question error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to delete question')
     );
+  }
+};
+
+/**
+ * @desc    Undelete a question along with the answers and comments deleted with it
+ * @route   POST /api/questions/:id/undelete
+ * @access  Private (Author who deleted it or Moderator, within the undelete window)
+ */
+const undeleteQuestion = async (req, res) => {
+  try {
+    const question = await deletionService.undeleteQuestion(req.resource, req.user);
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Question deleted successfully')
+      createResponse(true, 'Question undeleted successfully', question)
     );
   } catch (error) {
-    console.error('Delete question error:', error);
-    if (error.name === 'CastError') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Invalid question ID')
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
       );
     }
+    console.error('Undelete question error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createResponse(false, 'Failed to delete question')
+      createResponse(false, 'Failed to undelete question')
     );
   }
 };
@@ -369,6 +475,34 @@ const searchQuestions = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Find existing questions similar to one being asked
+ * @route   GET /api/questions/possible-duplicates?title=...&description=...&exclude=:id&limit=5
+ * @access  Public
+ */
+const getPossibleDuplicates = async (req, res) => {
+  try {
+    const { title, description, exclude } = req.query;
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit, 10) || 5));
+
+    const questions = await searchService.findPossibleDuplicates({
+      title: title.trim(),
+      description: description || '',
+      excludeId: exclude || null,
+      limit
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Possible duplicates retrieved successfully', questions)
+    );
+  } catch (error) {
+    console.error('Get possible duplicates error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to find possible duplicates')
+    );
+  }
+};
+
 /**
  * @desc    Get trending questions
  * @route   GET /api/questions/trending
@@ -381,21 +515,22 @@ const getTrendingQuestions = async (req, res) => {
     // Get questions with high activity in the last 7 days
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
-    const questions = await Question.find({
-      status: 'open',
+    const filterCriteria = {
+      status: getQuestionStatusFilter(QUESTION_STATUS.ACTIVE),
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true },
       createdAt: { $gte: sevenDaysAgo }
-    })
+    };
+
+    const questions = await Question.find(filterCriteria)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('tags', 'name color description')
-      .sort({ views: -1, voteScore: -1, answersCount: -1 })
+      .sort({ views: -1, voteScore: -1, answerCount: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Question.countDocuments({
-      status: 'open',
-      createdAt: { $gte: sevenDaysAgo }
-    });
+    const total = await Question.countDocuments(filterCriteria);
 
     const meta = createPaginationMeta(total, page, limit);
 
@@ -419,10 +554,14 @@ const getUnansweredQuestions = async (req, res) => {
   try {
     const { page, limit, skip } = getPaginationParams(req.query);
 
-    const questions = await Question.find({
-      status: 'open',
-      answersCount: 0
-    })
+    const filterCriteria = {
+      status: getQuestionStatusFilter(QUESTION_STATUS.ACTIVE),
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true },
+      answerCount: 0
+    };
+
+    const questions = await Question.find(filterCriteria)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
       .populate('tags', 'name color description')
       .sort({ createdAt: -1 })
@@ -430,10 +569,7 @@ const getUnansweredQuestions = async (req, res) => {
       .limit(limit)
       .lean();
 
-    const total = await Question.countDocuments({
-      status: 'open',
-      answersCount: 0
-    });
+    const total = await Question.countDocuments(filterCriteria);
 
     const meta = createPaginationMeta(total, page, limit);
 
@@ -449,119 +585,375 @@ const getUnansweredQuestions = async (req, res) => {
 };
 
 /**
- * @desc    Close a question
- * @route   PUT /api/questions/:id/close
- * @access  Private (Admin only)
+ * @desc    Get the revision history of a question
+ * @route   GET /api/questions/:id/revisions
+ * @access  Public
+ */
+const getQuestionRevisions = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!isQuestionVisible(question, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    await QuestionRevision.ensureInitial(question);
+
+    const revisions = await QuestionRevision.find({ question: question._id })
+      .populate('editor', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .populate('tags', 'name color')
+      .sort({ revisionNumber: -1 })
+      .lean();
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Question revisions retrieved successfully', revisions)
+    );
+  } catch (error) {
+    console.error('Get question revisions error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve question revisions')
+    );
+  }
+};
+
+/**
+ * @desc    Diff two revisions of a question
+ * @route   GET /api/questions/:id/revisions/diff?from=1&to=2&mode=line|word
+ * @access  Public
  */
-const closeQuestion = async (req, res) => {
+const getQuestionRevisionDiff = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Admin access required')
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    const mode = req.query.mode === 'word' ? 'word' : 'line';
+
+    const question = await Question.findById(req.params.id);
+    if (!isQuestionVisible(question, req.user)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
       );
     }
 
+    await QuestionRevision.ensureInitial(question);
+
+    const revisions = await QuestionRevision.find({
+      question: question._id,
+      revisionNumber: { $in: [from, to] }
+    })
+      .populate('editor', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .lean();
+
+    const oldRevision = revisions.find(revision => revision.revisionNumber === from);
+    const newRevision = revisions.find(revision => revision.revisionNumber === to);
+
+    if (!oldRevision || !newRevision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Revision not found')
+      );
+    }
+
+    const tagChanges = diffSets(oldRevision.tags, newRevision.tags);
+    const tags = await Tag.find({
+      _id: { $in: [...tagChanges.added, ...tagChanges.removed, ...tagChanges.unchanged] }
+    }).select('name color').lean();
+    const tagById = (id) => tags.find(tag => tag._id.toString() === id) || { _id: id };
+
+    const summarize = ({ revisionNumber, type, editor, reason, createdAt }) => ({
+      revisionNumber,
+      type,
+      editor,
+      reason,
+      createdAt
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Revision diff retrieved successfully', {
+        from: summarize(oldRevision),
+        to: summarize(newRevision),
+        mode,
+        title: diffText(oldRevision.title, newRevision.title, 'word'),
+        description: diffText(oldRevision.description, newRevision.description, mode),
+        tags: {
+          added: tagChanges.added.map(tagById),
+          removed: tagChanges.removed.map(tagById),
+          unchanged: tagChanges.unchanged.map(tagById)
+        }
+      })
+    );
+  } catch (error) {
+    console.error('Get question revision diff error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to diff question revisions')
+    );
+  }
+};
+
+/**
+ * @desc    Restore a question to an earlier revision
+ * @route   POST /api/questions/:id/revisions/:revision/rollback
+ * @access  Private (Author or Moderator)
+ */
+const rollbackQuestion = async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision, 10);
+
     const question = await Question.findById(req.params.id);
-    if (!question || question.status === 'deleted') {
+    if (!question || question.isDeleted) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
     }
 
-    if (question.status === 'closed') {
+    await QuestionRevision.ensureInitial(question);
+
+    const revision = Number.isInteger(revisionNumber) && await QuestionRevision.findOne({
+      question: question._id,
+      revisionNumber
+    });
+
+    if (!revision) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Revision not found')
+      );
+    }
+
+    // Tags deleted since the revision can't be restored
+    const existingTags = await Tag.find({ _id: { $in: revision.tags } }).select('_id');
+    const restoredTags = revision.tags.filter(tagId =>
+      existingTags.some(tag => tag._id.equals(tagId))
+    );
+
+    if (restoredTags.length === 0) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Question is already closed')
+        createResponse(false, 'None of the tags in this revision exist anymore')
+      );
+    }
+
+    const previousTags = [...question.tags];
+    question.title = revision.title;
+    question.description = revision.description;
+    question.tags = restoredTags;
+
+    if (!question.isModified()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Question already matches this revision')
       );
     }
 
-    question.status = 'closed';
-    question.closedAt = new Date();
-    question.closedBy = req.user._id;
     await question.save();
+    await Tag.updateUsage(previousTags, restoredTags);
 
-    const populatedQuestion = await Question.findById(question._id)
+    await QuestionRevision.record(question, req.user._id, {
+      type: 'rollback',
+      rolledBackTo: revisionNumber,
+      reason: req.body.reason || `Rolled back to revision ${revisionNumber}`
+    });
+
+    await notificationService.notifyQuestionFollowers(question, {
+      sender: req.user._id,
+      message: `"${question.title}" was rolled back to revision ${revisionNumber}`
+    });
+
+    const updatedQuestion = await Question.findById(question._id)
       .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
-      .populate('tags', 'name color description')
-      .populate('closedBy', 'username');
+      .populate('tags', 'name color description');
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Question closed successfully', populatedQuestion)
+      createResponse(true, `Question rolled back to revision ${revisionNumber}`, updatedQuestion)
     );
   } catch (error) {
-    console.error('Close question error:', error);
-    if (error.name === 'CastError') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Invalid question ID')
-      );
-    }
+    console.error('Rollback question error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createResponse(false, 'Failed to close question')
+      createResponse(false, 'Failed to roll back question')
     );
   }
 };
 
 /**
- * @desc    Reopen a question
- * @route   PUT /api/questions/:id/reopen
- * @access  Private (Admin only)
+ * Build a handler turning community wiki on or off for a question
+ * @param {boolean} enabled - Whether the question becomes a community wiki
+ * @returns {Function} Express handler
  */
-const reopenQuestion = async (req, res) => {
+const setCommunityWiki = (enabled) => async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Admin access required')
+    const question = req.resource;
+    if (question.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    if (question.isCommunityWiki === enabled) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, `Question is ${enabled ? 'already' : 'not'} a community wiki`)
       );
     }
 
+    await question.setCommunityWiki(enabled);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, enabled ? 'Question is now a community wiki' : 'Question is no longer a community wiki', {
+        isCommunityWiki: question.isCommunityWiki,
+        communityWikiAt: question.communityWikiAt
+      })
+    );
+  } catch (error) {
+    console.error('Set question community wiki error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to update community wiki status')
+    );
+  }
+};
+
+/**
+ * @desc    Make a question a community wiki
+ * @route   POST /api/questions/:id/community-wiki
+ * @access  Private (Author or Moderator)
+ */
+const makeCommunityWiki = setCommunityWiki(true);
+
+/**
+ * @desc    Turn a community wiki question back into a regular question
+ * @route   DELETE /api/questions/:id/community-wiki
+ * @access  Private (Moderator)
+ */
+const removeCommunityWiki = setCommunityWiki(false);
+
+/**
+ * Build a handler protecting or locking a question, optionally for a number of days
+ * @param {string} status - QUESTION_STATUS.PROTECTED or QUESTION_STATUS.LOCKED
+ * @returns {Function} Express handler
+ */
+const applyModerationStatus = (status) => async (req, res) => {
+  try {
     const question = await Question.findById(req.params.id);
-    if (!question || question.status === 'deleted') {
+    if (!question || question.isDeleted) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
         createResponse(false, 'Question not found')
       );
     }
 
-    if (question.status === 'open') {
+    if (question.status === status) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Question is already open')
+        createResponse(false, `Question is already ${status}`)
       );
     }
 
-    question.status = 'open';
-    question.closedAt = null;
-    question.closedBy = null;
-    await question.save();
+    // Closed questions take no answers, and locked ones are already restricted
+    if (status === QUESTION_STATUS.PROTECTED && question.status !== QUESTION_STATUS.ACTIVE) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'Only open questions can be protected')
+      );
+    }
 
-    const populatedQuestion = await Question.findById(question._id)
-      .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
-      .populate('tags', 'name color description');
+    const { durationDays, reason } = req.body;
+    const expiresAt = durationDays
+      ? new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    await question.setModerationStatus(status, {
+      userId: req.user._id,
+      reason: reason || null,
+      expiresAt
+    });
 
     res.status(HTTP_STATUS.OK).json(
-      createResponse(true, 'Question reopened successfully', populatedQuestion)
+      createResponse(true, `Question ${status} successfully`, {
+        status: question.status,
+        statusReason: question.statusReason,
+        statusExpiresAt: question.statusExpiresAt
+      })
     );
   } catch (error) {
-    console.error('Reopen question error:', error);
-    if (error.name === 'CastError') {
+    console.error(`Set question ${status} error:`, error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to update question status')
+    );
+  }
+};
+
+/**
+ * Build a handler lifting a question's protection or lock
+ * @param {string} status - QUESTION_STATUS.PROTECTED or QUESTION_STATUS.LOCKED
+ * @returns {Function} Express handler
+ */
+const liftModerationStatus = (status) => async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question || question.isDeleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    if (question.status !== status) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
-        createResponse(false, 'Invalid question ID')
+        createResponse(false, `Question is not ${status}`)
       );
     }
+
+    await question.clearModerationStatus();
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, `Question is no longer ${status}`, {
+        status: question.status
+      })
+    );
+  } catch (error) {
+    console.error(`Lift question ${status} error:`, error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      createResponse(false, 'Failed to reopen question')
+      createResponse(false, 'Failed to update question status')
     );
   }
 };
 
+/**
+ * @desc    Protect a question so only users with some reputation can answer
+ * @route   POST /api/questions/:id/protect
+ * @access  Private (Moderator)
+ */
+const protectQuestion = applyModerationStatus(QUESTION_STATUS.PROTECTED);
+
+/**
+ * @desc    Remove a question's protection
+ * @route   DELETE /api/questions/:id/protect
+ * @access  Private (Moderator)
+ */
+const unprotectQuestion = liftModerationStatus(QUESTION_STATUS.PROTECTED);
+
+/**
+ * @desc    Lock a question against edits, votes and comments
+ * @route   POST /api/questions/:id/lock
+ * @access  Private (Moderator)
+ */
+const lockQuestion = applyModerationStatus(QUESTION_STATUS.LOCKED);
+
+/**
+ * @desc    Unlock a question
+ * @route   DELETE /api/questions/:id/lock
+ * @access  Private (Moderator)
+ */
+const unlockQuestion = liftModerationStatus(QUESTION_STATUS.LOCKED);
+
 module.exports = {
   getQuestions,
   getQuestionById,
   createQuestion,
   updateQuestion,
   deleteQuestion,
+  undeleteQuestion,
   searchQuestions,
+  getPossibleDuplicates,
   getTrendingQuestions,
   getUnansweredQuestions,
-  closeQuestion,
-  reopenQuestion
+  getQuestionRevisions,
+  getQuestionRevisionDiff,
+  rollbackQuestion,
+  makeCommunityWiki,
+  removeCommunityWiki,
+  protectQuestion,
+  unprotectQuestion,
+  lockQuestion,
+  unlockQuestion
 };
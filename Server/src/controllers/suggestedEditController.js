@@ -0,0 +1,538 @@
+const SuggestedEdit = require('../models/SuggestedEdit');
+const Question = require('../models/Question');
+const QuestionRevision = require('../models/QuestionRevision');
+const Answer = require('../models/Answer');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const {
+  createResponse,
+  getPaginationParams,
+  createPaginationMeta,
+  calculateReputationChange
+} = require('../utils/helpers');
+const { diffText, diffSets } = require('../utils/diff');
+const {
+  HTTP_STATUS,
+  SUGGESTED_EDIT_STATUS,
+  MAX_PENDING_SUGGESTED_EDITS_PER_USER
+} = require('../utils/constants');
+const { PRIVILEGES, hasPrivilege, getEditPrivilege } = require('../utils/privileges');
+const notificationService = require('../services/notificationService');
+
+const USER_FIELDS = 'username profile.firstName profile.lastName profile.avatar reputation';
+
+/**
+ * Check if a user may approve or reject a suggested edit
+ * The post author and users who can edit any post review suggestions;
+ * nobody reviews their own
+ * @param {Object} suggestion - Suggested edit document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} True if allowed
+ */
+const canReview = (suggestion, user) => {
+  const userId = user._id.toString();
+  const authorId = (suggestion.postAuthor._id || suggestion.postAuthor).toString();
+  const suggesterId = (suggestion.suggestedBy._id || suggestion.suggestedBy).toString();
+
+  if (suggesterId === userId) return false;
+  return authorId === userId || hasPrivilege(user, PRIVILEGES.EDIT_OTHERS_POSTS);
+};
+
+/**
+ * Load the post a suggested edit targets
+ * @param {Object} suggestion - Suggested edit document
+ * @returns {Promise} Promise resolving to the post, or null if it's gone
+ */
+const loadTarget = async (suggestion) => {
+  if (suggestion.targetType === 'question') {
+    const question = await Question.findById(suggestion.target);
+    return question && !question.isDeleted ? question : null;
+  }
+
+  return await Answer.findOne({ _id: suggestion.target, isDeleted: false });
+};
+
+/**
+ * Store a suggested edit after the checks shared by questions and answers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} post - Question or answer being edited
+ * @param {Object} suggestion - { targetType, target, question, postAuthor, original, ...proposed fields }
+ */
+const saveSuggestion = async (req, res, post, suggestion) => {
+  const userId = req.user._id.toString();
+
+  if (suggestion.postAuthor.toString() === userId) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      createResponse(false, 'You can edit your own post directly')
+    );
+  }
+
+  if (hasPrivilege(req.user, getEditPrivilege(post))) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      createResponse(false, 'You can edit this post directly')
+    );
+  }
+
+  const pendingCount = await SuggestedEdit.countDocuments({
+    suggestedBy: req.user._id,
+    status: SUGGESTED_EDIT_STATUS.PENDING
+  });
+
+  if (pendingCount >= MAX_PENDING_SUGGESTED_EDITS_PER_USER) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(
+      createResponse(
+        false,
+        `You can have at most ${MAX_PENDING_SUGGESTED_EDITS_PER_USER} suggested edits waiting for review`
+      )
+    );
+  }
+
+  let created;
+  try {
+    created = await SuggestedEdit.create({
+      ...suggestion,
+      suggestedBy: req.user._id,
+      reason: req.body.reason || null
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createResponse(false, 'This post already has a suggested edit waiting for review')
+      );
+    }
+    throw error;
+  }
+
+  await notificationService.notifySuggestedEdit(created);
+
+  res.status(HTTP_STATUS.CREATED).json(
+    createResponse(true, 'Edit suggested successfully. It will be applied once it is approved.', created)
+  );
+};
+
+/**
+ * @desc    Suggest an edit to a question
+ * @route   POST /api/suggested-edits/question/:id
+ * @access  Private
+ */
+const suggestQuestionEdit = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question || question.isDeleted || question.isQuarantined) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Question not found')
+      );
+    }
+
+    const { title, description, tags } = req.body;
+
+    if (tags) {
+      const existingTags = await Tag.find({ _id: { $in: tags } });
+      if (existingTags.length !== tags.length) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'One or more tags do not exist')
+        );
+      }
+    }
+
+    const tagChanges = tags ? diffSets(question.tags, tags) : null;
+    const unchanged = (!title || title === question.title) &&
+      (!description || description === question.description) &&
+      (!tagChanges || (tagChanges.added.length === 0 && tagChanges.removed.length === 0));
+
+    if (unchanged) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'No changes suggested')
+      );
+    }
+
+    await saveSuggestion(req, res, question, {
+      targetType: 'question',
+      target: question._id,
+      question: question._id,
+      postAuthor: question.author,
+      title: title || null,
+      description: description || null,
+      tags: tags || undefined,
+      original: {
+        title: question.title,
+        description: question.description,
+        tags: question.tags
+      }
+    });
+  } catch (error) {
+    console.error('Suggest question edit error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to suggest edit')
+    );
+  }
+};
+
+/**
+ * @desc    Suggest an edit to an answer
+ * @route   POST /api/suggested-edits/answer/:id
+ * @access  Private
+ */
+const suggestAnswerEdit = async (req, res) => {
+  try {
+    const answer = await Answer.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+      isQuarantined: { $ne: true }
+    });
+
+    if (!answer) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Answer not found')
+      );
+    }
+
+    if (req.body.content === answer.content) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, 'No changes suggested')
+      );
+    }
+
+    await saveSuggestion(req, res, answer, {
+      targetType: 'answer',
+      target: answer._id,
+      question: answer.question,
+      postAuthor: answer.author,
+      content: req.body.content,
+      original: {
+        content: answer.content
+      }
+    });
+  } catch (error) {
+    console.error('Suggest answer edit error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to suggest edit')
+    );
+  }
+};
+
+/**
+ * @desc    Get the suggested edit review queue
+ * @route   GET /api/suggested-edits?status=pending&targetType=question|answer
+ * @access  Private (reviewers see every suggestion; other users see their
+ *          own suggestions and those on their posts)
+ */
+const getSuggestedEdits = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { status = SUGGESTED_EDIT_STATUS.PENDING, targetType } = req.query;
+
+    const filterCriteria = {};
+
+    if (status !== 'all') {
+      if (!Object.values(SUGGESTED_EDIT_STATUS).includes(status)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'Invalid status')
+        );
+      }
+      filterCriteria.status = status;
+    }
+
+    if (targetType) {
+      if (!['question', 'answer'].includes(targetType)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'Invalid target type')
+        );
+      }
+      filterCriteria.targetType = targetType;
+    }
+
+    if (!hasPrivilege(req.user, PRIVILEGES.EDIT_OTHERS_POSTS)) {
+      filterCriteria.$or = [
+        { postAuthor: req.user._id },
+        { suggestedBy: req.user._id }
+      ];
+    }
+
+    // Oldest pending suggestions are reviewed first
+    const sortCriteria = status === SUGGESTED_EDIT_STATUS.PENDING
+      ? { createdAt: 1 }
+      : { createdAt: -1 };
+
+    const suggestions = await SuggestedEdit.find(filterCriteria)
+      .populate('suggestedBy', USER_FIELDS)
+      .populate('postAuthor', USER_FIELDS)
+      .populate('reviewedBy', USER_FIELDS)
+      .populate('question', 'title')
+      .populate('tags', 'name color')
+      .sort(sortCriteria)
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await SuggestedEdit.countDocuments(filterCriteria);
+    const meta = createPaginationMeta(total, page, limit);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Suggested edits retrieved successfully', suggestions, meta)
+    );
+  } catch (error) {
+    console.error('Get suggested edits error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve suggested edits')
+    );
+  }
+};
+
+/**
+ * @desc    Get a suggested edit with a diff against the post it was written for
+ * @route   GET /api/suggested-edits/:id?mode=line|word
+ * @access  Private (suggester, post author or reviewer)
+ */
+const getSuggestedEditById = async (req, res) => {
+  try {
+    const mode = req.query.mode === 'word' ? 'word' : 'line';
+
+    const suggestion = await SuggestedEdit.findById(req.params.id)
+      .populate('suggestedBy', USER_FIELDS)
+      .populate('postAuthor', USER_FIELDS)
+      .populate('reviewedBy', USER_FIELDS)
+      .populate('question', 'title');
+
+    const userId = req.user._id.toString();
+    const visible = suggestion && (
+      suggestion.suggestedBy._id.toString() === userId ||
+      suggestion.postAuthor._id.toString() === userId ||
+      hasPrivilege(req.user, PRIVILEGES.EDIT_OTHERS_POSTS)
+    );
+
+    if (!visible) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Suggested edit not found')
+      );
+    }
+
+    const { original } = suggestion;
+    const diff = {};
+
+    if (suggestion.targetType === 'answer') {
+      diff.content = diffText(original.content, suggestion.content, mode);
+    } else {
+      if (suggestion.title) diff.title = diffText(original.title, suggestion.title, 'word');
+      if (suggestion.description) {
+        diff.description = diffText(original.description, suggestion.description, mode);
+      }
+      if (suggestion.tags) {
+        const tagChanges = diffSets(original.tags, suggestion.tags);
+        const tags = await Tag.find({
+          _id: { $in: [...tagChanges.added, ...tagChanges.removed, ...tagChanges.unchanged] }
+        }).select('name color').lean();
+        const tagById = (id) => tags.find(tag => tag._id.toString() === id) || { _id: id };
+
+        diff.tags = {
+          added: tagChanges.added.map(tagById),
+          removed: tagChanges.removed.map(tagById),
+          unchanged: tagChanges.unchanged.map(tagById)
+        };
+      }
+    }
+
+    let isStale = false;
+    if (suggestion.status === SUGGESTED_EDIT_STATUS.PENDING) {
+      const post = await loadTarget(suggestion);
+      isStale = !post || suggestion.isStale(post);
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Suggested edit retrieved successfully', {
+        ...suggestion.toObject(),
+        mode,
+        diff,
+        isStale,
+        canReview: suggestion.status === SUGGESTED_EDIT_STATUS.PENDING && canReview(suggestion, req.user)
+      })
+    );
+  } catch (error) {
+    console.error('Get suggested edit error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to retrieve suggested edit')
+    );
+  }
+};
+
+/**
+ * Apply an approved suggestion to its question
+ * The suggester is recorded as the editor of the new revision
+ * @param {Object} suggestion - Suggested edit document
+ * @param {Object} question - Question document
+ */
+const applyQuestionEdit = async (suggestion, question) => {
+  await QuestionRevision.ensureInitial(question);
+
+  const previousTags = [...question.tags];
+  if (suggestion.title) question.title = suggestion.title;
+  if (suggestion.description) question.description = suggestion.description;
+  if (suggestion.tags) question.tags = suggestion.tags;
+
+  await question.save();
+
+  if (suggestion.tags) {
+    await Tag.updateUsage(previousTags, suggestion.tags);
+  }
+
+  await QuestionRevision.record(question, suggestion.suggestedBy, { reason: suggestion.reason });
+
+  await notificationService.notifyQuestionFollowers(question, {
+    sender: suggestion.suggestedBy,
+    message: `"${question.title}" was edited`
+  });
+};
+
+/**
+ * @desc    Approve a suggested edit and apply it to the post
+ * @route   POST /api/suggested-edits/:id/approve
+ * @access  Private (post author or reviewer)
+ */
+const approveSuggestedEdit = async (req, res) => {
+  try {
+    const suggestion = await SuggestedEdit.findById(req.params.id);
+    if (!suggestion) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Suggested edit not found')
+      );
+    }
+
+    if (!canReview(suggestion, req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'Access denied. You cannot review this suggested edit.')
+      );
+    }
+
+    if (suggestion.status !== SUGGESTED_EDIT_STATUS.PENDING) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createResponse(false, 'This suggested edit has already been reviewed')
+      );
+    }
+
+    const post = await loadTarget(suggestion);
+    if (!post) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'The post this edit was suggested for no longer exists')
+      );
+    }
+
+    if (suggestion.isStale(post)) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createResponse(false, 'The post was edited after this suggestion was made. Reject it so a new edit can be suggested.')
+      );
+    }
+
+    if (suggestion.tags) {
+      const existingTags = await Tag.countDocuments({ _id: { $in: suggestion.tags } });
+      if (existingTags !== suggestion.tags.length) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'One or more suggested tags no longer exist')
+        );
+      }
+    }
+
+    const approved = await SuggestedEdit.review(
+      suggestion._id,
+      SUGGESTED_EDIT_STATUS.APPROVED,
+      req.user._id,
+      req.body.comment
+    );
+
+    if (!approved) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createResponse(false, 'This suggested edit has already been reviewed')
+      );
+    }
+
+    try {
+      if (suggestion.targetType === 'question') {
+        await applyQuestionEdit(suggestion, post);
+      } else {
+        await post.editContent(suggestion.content, suggestion.suggestedBy, suggestion.reason || 'Suggested edit');
+      }
+    } catch (error) {
+      // Put the suggestion back in the queue if the edit couldn't be applied
+      await SuggestedEdit.updateOne(
+        { _id: suggestion._id },
+        { status: SUGGESTED_EDIT_STATUS.PENDING, reviewedBy: null, reviewedAt: null, reviewComment: null }
+      );
+      throw error;
+    }
+
+    const suggester = await User.findById(suggestion.suggestedBy);
+    if (suggester) {
+      await suggester.updateReputation(calculateReputationChange('suggested_edit_approved'));
+      await notificationService.notifySuggestedEditReviewed(approved);
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Suggested edit approved and applied', approved)
+    );
+  } catch (error) {
+    console.error('Approve suggested edit error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, Object.values(error.errors)[0].message)
+      );
+    }
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to approve suggested edit')
+    );
+  }
+};
+
+/**
+ * @desc    Reject a suggested edit
+ * @route   POST /api/suggested-edits/:id/reject
+ * @access  Private (post author or reviewer)
+ */
+const rejectSuggestedEdit = async (req, res) => {
+  try {
+    const suggestion = await SuggestedEdit.findById(req.params.id);
+    if (!suggestion) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(
+        createResponse(false, 'Suggested edit not found')
+      );
+    }
+
+    if (!canReview(suggestion, req.user)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'Access denied. You cannot review this suggested edit.')
+      );
+    }
+
+    const rejected = await SuggestedEdit.review(
+      suggestion._id,
+      SUGGESTED_EDIT_STATUS.REJECTED,
+      req.user._id,
+      req.body.comment
+    );
+
+    if (!rejected) {
+      return res.status(HTTP_STATUS.CONFLICT).json(
+        createResponse(false, 'This suggested edit has already been reviewed')
+      );
+    }
+
+    await notificationService.notifySuggestedEditReviewed(rejected);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Suggested edit rejected', rejected)
+    );
+  } catch (error) {
+    console.error('Reject suggested edit error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to reject suggested edit')
+    );
+  }
+};
+
+module.exports = {
+  suggestQuestionEdit,
+  suggestAnswerEdit,
+  getSuggestedEdits,
+  getSuggestedEditById,
+  approveSuggestedEdit,
+  rejectSuggestedEdit
+};
@@ -146,17 +146,10 @@ const createTag = async (req, res) => {
 /**
  * @desc    Update a tag
  * @route   PUT /api/tags/:id
- * @access  Private (Admin only)
+ * @access  Private (Moderator)
  */
 const updateTag = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Admin access required')
-      );
-    }
-
     // Validate request body
     const { error, value } = createTagSchema.validate(req.body);
     if (error) {
@@ -217,17 +210,10 @@ const updateTag = async (req, res) => {
 /**
  * @desc    Delete a tag
  * @route   DELETE /api/tags/:id
- * @access  Private (Admin only)
+ * @access  Private (Moderator)
  */
 const deleteTag = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Admin access required')
-      );
-    }
-
     const tag = await Tag.findById(req.params.id);
     if (!tag) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -263,17 +249,10 @@ const deleteTag = async (req, res) => {
 /**
  * @desc    Approve a tag
  * @route   PUT /api/tags/:id/approve
- * @access  Private (Admin only)
+ * @access  Private (Moderator)
  */
 const approveTag = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(HTTP_STATUS.FORBIDDEN).json(
-        createResponse(false, 'Admin access required')
-      );
-    }
-
     const tag = await Tag.findById(req.params.id);
     if (!tag) {
       return res.status(HTTP_STATUS.NOT_FOUND).json(
@@ -4,6 +4,8 @@ const Answer = require('../models/Answer');
 const { createResponse, getPaginationParams, createPaginationMeta, sanitizeUser } = require('../utils/helpers');
 const { HTTP_STATUS } = require('../utils/constants');
 const { updateProfileSchema } = require('../utils/validators');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
 
 /**
  * @desc    Get user profile by ID
@@ -120,7 +122,8 @@ const getUserQuestions = async (req, res) => {
     // Get user's questions
     const questions = await Question.find({ 
       author: req.params.id,
-      status: { $ne: 'deleted' }
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
     })
       .populate('tags', 'name color description')
       .populate('acceptedAnswer', '_id')
@@ -132,7 +135,8 @@ const getUserQuestions = async (req, res) => {
     // Get total count
     const total = await Question.countDocuments({ 
       author: req.params.id,
-      status: { $ne: 'deleted' }
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
     });
 
     // Create pagination metadata
@@ -245,6 +249,78 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Download everything stored about the current user
+ * @route   GET /api/users/me/export?format=json|zip
+ * @access  Private
+ */
+const exportCurrentUser = async (req, res) => {
+  try {
+    const data = await accountService.exportUserData(req.user._id);
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    const fileName = `stackit-export-${req.user.username}-${date}`;
+
+    if (req.query.format === 'zip') {
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${fileName}.zip"`
+      });
+      return res.status(HTTP_STATUS.OK).send(accountService.createExportArchive(data));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.status(HTTP_STATUS.OK).json(data);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to export user data')
+    );
+  }
+};
+
+/**
+ * @desc    Delete the current user's account
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+const deleteCurrentUser = async (req, res) => {
+  try {
+    const { password, code, reauthToken } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // OAuth-only accounts with two-factor enabled may confirm with the code alone
+    if (user.hasPassword || reauthToken || !user.twoFactor?.enabled) {
+      await accountService.confirmIdentity(user, { password, reauthToken });
+    }
+
+    if (user.twoFactor?.enabled) {
+      if (!code) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json(
+          createResponse(false, 'Two-factor code is required')
+        );
+      }
+      await twoFactorService.verifyCode(user._id, code);
+    }
+
+    await accountService.deleteAccount(user._id);
+
+    res.status(HTTP_STATUS.OK).json(
+      createResponse(true, 'Account deleted successfully')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        createResponse(false, error.message)
+      );
+    }
+    console.error('Delete account error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      createResponse(false, 'Failed to delete account')
+    );
+  }
+};
+
 /**
  * @desc    Get top users by reputation
  * @route   GET /api/users/top
@@ -356,9 +432,10 @@ const getUserActivity = async (req, res) => {
     // Get recent questions
     const recentQuestions = await Question.find({
       author: req.params.id,
-      status: { $ne: 'deleted' }
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
     })
-      .select('title createdAt voteScore answersCount')
+      .select('title createdAt voteScore answerCount')
       .sort({ createdAt: -1 })
       .limit(5)
       .lean();
@@ -406,6 +483,8 @@ module.exports = {
   getUserQuestions,
   getUserAnswers,
   getCurrentUser,
+  exportCurrentUser,
+  deleteCurrentUser,
   getTopUsers,
   searchUsers,
   getUserActivity
@@ -1,7 +1,6 @@
 const Vote = require('../models/Vote');
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
-const User = require('../models/User');
 const { createResponse, calculateReputationChange } = require('../utils/helpers');
 const { HTTP_STATUS, VOTE_TYPES } = require('../utils/constants');
 const { voteSchema } = require('../utils/validators');
@@ -13,15 +12,18 @@ const { voteSchema } = require('../utils/validators');
  */
 const castVote = async (req, res) => {
   try {
-    // Validate request body
-    const { error, value } = voteSchema.validate(req.body);
+    // target and targetType come from voteOnQuestion/voteOnAnswer
+    const { target, targetType } = req.body;
+
+    // Validate the vote itself
+    const { error, value } = voteSchema.validate({ voteType: req.body.voteType });
     if (error) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
         createResponse(false, error.details[0].message)
       );
     }
 
-    const { target, targetType, voteType } = value;
+    const { voteType } = value;
 
     // Verify target exists
     let targetModel;
@@ -45,10 +47,9 @@ const castVote = async (req, res) => {
     }
 
     // Cast or update vote
-    const voteResult = await Vote.castVote(req.user._id, target, targetType, voteType);
+    const voteResult = await Vote.toggleVote(req.user._id, target, targetType, voteType);
     
     // Update reputation based on vote action
-    const targetAuthor = await User.findById(targetModel.author);
     let reputationChange = 0;
 
     if (voteResult.action === 'created') {
@@ -78,9 +79,10 @@ const castVote = async (req, res) => {
     }
 
     // Update target author's reputation
-    if (reputationChange !== 0) {
-      await targetAuthor.updateReputation(reputationChange);
-    }
+    const targetAuthor = await Vote.updateUserReputation(
+      voteResult.vote || voteResult.removedVote,
+      reputationChange
+    );
 
     res.status(HTTP_STATUS.OK).json(
       createResponse(
@@ -89,7 +91,7 @@ const castVote = async (req, res) => {
         {
           action: voteResult.action,
           vote: voteResult.vote,
-          newReputation: targetAuthor.reputation + reputationChange
+          newReputation: targetAuthor?.reputation ?? null
         }
       )
     );
@@ -204,7 +206,8 @@ const getUserVote = async (req, res) => {
  */
 const removeVote = async (req, res) => {
   try {
-    const { targetType, targetId } = req.params;
+    // Set by removeQuestionVote/removeAnswerVote
+    const { target: targetId, targetType } = req.body;
 
     if (!['question', 'answer'].includes(targetType)) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
@@ -225,28 +228,18 @@ const removeVote = async (req, res) => {
       );
     }
 
-    await Vote.findByIdAndDelete(vote._id);
+    // deleteOne() on the document reverses its score (see the Vote model)
+    await vote.deleteOne();
 
-    // Update reputation
-    let targetModel;
+    // Reverse the reputation the vote gave the target's author
+    let reputationChange = 0;
     if (targetType === 'question') {
-      targetModel = await Question.findById(targetId);
+      reputationChange = -calculateReputationChange(vote.voteType === 'upvote' ? 'question_upvote' : 'question_downvote');
     } else {
-      targetModel = await Answer.findById(targetId);
+      reputationChange = -calculateReputationChange(vote.voteType === 'upvote' ? 'answer_upvote' : 'answer_downvote');
     }
 
-    if (targetModel) {
-      const targetAuthor = await User.findById(targetModel.author);
-      let reputationChange = 0;
-
-      if (targetType === 'question') {
-        reputationChange = -calculateReputationChange(vote.voteType === 'upvote' ? 'question_upvote' : 'question_downvote');
-      } else {
-        reputationChange = -calculateReputationChange(vote.voteType === 'upvote' ? 'answer_upvote' : 'answer_downvote');
-      }
-
-      await targetAuthor.updateReputation(reputationChange);
-    }
+    await Vote.updateUserReputation(vote, reputationChange);
 
     res.status(HTTP_STATUS.OK).json(
       createResponse(true, 'Vote removed successfully')
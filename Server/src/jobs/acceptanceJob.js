@@ -0,0 +1,25 @@
+const acceptanceService = require('../services/acceptanceService');
+
+// Minutes between checks for questions without an accepted answer
+// (overridable with ACCEPTANCE_JOB_INTERVAL_MINUTES)
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+const intervalMinutes = parseInt(process.env.ACCEPTANCE_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+
+/**
+ * Remind askers to accept an answer and flag community-accepted answers
+ */
+const run = async () => {
+  const reminded = await acceptanceService.sendAcceptReminders();
+  const flagged = await acceptanceService.flagCommunityAcceptedAnswers();
+
+  if (reminded || flagged) {
+    console.log(`✅ Acceptance: ${reminded} askers reminded, ${flagged} answers community-accepted`);
+  }
+};
+
+module.exports = {
+  name: 'acceptance',
+  intervalMs: intervalMinutes * 60 * 1000,
+  run
+};
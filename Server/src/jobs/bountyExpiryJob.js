@@ -0,0 +1,23 @@
+const bountyService = require('../services/bountyService');
+
+// Minutes between checks for expired bounties (overridable with BOUNTY_JOB_INTERVAL_MINUTES)
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+const intervalMinutes = parseInt(process.env.BOUNTY_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+
+/**
+ * Award or refund bounties whose period has ended
+ */
+const run = async () => {
+  const { awarded, refunded } = await bountyService.expireDueBounties();
+
+  if (awarded || refunded) {
+    console.log(`🏆 Expired bounties: ${awarded} awarded, ${refunded} refunded`);
+  }
+};
+
+module.exports = {
+  name: 'bounty-expiry',
+  intervalMs: intervalMinutes * 60 * 1000,
+  run
+};
@@ -0,0 +1,65 @@
+const bountyExpiryJob = require('./bountyExpiryJob');
+const questionStatusExpiryJob = require('./questionStatusExpiryJob');
+const acceptanceJob = require('./acceptanceJob');
+
+// Background jobs started with the server. Every worker runs them, so each
+// job must claim its work atomically (see Bounty.settle)
+const jobs = [
+  bountyExpiryJob,
+  questionStatusExpiryJob,
+  acceptanceJob
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run hasn't finished
+ * @param {Object} job - Job definition { name, intervalMs, run }
+ * @returns {Function} Tick handler
+ */
+const createRunner = (job) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+/**
+ * Start all background jobs
+ * Set JOBS_ENABLED=false to run a server without them
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false' || timers.length) return;
+
+  jobs.forEach(job => {
+    const runner = createRunner(job);
+    const timer = setInterval(runner, job.intervalMs);
+    // Don't keep the process alive just for jobs
+    timer.unref();
+    timers.push(timer);
+    runner();
+  });
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
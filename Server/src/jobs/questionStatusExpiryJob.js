@@ -0,0 +1,24 @@
+const Question = require('../models/Question');
+
+// Minutes between checks for expired protections and locks
+// (overridable with QUESTION_STATUS_JOB_INTERVAL_MINUTES)
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+const intervalMinutes = parseInt(process.env.QUESTION_STATUS_JOB_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+
+/**
+ * Lift protections and locks whose expiry has passed
+ */
+const run = async () => {
+  const { modifiedCount } = await Question.expireModerationStatuses();
+
+  if (modifiedCount) {
+    console.log(`🔓 Lifted ${modifiedCount} expired question protections/locks`);
+  }
+};
+
+module.exports = {
+  name: 'question-status-expiry',
+  intervalMs: intervalMinutes * 60 * 1000,
+  run
+};
@@ -1,13 +1,75 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
 const { createResponse } = require('../utils/helpers');
-const { HTTP_STATUS, USER_ROLES } = require('../utils/constants');
+const { ApiError } = require('./errorHandler');
+const {
+  HTTP_STATUS,
+  USER_ROLES,
+  ERROR_CODES,
+  API_TOKEN_SCOPES,
+  VOTE_TYPES,
+  UNVERIFIED_USER_POLICIES,
+  QUESTION_STATUS
+} = require('../utils/constants');
+const {
+  PRIVILEGES,
+  hasPrivilege,
+  hasReputationFor,
+  getRequiredReputation
+} = require('../utils/privileges');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Work out which API token scope a request needs
+ * Read-only requests need "read"; writes are only open to API tokens on
+ * routes that name a scope through scopedAuth()
+ * @param {Object} req - Express request
+ * @param {string} [scope] - Scope the route accepts for writes
+ * @returns {string|null} Required scope, or null if API tokens are not allowed
  */
-const auth = async (req, res, next) => {
+const getRequiredScope = (req, scope) => {
+  if (scope) return scope;
+  return SAFE_METHODS.includes(req.method) ? API_TOKEN_SCOPES.READ : null;
+};
+
+/**
+ * Verify a bearer credential (JWT access token or personal API token)
+ * @param {Object} req - Express request
+ * @param {string} token - Bearer credential
+ * @param {string} [scope] - Scope the route accepts for API token writes
+ * @returns {Promise} Promise resolving to { user, payload, session, apiToken }
+ */
+const authenticate = async (req, token, scope) => {
+  if (!tokenService.isApiToken(token)) {
+    const { user, payload, session } = await tokenService.verifyAccessToken(token);
+    return { user, payload, session, apiToken: null };
+  }
+
+  const requiredScope = getRequiredScope(req, scope);
+
+  if (!requiredScope) {
+    throw new ApiError('This endpoint cannot be used with an API token.', HTTP_STATUS.FORBIDDEN);
+  }
+
+  const { user, apiToken } = await tokenService.verifyApiToken(token, { ip: req.ip });
+
+  if (!apiToken.hasScope(requiredScope)) {
+    const error = new ApiError(`API token is missing the "${requiredScope}" scope.`, HTTP_STATUS.FORBIDDEN);
+    error.code = ERROR_CODES.INSUFFICIENT_SCOPE;
+    throw error;
+  }
+
+  return { user, payload: null, session: null, apiToken };
+};
+
+/**
+ * Build an authentication middleware
+ * @param {string} [scope] - API token scope accepted for writes
+ * @returns {Function} Express middleware
+ */
+const createAuth = (scope) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -17,25 +79,40 @@ const auth = async (req, res, next) => {
       );
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
-        createResponse(false, 'Invalid token or user deactivated.')
-      );
-    }
+    const { user, payload, session, apiToken } = await authenticate(req, token, scope);
 
     req.user = user;
+    req.tokenPayload = payload;
+    req.authSession = session;
+    req.apiToken = apiToken;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
-    res.status(HTTP_STATUS.UNAUTHORIZED).json(
-      createResponse(false, 'Invalid token.')
+    res.status(error.isOperational ? error.statusCode : HTTP_STATUS.UNAUTHORIZED).json(
+      createResponse(
+        false,
+        error.isOperational ? error.message : 'Invalid token.',
+        error.code ? { code: error.code } : null
+      )
     );
   }
 };
 
+/**
+ * Authentication middleware
+ * Verifies JWT token against the revocation list and attaches user,
+ * decoded token payload and device session to request.
+ * Personal API tokens are accepted for read-only requests with the "read" scope
+ */
+const auth = createAuth();
+
+/**
+ * Authentication middleware for routes scripts may write to
+ * Also accepts personal API tokens that carry the given scope
+ * @param {string} scope - Required API token scope (see API_TOKEN_SCOPES)
+ */
+const scopedAuth = (scope) => createAuth(scope);
+
 /**
  * Optional authentication middleware
  * Attaches user to request if token is valid, but doesn't fail if no token
@@ -45,11 +122,11 @@ const optionalAuth = async (req, res, next) => {
   
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      const { user, payload, session, apiToken } = await authenticate(req, token);
+      req.user = user;
+      req.tokenPayload = payload;
+      req.authSession = session;
+      req.apiToken = apiToken;
     } catch (error) {
       // Token invalid, but continue as guest
       console.log('Optional auth failed, continuing as guest:', error.message);
@@ -62,9 +139,25 @@ const optionalAuth = async (req, res, next) => {
 /**
  * Admin authentication middleware
  * Requires user to be authenticated and have admin role
+ * (and, when REQUIRE_ADMIN_2FA is set, two-factor authentication enabled)
  */
 const adminAuth = (req, res, next) => {
+  if (req.apiToken && !req.apiToken.hasScope(API_TOKEN_SCOPES.ADMIN)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      createResponse(false, `API token is missing the "${API_TOKEN_SCOPES.ADMIN}" scope.`, {
+        code: ERROR_CODES.INSUFFICIENT_SCOPE
+      })
+    );
+  }
+
   if (req.user && req.user.role === USER_ROLES.ADMIN) {
+    if (req.user.requiresTwoFactorEnrollment()) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'Two-factor authentication must be enabled to use admin privileges.', {
+          code: ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED
+        })
+      );
+    }
     next();
   } else {
     res.status(HTTP_STATUS.FORBIDDEN).json(
@@ -98,29 +191,235 @@ const ownerOrAdmin = (resourceUserField = 'author') => {
 };
 
 /**
- * Check if user can vote (not on their own content)
+ * Load a document into req.resource for ownership and privilege checks
+ * @param {Object|Function} loader - Mongoose model (looked up by :id) or
+ *   function (req) => Promise resolving to the document
+ * @param {string} [notFoundMessage] - Message when nothing is found
  */
-const canVote = (req, res, next) => {
-  if (!req.user) {
-    return res.status(HTTP_STATUS.UNAUTHORIZED).json(
-      createResponse(false, 'Authentication required to vote.')
-    );
-  }
+const loadResource = (loader, notFoundMessage = 'Resource not found') => {
+  return async (req, res, next) => {
+    try {
+      const resource = typeof loader === 'function' && !loader.modelName
+        ? await loader(req)
+        : await loader.findById(req.params.id);
 
-  // Check if trying to vote on own content
-  if (req.resource && req.resource.author.toString() === req.user._id.toString()) {
-    return res.status(HTTP_STATUS.BAD_REQUEST).json(
-      createResponse(false, 'You cannot vote on your own content.')
-    );
-  }
+      if (!resource) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json(
+          createResponse(false, notFoundMessage)
+        );
+      }
 
-  next();
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Load resource error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        createResponse(false, 'Failed to load resource')
+      );
+    }
+  };
+};
+
+/**
+ * Read a (possibly populated) user reference from a document path
+ * @param {Object} resource - Document
+ * @param {string} path - Dot path, e.g. "author" or "question.author"
+ * @returns {string|null} User ID
+ */
+const getOwnerId = (resource, path) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], resource);
+  return value ? (value._id || value).toString() : null;
+};
+
+/**
+ * Privilege middleware
+ * Requires the user to hold a privilege from the policy in utils/privileges.
+ * Owners of req.resource (see loadResource) are exempt when ownerFields is set.
+ * @param {string|Function} privilege - Privilege name, or (req) => privilege
+ *   name (null skips the check)
+ * @param {Object} [options] - { ownerFields: ['author'] }
+ */
+const can = (privilege, options = {}) => {
+  const { ownerFields = [] } = options;
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        createResponse(false, 'Authentication required.')
+      );
+    }
+
+    const required = typeof privilege === 'function' ? privilege(req) : privilege;
+    if (!required) return next();
+
+    const userId = req.user._id.toString();
+    if (req.resource && ownerFields.some(path => getOwnerId(req.resource, path) === userId)) {
+      return next();
+    }
+
+    if (!hasPrivilege(req.user, required)) {
+      const reputation = getRequiredReputation(required);
+      const message = reputation === null
+        ? 'Access denied. Moderator privileges required.'
+        : `Access denied. You need ${reputation} reputation to do this.`;
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, message, {
+          code: ERROR_CODES.INSUFFICIENT_PRIVILEGE,
+          privilege: required,
+          requiredReputation: reputation
+        })
+      );
+    }
+
+    // Privileges that come only from the admin role need 2FA when enforced
+    if (req.user.requiresTwoFactorEnrollment() && !hasReputationFor(req.user, required)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json(
+        createResponse(false, 'Two-factor authentication must be enabled to use admin privileges.', {
+          code: ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check if user can vote
+ * Downvotes need the downvote privilege; voting on own content is rejected
+ * by the vote controller
+ */
+const canVote = can(req => (
+  req.body?.voteType === VOTE_TYPES.DOWNVOTE ? PRIVILEGES.VOTE_DOWN : PRIVILEGES.VOTE_UP
+));
+
+/**
+ * Locked question middleware
+ * Rejects edits, votes and comments on a locked question. Moderators are
+ * exempt so they can still maintain it.
+ * @param {Function} getQuestionId - (req) => ID (or Promise resolving to the
+ *   ID) of the question the request touches
+ */
+const rejectLockedQuestion = (getQuestionId) => {
+  return async (req, res, next) => {
+    try {
+      if (hasPrivilege(req.user, PRIVILEGES.MODERATE)) return next();
+
+      const questionId = await getQuestionId(req);
+      const question = questionId && await Question.findById(questionId).select('status');
+
+      if (question?.status === QUESTION_STATUS.LOCKED) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json(
+          createResponse(false, 'This question is locked. It can\'t be edited, voted on or commented on.', {
+            code: ERROR_CODES.QUESTION_LOCKED
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      console.error('Locked question check error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        createResponse(false, 'Failed to check question status')
+      );
+    }
+  };
+};
+
+/**
+ * Edit-locked answer middleware
+ * Rejects edits to an answer a moderator has locked against edits. Moderators
+ * are exempt.
+ * @param {Function} getAnswerId - (req) => ID (or Promise resolving to the ID)
+ *   of the answer being edited; a falsy ID skips the check
+ */
+const rejectEditLockedAnswer = (getAnswerId) => {
+  return async (req, res, next) => {
+    try {
+      if (hasPrivilege(req.user, PRIVILEGES.MODERATE)) return next();
+
+      const answerId = await getAnswerId(req);
+      const answer = answerId && await Answer.findById(answerId)
+        .select('editLockedAt editLockExpiresAt editLockReason');
+
+      if (answer?.isEditLocked()) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json(
+          createResponse(false, 'This answer is locked against edits', {
+            code: ERROR_CODES.ANSWER_EDIT_LOCKED,
+            reason: answer.editLockReason,
+            expiresAt: answer.editLockExpiresAt
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      console.error('Edit lock check error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+        createResponse(false, 'Failed to check answer edit lock')
+      );
+    }
+  };
+};
+
+/**
+ * Get the configured policy for unverified users
+ * @returns {string} One of UNVERIFIED_USER_POLICIES (defaults to block)
+ */
+const getUnverifiedUserPolicy = () => {
+  const policy = process.env.UNVERIFIED_USER_POLICY;
+  return Object.values(UNVERIFIED_USER_POLICIES).includes(policy)
+    ? policy
+    : UNVERIFIED_USER_POLICIES.BLOCK;
+};
+
+/**
+ * Email verification middleware
+ * Applies UNVERIFIED_USER_POLICY to users who haven't verified their email.
+ * Under the quarantine policy req.quarantine is set so the controller can
+ * hold the new content back until the email is verified.
+ * @param {Object} [options] - { allowQuarantine: false } to reject instead of
+ *   quarantining (e.g. votes)
+ */
+const requireVerifiedEmail = (options = {}) => {
+  const { allowQuarantine = true } = options;
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(
+        createResponse(false, 'Authentication required.')
+      );
+    }
+
+    const policy = getUnverifiedUserPolicy();
+    if (req.user.isEmailVerified || policy === UNVERIFIED_USER_POLICIES.ALLOW) {
+      return next();
+    }
+
+    if (policy === UNVERIFIED_USER_POLICIES.QUARANTINE && allowQuarantine) {
+      req.quarantine = true;
+      return next();
+    }
+
+    res.status(HTTP_STATUS.FORBIDDEN).json(
+      createResponse(false, 'Please verify your email address to do this. Check your inbox or request a new verification email.', {
+        code: ERROR_CODES.EMAIL_NOT_VERIFIED
+      })
+    );
+  };
 };
 
 module.exports = {
   auth,
+  scopedAuth,
   optionalAuth,
   adminAuth,
   ownerOrAdmin,
-  canVote
+  loadResource,
+  can,
+  canVote,
+  rejectLockedQuestion,
+  rejectEditLockedAnswer,
+  requireVerifiedEmail
 };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { summarizeContributors } = require('../utils/helpers');
 
 const answerSchema = new mongoose.Schema({
   question: {
@@ -24,6 +25,36 @@ const answerSchema = new mongoose.Schema({
     default: false
   },
   
+  // Marked by the asker as having helped alongside the accepted answer
+  isAlsoHelpful: {
+    type: Boolean,
+    default: false
+  },
+  
+  alsoHelpfulAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Whether accepting the answer, or marking it also helpful, granted
+  // reputation. Taking it back follows these rather than the answer's current
+  // community wiki state
+  acceptanceReputationApplied: {
+    type: Boolean,
+    default: false
+  },
+  
+  alsoHelpfulReputationApplied: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Posted by the question's author; accepting it earns no reputation
+  isSelfAnswer: {
+    type: Boolean,
+    default: false
+  },
+  
   voteScore: {
     type: Number,
     default: 0
@@ -35,6 +66,12 @@ const answerSchema = new mongoose.Schema({
     min: 0
   },
   
+  // When the answer was posted or last edited
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+  
   editHistory: [{
     editedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -52,9 +89,60 @@ const answerSchema = new mongoose.Schema({
     previousContent: {
       type: String,
       required: true
+    },
+    type: {
+      type: String,
+      enum: ['edit', 'rollback'],
+      default: 'edit'
+    },
+    // Revision restored by a rollback
+    rolledBackTo: {
+      type: Number,
+      default: null
     }
   }],
   
+  // Moderator who locked the answer against edits (e.g. to stop an edit war)
+  editLockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  editLockedAt: {
+    type: Date,
+    default: null
+  },
+  
+  editLockReason: {
+    type: String,
+    maxlength: [200, 'Edit lock reason cannot exceed 200 characters'],
+    default: null
+  },
+  
+  // When the edit lock ends by itself (null = until a moderator removes it)
+  editLockExpiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  isQuarantined: {
+    type: Boolean,
+    default: false // Held back until the author verifies their email
+  },
+  
+  // Community wiki posts can be edited at a lower reputation and earn their
+  // author no reputation from votes
+  isCommunityWiki: {
+    type: Boolean,
+    default: false
+  },
+  
+  communityWikiAt: {
+    type: Date,
+    default: null
+  },
+  
   isDeleted: {
     type: Boolean,
     default: false
@@ -69,6 +157,12 @@ const answerSchema = new mongoose.Schema({
   deletedAt: {
     type: Date,
     default: null
+  },
+  
+  // Question whose deletion hid this answer (restored along with it)
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   }
 }, {
   timestamps: true,
@@ -107,7 +201,7 @@ answerSchema.virtual('lastEditedAt').get(function() {
 
 // Pre-save middleware to update question's lastActivity and answerCount
 answerSchema.pre('save', async function(next) {
-  if (this.isNew && !this.isDeleted) {
+  if (this.isNew && !this.isDeleted && !this.isQuarantined) {
     try {
       const Question = mongoose.model('Question');
       await Question.findByIdAndUpdate(
@@ -157,23 +251,29 @@ answerSchema.methods.updateCommentCount = async function() {
   this.commentCount = await Comment.countDocuments({ 
     parent: this._id, 
     parentType: 'answer',
-    isDeleted: false 
+    isDeleted: false,
+    isQuarantined: { $ne: true }
   });
   return await this.save({ validateBeforeSave: false });
 };
 
 // Instance method to edit answer
-answerSchema.methods.editContent = async function(newContent, editedBy, reason) {
+answerSchema.methods.editContent = async function(newContent, editedBy, reason, options = {}) {
+  const { type = 'edit', rolledBackTo = null } = options;
+
   // Add to edit history
   this.editHistory.push({
     editedBy,
     editedAt: new Date(),
     reason: reason || 'Content updated',
-    previousContent: this.content
+    previousContent: this.content,
+    type,
+    rolledBackTo
   });
   
   // Update content
   this.content = newContent;
+  this.lastActivity = new Date();
   
   // Update question's last activity
   const Question = mongoose.model('Question');
@@ -185,11 +285,72 @@ answerSchema.methods.editContent = async function(newContent, editedBy, reason)
   return await this.save();
 };
 
+// Instance method to list the revisions of the answer, oldest first
+// Each edit keeps the content it replaced, so revision n is what edit n
+// replaced, and the last revision is the current content
+answerSchema.methods.getRevisions = function() {
+  const edits = this.editHistory;
+  const contentAt = (index) => (index < edits.length ? edits[index].previousContent : this.content);
+
+  return [
+    {
+      revisionNumber: 1,
+      type: 'initial',
+      content: contentAt(0),
+      editor: this.author._id || this.author,
+      reason: null,
+      rolledBackTo: null,
+      createdAt: this.createdAt
+    },
+    ...edits.map((edit, index) => ({
+      revisionNumber: index + 2,
+      type: edit.type || 'edit',
+      content: contentAt(index + 1),
+      editor: edit.editedBy,
+      reason: edit.reason,
+      rolledBackTo: edit.rolledBackTo ?? null,
+      createdAt: edit.editedAt
+    }))
+  ];
+};
+
+// Instance method to check for an edit lock that hasn't expired
+answerSchema.methods.isEditLocked = function(now = new Date()) {
+  return !!this.editLockedAt && (!this.editLockExpiresAt || this.editLockExpiresAt > now);
+};
+
+// Instance method to lock answer against edits
+answerSchema.methods.lockEdits = async function(userId, options = {}) {
+  const { reason = null, expiresAt = null } = options;
+
+  this.editLockedBy = userId;
+  this.editLockedAt = new Date();
+  this.editLockReason = reason;
+  this.editLockExpiresAt = expiresAt;
+  return await this.save();
+};
+
+// Instance method to lift an edit lock
+answerSchema.methods.unlockEdits = async function() {
+  this.editLockedBy = null;
+  this.editLockedAt = null;
+  this.editLockReason = null;
+  this.editLockExpiresAt = null;
+  return await this.save();
+};
+
 // Instance method to soft delete answer
+// Its comments are hidden along with it
 answerSchema.methods.softDelete = async function(deletedBy) {
   this.isDeleted = true;
   this.deletedBy = deletedBy;
   this.deletedAt = new Date();
+  await this.save();
+
+  await mongoose.model('Comment').updateMany(
+    { parent: this._id, parentType: 'answer', isDeleted: false },
+    { isDeleted: true, deletedBy, deletedAt: this.deletedAt, deletedWith: this._id }
+  );
   
   // Update question's answer count and last activity
   const Question = mongoose.model('Question');
@@ -198,14 +359,21 @@ answerSchema.methods.softDelete = async function(deletedBy) {
     await question.updateAnswerCount();
   }
   
-  return await this.save();
+  return this;
 };
 
 // Instance method to restore deleted answer
+// Brings back the comments hidden along with it
 answerSchema.methods.restore = async function() {
   this.isDeleted = false;
   this.deletedBy = null;
   this.deletedAt = null;
+  await this.save();
+
+  await mongoose.model('Comment').updateMany(
+    { deletedWith: this._id },
+    { isDeleted: false, deletedBy: null, deletedAt: null, deletedWith: null }
+  );
   
   // Update question's answer count and last activity
   const Question = mongoose.model('Question');
@@ -214,9 +382,29 @@ answerSchema.methods.restore = async function() {
     await question.updateAnswerCount();
   }
   
+  return this;
+};
+
+// Instance method to turn community wiki on or off
+answerSchema.methods.setCommunityWiki = async function(enabled) {
+  this.isCommunityWiki = enabled;
+  this.communityWikiAt = enabled ? new Date() : null;
   return await this.save();
 };
 
+// Instance method to list the users who wrote or edited the answer
+answerSchema.methods.getContributors = async function() {
+  const contributions = [
+    { user: this.author._id || this.author, at: this.createdAt },
+    ...this.editHistory.map(edit => ({ user: edit.editedBy, at: edit.editedAt }))
+  ];
+
+  return await mongoose.model('User').populate(summarizeContributors(contributions), {
+    path: 'user',
+    select: 'username profile.firstName profile.lastName profile.avatar reputation'
+  });
+};
+
 // Static method to find answers for a question
 answerSchema.statics.findByQuestion = function(questionId, options = {}) {
   const {
@@ -261,7 +449,9 @@ answerSchema.statics.findByQuestion = function(questionId, options = {}) {
 // Index for better performance
 answerSchema.index({ question: 1, createdAt: -1 });
 answerSchema.index({ author: 1, createdAt: -1 });
+answerSchema.index({ createdAt: -1 });
 answerSchema.index({ question: 1, isAccepted: -1, voteScore: -1 });
 answerSchema.index({ isDeleted: 1 });
+answerSchema.index({ deletedWith: 1 });
 
 module.exports = mongoose.model('Answer', answerSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+
+const TOKEN_PREFIX = 'stk_';
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'API token user is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'API token name is required'],
+    trim: true,
+    maxlength: [100, 'API token name cannot exceed 100 characters']
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'API token hash is required'],
+    unique: true,
+    select: false
+  },
+
+  // First characters of the token so users can tell tokens apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.values(API_TOKEN_SCOPES)
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'API token needs at least one scope'
+    }
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual to check if token can still be used
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to check if token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record usage (throttled to one write per minute)
+apiTokenSchema.methods.touch = async function(ipAddress) {
+  const oneMinuteAgo = Date.now() - 60 * 1000;
+  if (this.lastUsedAt && this.lastUsedAt.getTime() > oneMinuteAgo && this.lastUsedIp === ipAddress) {
+    return this;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress || null;
+  return await this.save();
+};
+
+// Static method to check if a bearer credential is an API token (not a JWT)
+apiTokenSchema.statics.isApiToken = function(rawToken) {
+  return typeof rawToken === 'string' && rawToken.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to hash a raw token for storage and lookup
+apiTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to create a token; the raw value is only available here
+apiTokenSchema.statics.issue = async function(userId, { name, scopes, expiresAt = null }) {
+  const rawToken = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: this.hashToken(rawToken),
+    tokenPreview: rawToken.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { rawToken, apiToken };
+};
+
+// Static method to find a stored token from its raw value
+apiTokenSchema.statics.findByRawToken = function(rawToken) {
+  return this.findOne({ tokenHash: this.hashToken(rawToken) });
+};
+
+// Static method to get active tokens of a user
+apiTokenSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ createdAt: -1 });
+};
+
+// Index for better performance
+apiTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
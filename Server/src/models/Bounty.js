@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { BOUNTY, BOUNTY_STATUS } = require('../utils/constants');
+
+// Reputation offered on a question; held from the sponsor until it is
+// awarded to an answer or returned when it expires
+const bountySchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Question reference is required']
+  },
+
+  sponsor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Bounty sponsor is required']
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Bounty amount is required'],
+    min: [BOUNTY.MIN_AMOUNT, `Bounty must be at least ${BOUNTY.MIN_AMOUNT} reputation`],
+    max: [BOUNTY.MAX_AMOUNT, `Bounty cannot exceed ${BOUNTY.MAX_AMOUNT} reputation`]
+  },
+
+  message: {
+    type: String,
+    maxlength: [200, 'Bounty message cannot exceed 200 characters'],
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(BOUNTY_STATUS),
+    default: BOUNTY_STATUS.ACTIVE
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Bounty expiry is required']
+  },
+
+  awardedAnswer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Answer',
+    default: null
+  },
+
+  awardedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // How the bounty was awarded: by the sponsor, by the asker accepting an
+  // answer, or automatically on expiry
+  awardType: {
+    type: String,
+    enum: ['manual', 'accepted', 'auto', null],
+    default: null
+  },
+
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to settle an active bounty
+// Only an active bounty can be settled, so an award racing the expiry job
+// resolves to one winner; returns null when it was already settled
+bountySchema.statics.settle = function(id, update) {
+  return this.findOneAndUpdate(
+    { _id: id, status: BOUNTY_STATUS.ACTIVE },
+    { ...update, closedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Index for better performance
+bountySchema.index({ status: 1, expiresAt: 1 });
+bountySchema.index({ question: 1, createdAt: -1 });
+bountySchema.index({ sponsor: 1, createdAt: -1 });
+bountySchema.index({ awardedTo: 1 });
+// One active bounty per question
+bountySchema.index(
+  { question: 1 },
+  { unique: true, partialFilterExpression: { status: BOUNTY_STATUS.ACTIVE } }
+);
+
+module.exports = mongoose.model('Bounty', bountySchema);
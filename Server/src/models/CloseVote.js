@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { CLOSE_REASONS } = require('../utils/constants');
+
+// Vote to close an open question or reopen a closed one
+const closeVoteSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Question reference is required']
+  },
+
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Voter is required']
+  },
+
+  type: {
+    type: String,
+    enum: ['close', 'reopen'],
+    required: [true, 'Vote type is required']
+  },
+
+  // Close votes only
+  reason: {
+    type: String,
+    enum: Object.values(CLOSE_REASONS),
+    default: null
+  },
+
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+
+  comment: {
+    type: String,
+    maxlength: [150, 'Comment cannot exceed 150 characters'],
+    default: null
+  },
+
+  // Moderator votes decide the outcome on their own
+  isBinding: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set once the question is closed or reopened; resolved votes are kept as history
+  isResolved: {
+    type: Boolean,
+    default: false
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the votes still counting towards a decision
+closeVoteSchema.statics.findActive = function(questionId, type) {
+  return this.find({ question: questionId, type, isResolved: false }).sort({ createdAt: 1 });
+};
+
+// Static method to mark the current votes on a question as decided
+closeVoteSchema.statics.resolveAll = function(questionId) {
+  return this.updateMany(
+    { question: questionId, isResolved: false },
+    { isResolved: true, resolvedAt: new Date() }
+  );
+};
+
+// Static method to list questions with votes waiting for a decision
+// Questions with the most votes come first; deleted questions are left out
+closeVoteSchema.statics.getQueue = async function(type, options = {}) {
+  const { skip = 0, limit = 10 } = options;
+
+  const [result] = await this.aggregate([
+    { $match: { type, isResolved: false } },
+    {
+      $group: {
+        _id: '$question',
+        voteCount: { $sum: 1 },
+        reasons: { $push: '$reason' },
+        lastVoteAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'questions',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'question'
+      }
+    },
+    { $unwind: '$question' },
+    { $match: { 'question.isDeleted': { $ne: true } } },
+    {
+      $project: {
+        _id: 0,
+        voteCount: 1,
+        reasons: 1,
+        lastVoteAt: 1,
+        question: {
+          _id: 1,
+          title: 1,
+          author: 1,
+          status: 1,
+          closedReason: 1,
+          closedReasonType: 1,
+          duplicateOf: 1,
+          answerCount: 1,
+          voteScore: 1,
+          createdAt: 1
+        }
+      }
+    },
+    {
+      $facet: {
+        entries: [
+          { $sort: { voteCount: -1, lastVoteAt: -1 } },
+          { $skip: skip },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    entries: result.entries,
+    total: result.total[0]?.count || 0
+  };
+};
+
+// Index for better performance
+closeVoteSchema.index({ type: 1, isResolved: 1, question: 1 });
+closeVoteSchema.index({ voter: 1, createdAt: -1 });
+// One active vote of each type per user and question
+closeVoteSchema.index(
+  { question: 1, voter: 1, type: 1 },
+  { unique: true, partialFilterExpression: { isResolved: false } }
+);
+
+module.exports = mongoose.model('CloseVote', closeVoteSchema);
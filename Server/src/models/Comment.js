@@ -31,11 +31,33 @@ const commentSchema = new mongoose.Schema({
     default: 0
   },
   
+  isQuarantined: {
+    type: Boolean,
+    default: false // Held back until the author verifies their email
+  },
+  
   isDeleted: {
     type: Boolean,
     default: false
   },
   
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Question or answer whose deletion hid this comment (restored along with it)
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
   editHistory: [{
     editedAt: {
       type: Date,
@@ -67,7 +89,7 @@ commentSchema.virtual('lastEditedAt').get(function() {
 
 // Pre-save middleware to update parent's comment count and last activity
 commentSchema.pre('save', async function(next) {
-  if (this.isNew && !this.isDeleted) {
+  if (this.isNew && !this.isDeleted && !this.isQuarantined) {
     try {
       if (this.parentType === 'question') {
         const Question = mongoose.model('Question');
@@ -130,8 +152,11 @@ commentSchema.methods.editContent = async function(newContent) {
 };
 
 // Instance method to soft delete comment
-commentSchema.methods.softDelete = async function() {
+commentSchema.methods.softDelete = async function(deletedBy) {
   this.isDeleted = true;
+  this.deletedBy = deletedBy;
+  this.deletedAt = new Date();
+  await this.save();
   
   // Update parent's comment count
   if (this.parentType === 'answer') {
@@ -142,12 +167,15 @@ commentSchema.methods.softDelete = async function() {
     }
   }
   
-  return await this.save();
+  return this;
 };
 
 // Instance method to restore deleted comment
 commentSchema.methods.restore = async function() {
   this.isDeleted = false;
+  this.deletedBy = null;
+  this.deletedAt = null;
+  await this.save();
   
   // Update parent's comment count
   if (this.parentType === 'answer') {
@@ -158,7 +186,17 @@ commentSchema.methods.restore = async function() {
     }
   }
   
-  return await this.save();
+  return this;
+};
+
+// Instance method to get the ID of the question the comment belongs to
+commentSchema.methods.getQuestionId = async function() {
+  if (this.parentType === 'question') {
+    return this.parent;
+  }
+
+  const answer = await mongoose.model('Answer').findById(this.parent).select('question');
+  return answer ? answer.question : null;
 };
 
 // Static method to find comments for a parent
@@ -206,5 +244,6 @@ commentSchema.statics.getCommentCount = function(parentId, parentType, includeDe
 commentSchema.index({ parent: 1, parentType: 1, createdAt: 1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ isDeleted: 1 });
+commentSchema.index({ deletedWith: 1 });
 
 module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { DRAFT_KINDS, DEFAULT_DRAFT_EXPIRY_DAYS } = require('../utils/constants');
+
+/**
+ * Get the expiry date for a draft saved now
+ * @returns {Date} Expiry date
+ */
+const getExpiryDate = () => {
+  const days = parseInt(process.env.DRAFT_EXPIRY_DAYS, 10);
+  const expiryDays = days > 0 ? days : DEFAULT_DRAFT_EXPIRY_DAYS;
+  return new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+};
+
+// Unposted question or answer, autosaved while the user writes it
+// A user has at most one draft per context: one new question, and one
+// answer per question
+const draftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Draft owner is required']
+  },
+
+  kind: {
+    type: String,
+    enum: Object.values(DRAFT_KINDS),
+    required: [true, 'Draft kind is required']
+  },
+
+  // Question being answered; null for question drafts
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+
+  // Question drafts; tags are kept as typed, by name
+  title: {
+    type: String,
+    default: ''
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  tags: {
+    type: [String],
+    default: undefined
+  },
+
+  // Answer drafts
+  content: {
+    type: String,
+    default: ''
+  },
+
+  // Pushed back on every save
+  expiresAt: {
+    type: Date,
+    required: [true, 'Draft expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find a user's unexpired draft for a context
+draftSchema.statics.findDraft = function(userId, kind, questionId = null) {
+  return this.findOne({
+    user: userId,
+    kind,
+    question: questionId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to create or overwrite a user's draft for a context
+draftSchema.statics.saveDraft = function(userId, kind, questionId, fields) {
+  return this.findOneAndUpdate(
+    { user: userId, kind, question: questionId },
+    { ...fields, expiresAt: getExpiryDate() },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to remove a user's draft for a context
+draftSchema.statics.discard = function(userId, kind, questionId = null) {
+  return this.deleteOne({ user: userId, kind, question: questionId });
+};
+
+// Index for better performance
+draftSchema.index({ user: 1, kind: 1, question: 1 }, { unique: true });
+draftSchema.index({ user: 1, updatedAt: -1 });
+draftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto cleanup
+
+module.exports = mongoose.model('Draft', draftSchema);
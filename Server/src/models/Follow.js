@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { FOLLOW_TARGETS } = require('../utils/constants');
+
+// Question or tag a user follows to hear about activity on it
+const followSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required']
+  },
+
+  targetType: {
+    type: String,
+    enum: Object.values(FOLLOW_TARGETS),
+    required: [true, 'Follow target type is required']
+  },
+
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Follow target is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to get the IDs of users following any of the given targets
+followSchema.statics.getFollowerIds = function(targetType, targetIds) {
+  const targets = Array.isArray(targetIds) ? targetIds : [targetIds];
+  return this.find({ targetType, target: { $in: targets } }).distinct('user');
+};
+
+// Static method to get the IDs of the questions a user follows
+followSchema.statics.getFollowedQuestionIds = function(userId) {
+  return this.find({ user: userId, targetType: FOLLOW_TARGETS.QUESTION }).distinct('target');
+};
+
+// Compound unique index to prevent duplicate follows
+followSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+
+// Index for better performance
+followSchema.index({ targetType: 1, target: 1 });
+followSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
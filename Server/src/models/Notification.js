@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { NOTIFICATION_TYPES } = require('../utils/constants');
+const { NOTIFICATION_TYPES, CLOSE_REASONS } = require('../utils/constants');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -45,6 +45,11 @@ const notificationSchema = new mongoose.Schema({
     url: {
       type: String,
       default: null
+    },
+    closeReason: {
+      type: String,
+      enum: Object.values(CLOSE_REASONS),
+      default: null
     }
   },
   
@@ -90,7 +95,8 @@ notificationSchema.statics.createNotification = async function(data) {
     questionId,
     answerId,
     commentId,
-    url
+    url,
+    closeReason = null
   } = data;
   
   // Don't send notification to self
@@ -116,6 +122,7 @@ notificationSchema.statics.createNotification = async function(data) {
     existingNotification.message = message;
     existingNotification.isRead = false;
     existingNotification.data.url = url;
+    existingNotification.data.closeReason = closeReason;
     existingNotification.createdAt = new Date();
     return await existingNotification.save();
   }
@@ -130,7 +137,8 @@ notificationSchema.statics.createNotification = async function(data) {
       questionId,
       answerId,
       commentId,
-      url
+      url,
+      closeReason
     }
   });
 };
@@ -203,7 +211,15 @@ notificationSchema.statics.getNotificationMessage = function(type, senderName, d
     [NOTIFICATION_TYPES.COMMENT_ON_QUESTION]: `${senderName} commented on your question "${data.questionTitle}"`,
     [NOTIFICATION_TYPES.MENTION]: `${senderName} mentioned you in a ${data.mentionType}`,
     [NOTIFICATION_TYPES.ANSWER_ACCEPTED]: `${senderName} accepted your answer`,
-    [NOTIFICATION_TYPES.QUESTION_CLOSED]: `Your question "${data.questionTitle}" was closed by ${senderName}`
+    [NOTIFICATION_TYPES.ANSWER_ALSO_HELPFUL]: `${senderName} marked your answer to "${data.questionTitle}" as also helpful`,
+    [NOTIFICATION_TYPES.ACCEPT_ANSWER_REMINDER]: `Your question "${data.questionTitle}" has answers waiting to be accepted`,
+    [NOTIFICATION_TYPES.QUESTION_CLOSED]: `Your question "${data.questionTitle}" was closed by ${senderName}`,
+    [NOTIFICATION_TYPES.SUGGESTED_EDIT]: `${senderName} suggested an edit to your post`,
+    [NOTIFICATION_TYPES.SUGGESTED_EDIT_REVIEWED]: `${senderName} reviewed your suggested edit`,
+    [NOTIFICATION_TYPES.BOUNTY_AWARDED]: `You were awarded a bounty on "${data.questionTitle}"`,
+    [NOTIFICATION_TYPES.BOUNTY_EXPIRED]: `Your bounty on "${data.questionTitle}" expired`,
+    [NOTIFICATION_TYPES.FOLLOWED_QUESTION_ACTIVITY]: `New activity on "${data.questionTitle}"`,
+    [NOTIFICATION_TYPES.FOLLOWED_TAG_QUESTION]: `${senderName} asked "${data.questionTitle}" in a tag you follow`
   };
   
   return templates[type] || 'You have a new notification';
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const oauthIdentitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Identity user is required']
+  },
+
+  provider: {
+    type: String,
+    required: [true, 'Identity provider is required']
+  },
+
+  // Stable account ID at the provider (OIDC "sub")
+  subject: {
+    type: String,
+    required: [true, 'Identity subject is required']
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the identity for a provider account
+oauthIdentitySchema.statics.findByProviderSubject = function(provider, subject) {
+  return this.findOne({ provider, subject: String(subject) });
+};
+
+// Index for better performance
+oauthIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+oauthIdentitySchema.index({ user: 1 });
+
+module.exports = mongoose.model('OAuthIdentity', oauthIdentitySchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { QUESTION_STATUS } = require('../utils/constants');
+const { QUESTION_STATUS, MODERATION_STATUSES, CLOSE_REASONS } = require('../utils/constants');
 
 const questionSchema = new mongoose.Schema({
   title: {
@@ -57,6 +57,32 @@ const questionSchema = new mongoose.Schema({
     default: QUESTION_STATUS.ACTIVE
   },
   
+  // Status to return to once a protection or lock is lifted
+  previousStatus: {
+    type: String,
+    enum: [QUESTION_STATUS.ACTIVE, QUESTION_STATUS.CLOSED],
+    default: null
+  },
+  
+  // Moderator who protected or locked the question
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  statusReason: {
+    type: String,
+    maxlength: [200, 'Status reason cannot exceed 200 characters'],
+    default: null
+  },
+  
+  // When a protection or lock is lifted automatically (null = until removed)
+  statusExpiresAt: {
+    type: Date,
+    default: null
+  },
+  
   closedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -69,11 +95,97 @@ const questionSchema = new mongoose.Schema({
     default: null
   },
   
+  closedReasonType: {
+    type: String,
+    enum: Object.values(CLOSE_REASONS),
+    default: null
+  },
+  
+  // Canonical question when closed as a duplicate
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  
+  isQuarantined: {
+    type: Boolean,
+    default: false // Held back until the author verifies their email
+  },
+  
   isPinned: {
     type: Boolean,
     default: false
   },
   
+  // Community wiki posts can be edited at a lower reputation and earn their
+  // author no reputation from votes
+  isCommunityWiki: {
+    type: Boolean,
+    default: false
+  },
+  
+  communityWikiAt: {
+    type: Date,
+    default: null
+  },
+  
+  // When the asker was reminded to accept an answer (sent once per question)
+  acceptReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Answer the community considers accepted because the asker never chose one.
+  // Kept apart from acceptedAnswer, which only the asker sets
+  communityAcceptedAnswer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Answer',
+    default: null
+  },
+  
+  communityAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // When the question was last checked for a community-accepted answer.
+  // Cleared by votes on its answers, so only changed questions are rechecked
+  communityAcceptCheckedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Active bounty, kept here for listing and sorting (see Bounty)
+  bountyAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  bountyExpiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Questions from before soft deletion have no isDeleted until
+  // `npm run migrate` runs, so queries match { isDeleted: { $ne: true } }
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  
   lastActivity: {
     type: Date,
     default: Date.now
@@ -131,7 +243,8 @@ questionSchema.methods.updateAnswerCount = async function() {
   const Answer = mongoose.model('Answer');
   this.answerCount = await Answer.countDocuments({ 
     question: this._id, 
-    isDeleted: false 
+    isDeleted: false,
+    isQuarantined: { $ne: true }
   });
   this.lastActivity = new Date();
   return await this.save({ validateBeforeSave: false });
@@ -160,14 +273,160 @@ questionSchema.methods.acceptAnswer = async function(answerId, userId) {
 };
 
 // Instance method to close question
-questionSchema.methods.closeQuestion = async function(userId, reason) {
+// Closing lifts any protection
+questionSchema.methods.closeQuestion = async function(userId, options = {}) {
+  const { reason = null, reasonType = null, duplicateOf = null } = options;
+
   this.status = QUESTION_STATUS.CLOSED;
+  this.previousStatus = null;
+  this.statusChangedBy = null;
+  this.statusReason = null;
+  this.statusExpiresAt = null;
   this.closedBy = userId;
   this.closedReason = reason;
+  this.closedReasonType = reasonType;
+  this.duplicateOf = duplicateOf;
+  this.lastActivity = new Date();
+  return await this.save();
+};
+
+// Instance method to reopen question
+questionSchema.methods.reopenQuestion = async function() {
+  this.status = QUESTION_STATUS.ACTIVE;
+  this.closedBy = null;
+  this.closedReason = null;
+  this.closedReasonType = null;
+  this.duplicateOf = null;
   this.lastActivity = new Date();
   return await this.save();
 };
 
+// Instance method to soft delete question
+// Its answers and comments are hidden along with it
+questionSchema.methods.softDelete = async function(deletedBy) {
+  this.isDeleted = true;
+  this.deletedBy = deletedBy;
+  this.deletedAt = new Date();
+  await this.save();
+
+  const Answer = mongoose.model('Answer');
+  const Comment = mongoose.model('Comment');
+  const answerIds = await Answer.find({ question: this._id }).distinct('_id');
+  const cascade = {
+    isDeleted: true,
+    deletedBy,
+    deletedAt: this.deletedAt,
+    deletedWith: this._id
+  };
+
+  await Answer.updateMany({ question: this._id, isDeleted: false }, cascade);
+  await Comment.updateMany({
+    $or: [
+      { parent: this._id, parentType: 'question' },
+      { parent: { $in: answerIds }, parentType: 'answer' }
+    ],
+    isDeleted: false
+  }, cascade);
+
+  return this;
+};
+
+// Instance method to restore deleted question
+// Brings back the answers and comments hidden along with it
+questionSchema.methods.restore = async function() {
+  this.isDeleted = false;
+  this.deletedBy = null;
+  this.deletedAt = null;
+
+  const restored = { isDeleted: false, deletedBy: null, deletedAt: null, deletedWith: null };
+  await mongoose.model('Answer').updateMany({ deletedWith: this._id }, restored);
+  await mongoose.model('Comment').updateMany({ deletedWith: this._id }, restored);
+
+  return await this.updateAnswerCount();
+};
+
+// Instance method to protect or lock question
+// Locking a protected question replaces its protection
+questionSchema.methods.setModerationStatus = async function(status, options = {}) {
+  const { userId, reason = null, expiresAt = null } = options;
+
+  if (!MODERATION_STATUSES.includes(this.status)) {
+    this.previousStatus = this.status;
+  }
+  this.status = status;
+  this.statusChangedBy = userId;
+  this.statusReason = reason;
+  this.statusExpiresAt = expiresAt;
+  return await this.save();
+};
+
+// Instance method to lift a protection or lock
+questionSchema.methods.clearModerationStatus = async function() {
+  this.status = this.previousStatus || QUESTION_STATUS.ACTIVE;
+  this.previousStatus = null;
+  this.statusChangedBy = null;
+  this.statusReason = null;
+  this.statusExpiresAt = null;
+  return await this.save();
+};
+
+// Instance method to turn community wiki on or off
+questionSchema.methods.setCommunityWiki = async function(enabled) {
+  this.isCommunityWiki = enabled;
+  this.communityWikiAt = enabled ? new Date() : null;
+  return await this.save();
+};
+
+// Static method to follow duplicate links to the question they end at
+questionSchema.statics.findCanonical = async function(questionId) {
+  const visited = new Set();
+  let question = await this.findById(questionId);
+
+  while (question && question.duplicateOf && !visited.has(question.duplicateOf.toString())) {
+    visited.add(question._id.toString());
+    question = await this.findById(question.duplicateOf);
+  }
+
+  return question;
+};
+
+// Static method to lift protections and locks that have expired
+// A single update, so concurrent workers can't lift one twice
+questionSchema.statics.expireModerationStatuses = function(now = new Date()) {
+  return this.updateMany(
+    { status: { $in: MODERATION_STATUSES }, statusExpiresAt: { $lte: now } },
+    [{
+      $set: {
+        status: { $ifNull: ['$previousStatus', QUESTION_STATUS.ACTIVE] },
+        previousStatus: null,
+        statusChangedBy: null,
+        statusReason: null,
+        statusExpiresAt: null
+      }
+    }]
+  );
+};
+
+// Static method to claim sending the acceptance reminder of a question
+// Resolves to false when another worker sent it or an answer was accepted
+questionSchema.statics.claimAcceptReminder = async function(id, now = new Date()) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: id, acceptedAnswer: null, acceptReminderSentAt: null },
+    { acceptReminderSentAt: now }
+  );
+  return modifiedCount > 0;
+};
+
+// Static method to flag the community-accepted answer of a question
+// Resolves to false when the question already has an accepted answer
+questionSchema.statics.setCommunityAcceptedAnswer = async function(id, answerId, now = new Date()) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: id, acceptedAnswer: null, communityAcceptedAnswer: null },
+    { communityAcceptedAnswer: answerId, communityAcceptedAt: now, communityAcceptCheckedAt: now }
+  );
+  return modifiedCount > 0;
+};
+
 // Static method for search
 questionSchema.statics.searchQuestions = function(query, options = {}) {
   const {
@@ -181,7 +440,7 @@ questionSchema.statics.searchQuestions = function(query, options = {}) {
   const skip = (page - 1) * limit;
   
   // Build search criteria
-  const searchCriteria = { status };
+  const searchCriteria = { status, isDeleted: { $ne: true } };
   
   if (query) {
     searchCriteria.$text = { $search: query };
@@ -224,9 +483,14 @@ questionSchema.index({ title: 'text', description: 'text' });
 questionSchema.index({ author: 1, createdAt: -1 });
 questionSchema.index({ tags: 1, createdAt: -1 });
 questionSchema.index({ status: 1, createdAt: -1 });
+questionSchema.index({ isDeleted: 1 });
+questionSchema.index({ status: 1, statusExpiresAt: 1 });
 questionSchema.index({ voteScore: -1, createdAt: -1 });
 questionSchema.index({ views: -1, createdAt: -1 });
 questionSchema.index({ lastActivity: -1 });
 questionSchema.index({ isPinned: -1, createdAt: -1 });
+questionSchema.index({ duplicateOf: 1 });
+questionSchema.index({ acceptedAnswer: 1, communityAcceptCheckedAt: 1, acceptReminderSentAt: 1 });
+questionSchema.index({ bountyAmount: -1, bountyExpiresAt: 1 });
 
 module.exports = mongoose.model('Question', questionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { summarizeContributors } = require('../utils/helpers');
+
+const REVISION_TYPES = ['initial', 'edit', 'rollback'];
+
+// Full snapshot of a question after each change
+const questionRevisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Revision question is required']
+  },
+
+  revisionNumber: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+
+  type: {
+    type: String,
+    enum: REVISION_TYPES,
+    default: 'edit'
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Revision title is required']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Revision description is required']
+  },
+
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Revision editor is required']
+  },
+
+  reason: {
+    type: String,
+    maxlength: [200, 'Edit reason cannot exceed 200 characters'],
+    default: null
+  },
+
+  // Revision restored by a rollback
+  rolledBackTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Copy the versioned fields of a question
+ * @param {Object} question - Question document
+ * @returns {Object} Snapshot fields
+ */
+const snapshot = (question) => ({
+  question: question._id,
+  title: question.title,
+  description: question.description,
+  tags: question.tags.map(tag => tag._id || tag)
+});
+
+// Static method to record the current state of a question as a new revision
+questionRevisionSchema.statics.record = async function(question, editorId, options = {}) {
+  const { type = 'edit', reason = null, rolledBackTo = null } = options;
+
+  // Retry when a concurrent edit takes the same revision number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ question: question._id })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber');
+
+    try {
+      return await this.create({
+        ...snapshot(question),
+        revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+        type,
+        editor: editorId,
+        reason,
+        rolledBackTo
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record question revision');
+};
+
+// Static method to record the original version of a question that has no
+// revisions yet (created before revision history existed)
+questionRevisionSchema.statics.ensureInitial = async function(question) {
+  if (await this.exists({ question: question._id })) return;
+
+  try {
+    await this.create({
+      ...snapshot(question),
+      revisionNumber: 1,
+      type: 'initial',
+      editor: question.author._id || question.author,
+      createdAt: question.createdAt
+    });
+  } catch (error) {
+    // Recorded by a concurrent request
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Static method to list the users who wrote or edited a question
+questionRevisionSchema.statics.getContributors = async function(questionId) {
+  const revisions = await this.find({ question: questionId }).select('editor createdAt').lean();
+  const contributions = revisions.map(revision => ({ user: revision.editor, at: revision.createdAt }));
+
+  return await mongoose.model('User').populate(summarizeContributors(contributions), {
+    path: 'user',
+    select: 'username profile.firstName profile.lastName profile.avatar reputation'
+  });
+};
+
+// Index for better performance
+questionRevisionSchema.index({ question: 1, revisionNumber: 1 }, { unique: true });
+questionRevisionSchema.index({ editor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token user is required']
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Refresh token expiry is required']
+  },
+
+  createdByIp: {
+    type: String,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual to check if token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to hash a raw token for storage and lookup
+refreshTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to issue a new refresh token for a user
+refreshTokenSchema.statics.issue = async function(userId, options = {}) {
+  const { ip = null, session = null } = options;
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+  const rawToken = crypto.randomBytes(40).toString('hex');
+
+  const refreshToken = await this.create({
+    user: userId,
+    session,
+    tokenHash: this.hashToken(rawToken),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip
+  });
+
+  return { rawToken, refreshToken };
+};
+
+// Static method to find a stored token from its raw value
+refreshTokenSchema.statics.findByRawToken = function(rawToken) {
+  return this.findOne({ tokenHash: this.hashToken(rawToken) });
+};
+
+// Static method to revoke every active refresh token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Index for better performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ session: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Auto cleanup
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
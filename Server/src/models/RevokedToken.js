@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token identifier is required'],
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Kept only until the access token would have expired anyway
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to add an access token to the revocation list
+revokedTokenSchema.statics.revoke = async function(jti, userId, expiresAt) {
+  return await this.findOneAndUpdate(
+    { jti },
+    { jti, user: userId, expiresAt },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to check if an access token was revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  return !!(await this.exists({ jti }));
+};
+
+// Index for automatic cleanup of expired entries
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
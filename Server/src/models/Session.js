@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+    default: ''
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual to check if session is still usable
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Instance method to record usage (throttled to one write per minute)
+sessionSchema.methods.touch = async function(ipAddress) {
+  const oneMinuteAgo = Date.now() - 60 * 1000;
+  if (this.lastUsedAt && this.lastUsedAt.getTime() > oneMinuteAgo && !ipAddress) {
+    return this;
+  }
+
+  this.lastUsedAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return await this.save();
+};
+
+// Instance method to revoke session and its refresh tokens
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+
+  const RefreshToken = mongoose.model('RefreshToken');
+  await RefreshToken.updateMany(
+    { session: this._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return await this.save();
+};
+
+// Static method to get active sessions of a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to check if a user has signed in from this IP and user agent before
+sessionSchema.statics.isKnownDevice = async function(userId, ipAddress, userAgent) {
+  const hasHistory = await this.exists({ user: userId });
+
+  // First tracked login - nothing to compare against
+  if (!hasHistory) return true;
+
+  const match = await this.exists({
+    user: userId,
+    ipAddress: ipAddress || null,
+    userAgent: (userAgent || '').slice(0, 500)
+  });
+
+  return !!match;
+};
+
+// Static method to revoke all sessions of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await this.find(query).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+
+  if (sessionIds.length > 0) {
+    await this.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+
+    const RefreshToken = mongoose.model('RefreshToken');
+    await RefreshToken.updateMany(
+      { session: { $in: sessionIds }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  return sessionIds;
+};
+
+// Index for better performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
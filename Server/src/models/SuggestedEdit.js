@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { SUGGESTED_EDIT_STATUS } = require('../utils/constants');
+
+// Edit proposed by a user who can't edit the post directly; applied once a
+// reviewer approves it
+const suggestedEditSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['question', 'answer'],
+    required: [true, 'Target type is required']
+  },
+
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required']
+  },
+
+  // Question the post belongs to (the target itself for questions)
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Question reference is required']
+  },
+
+  postAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Post author is required']
+  },
+
+  suggestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Suggester is required']
+  },
+
+  // Proposed version; only the fields of the target type are set
+  title: {
+    type: String,
+    default: null
+  },
+
+  description: {
+    type: String,
+    default: null
+  },
+
+  tags: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
+    }],
+    default: undefined
+  },
+
+  content: {
+    type: String,
+    default: null
+  },
+
+  // Version of the post the edit was written against
+  original: {
+    title: String,
+    description: String,
+    tags: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: undefined
+    },
+    content: String
+  },
+
+  reason: {
+    type: String,
+    maxlength: [200, 'Edit reason cannot exceed 200 characters'],
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(SUGGESTED_EDIT_STATUS),
+    default: SUGGESTED_EDIT_STATUS.PENDING
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  reviewComment: {
+    type: String,
+    maxlength: [300, 'Review comment cannot exceed 300 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if the post changed after the edit was suggested
+suggestedEditSchema.methods.isStale = function(post) {
+  if (this.targetType === 'answer') {
+    return post.content !== this.original.content;
+  }
+
+  const sameTags = (post.tags || []).map(String).join() === (this.original.tags || []).map(String).join();
+  return post.title !== this.original.title ||
+    post.description !== this.original.description ||
+    !sameTags;
+};
+
+// Static method to record the review outcome
+// Only a pending suggestion can be reviewed, so concurrent reviews resolve to
+// one winner; returns null when the suggestion was already reviewed
+suggestedEditSchema.statics.review = function(id, status, reviewedBy, comment) {
+  return this.findOneAndUpdate(
+    { _id: id, status: SUGGESTED_EDIT_STATUS.PENDING },
+    {
+      status,
+      reviewedBy,
+      reviewedAt: new Date(),
+      reviewComment: comment || null
+    },
+    { new: true }
+  );
+};
+
+// Index for better performance
+suggestedEditSchema.index({ status: 1, createdAt: 1 });
+suggestedEditSchema.index({ postAuthor: 1, status: 1 });
+suggestedEditSchema.index({ suggestedBy: 1, status: 1 });
+// One suggestion waiting for review per post
+suggestedEditSchema.index(
+  { target: 1 },
+  { unique: true, partialFilterExpression: { status: SUGGESTED_EDIT_STATUS.PENDING } }
+);
+
+module.exports = mongoose.model('SuggestedEdit', suggestedEditSchema);
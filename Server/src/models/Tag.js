@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PRIVILEGES, hasPrivilege } = require('../utils/privileges');
+const { diffSets } = require('../utils/diff');
 
 const tagSchema = new mongoose.Schema({
   name: {
@@ -70,13 +72,13 @@ tagSchema.virtual('questions', {
   foreignField: 'tags'
 });
 
-// Pre-save middleware to auto-approve tags created by admins
+// Pre-save middleware to auto-approve tags created by moderators and admins
 tagSchema.pre('save', async function(next) {
   if (this.isNew) {
     try {
       const User = mongoose.model('User');
       const creator = await User.findById(this.createdBy);
-      if (creator && creator.role === 'admin') {
+      if (creator && hasPrivilege(creator, PRIVILEGES.MODERATE)) {
         this.isApproved = true;
         this.approvedBy = this.createdBy;
       }
@@ -120,6 +122,19 @@ tagSchema.statics.findOrCreateTags = async function(tagNames, createdBy) {
   return tags;
 };
 
+// Static method to move usage counts from one tag set to another
+tagSchema.statics.updateUsage = async function(oldTagIds, newTagIds) {
+  const { added, removed } = diffSets(oldTagIds, newTagIds);
+
+  if (removed.length > 0) {
+    await this.updateMany({ _id: { $in: removed } }, { $inc: { usageCount: -1 } });
+  }
+
+  if (added.length > 0) {
+    await this.updateMany({ _id: { $in: added } }, { $inc: { usageCount: 1 } });
+  }
+};
+
 // Static method to get popular tags
 tagSchema.statics.getPopularTags = function(limit = 20) {
   return this.find({ isApproved: true })
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { USER_ROLES } = require('../utils/constants');
+const crypto = require('crypto');
+const { USER_ROLES, ACCOUNT_LOCKOUT } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -88,14 +89,73 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // False for accounts created through OAuth until they set a password
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enrolledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   lastLogin: {
     type: Date,
     default: null
   },
   
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  
   isActive: {
     type: Boolean,
     default: true
+  },
+  
+  // Stand-in author for content left behind by deleted accounts
+  isPlaceholder: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -134,6 +194,13 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    
+    // Invalidate tokens issued before this change (1s back-off so the
+    // token issued right after the change is still accepted)
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+      this.hasPassword = true;
+    }
     next();
   } catch (error) {
     next(error);
@@ -156,12 +223,157 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check if password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to check if the account must enroll in 2FA
+userSchema.methods.requiresTwoFactorEnrollment = function() {
+  return this.role === USER_ROLES.ADMIN &&
+    process.env.REQUIRE_ADMIN_2FA === 'true' &&
+    !this.twoFactor?.enabled;
+};
+
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Instance method to record a failed login and apply progressive lockout
+// Updates are atomic so parallel attempts from many IPs are all counted
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - ACCOUNT_LOCKOUT.ATTEMPT_WINDOW_HOURS * 60 * 60 * 1000);
+
+  // Forget failures outside the attempt window
+  await this.constructor.updateOne(
+    { _id: this._id, lastFailedLoginAt: { $lt: windowStart } },
+    { failedLoginAttempts: 0 }
+  );
+
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  if (failedLoginAttempts < ACCOUNT_LOCKOUT.MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const exponent = failedLoginAttempts - ACCOUNT_LOCKOUT.MAX_ATTEMPTS;
+  const lockMinutes = Math.min(
+    ACCOUNT_LOCKOUT.BASE_LOCK_MINUTES * 2 ** exponent,
+    ACCOUNT_LOCKOUT.MAX_LOCK_MINUTES
+  );
+  const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+  await this.constructor.updateOne({ _id: this._id }, { lockUntil });
+  return lockUntil;
+};
+
+// Instance method to clear failed login tracking (saved with the document)
+userSchema.methods.resetFailedLogins = function() {
+  if (this.failedLoginAttempts || this.lockUntil) {
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = null;
+    this.lockUntil = null;
+  }
+};
+
+// Instance method to publish content held back while the email was unverified
+// Resolves to the published { questions, answers, comments } so the caller can
+// send the notifications held back along with them
+userSchema.methods.releaseQuarantinedContent = async function() {
+  const Question = mongoose.model('Question');
+  const Answer = mongoose.model('Answer');
+  const Comment = mongoose.model('Comment');
+  const filter = { author: this._id, isQuarantined: true };
+
+  const [questions, answers, comments] = await Promise.all([
+    Question.find(filter),
+    Answer.find(filter),
+    Comment.find(filter)
+  ]);
+
+  await Promise.all([
+    Question.updateMany(filter, { isQuarantined: false, lastActivity: new Date() }),
+    Answer.updateMany(filter, { isQuarantined: false }),
+    Comment.updateMany(filter, { isQuarantined: false })
+  ]);
+
+  // Answers were left out of their question's counts while quarantined,
+  // and comments out of their answer's
+  const questionIds = new Set(answers.map(answer => answer.question.toString()));
+  for (const questionId of questionIds) {
+    const question = await Question.findById(questionId);
+    if (question) await question.updateAnswerCount();
+  }
+
+  // A released answer may lead, so the acceptance job checks again
+  await Question.updateMany(
+    { _id: { $in: [...questionIds] } },
+    { communityAcceptCheckedAt: null }
+  );
+
+  const answerIds = new Set(comments
+    .filter(comment => comment.parentType === 'answer')
+    .map(comment => comment.parent.toString()));
+  for (const answerId of answerIds) {
+    const answer = await Answer.findById(answerId);
+    if (answer) await answer.updateCommentCount();
+  }
+
+  [...questions, ...answers, ...comments].forEach(item => {
+    item.isQuarantined = false;
+  });
+
+  return { questions, answers, comments };
+};
+
 // Instance method to update reputation
 userSchema.methods.updateReputation = async function(change) {
   this.reputation = Math.max(0, this.reputation + change);
   return await this.save();
 };
 
+// Static method to spend reputation in one atomic update, so parallel
+// requests can't spend the same reputation twice
+// Resolves to the updated user, or null when the balance is too low
+userSchema.statics.spendReputation = function(userId, amount) {
+  return this.findOneAndUpdate(
+    { _id: userId, reputation: { $gte: amount } },
+    { $inc: { reputation: -amount } },
+    { new: true }
+  );
+};
+
+// Static method to get (or create) the "deleted user" placeholder account
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+  const existing = await this.findOne({ isPlaceholder: true });
+  if (existing) return existing;
+
+  const username = await this.generateUniqueUsername(['deleteduser']);
+
+  try {
+    return await this.create({
+      username,
+      email: `${username}@example.com`,
+      password: crypto.randomBytes(32).toString('hex'),
+      isActive: false,
+      isPlaceholder: true
+    });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return await this.findOne({ isPlaceholder: true });
+    }
+    throw error;
+  }
+};
+
 // Static method to find by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -172,8 +384,31 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+// Static method to derive an unused username from external profile data
+// Usernames must be 3-30 alphanumeric characters
+userSchema.statics.generateUniqueUsername = async function(candidates = []) {
+  const base = candidates
+    .map(candidate => String(candidate || '').replace(/[^a-zA-Z0-9]/g, ''))
+    .find(candidate => candidate.length >= 3) || 'user';
+  const trimmed = base.slice(0, 24);
+
+  if (!(await this.exists({ username: trimmed }))) {
+    return trimmed;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const username = `${trimmed}${crypto.randomInt(100, 1000000)}`;
+    if (!(await this.exists({ username }))) {
+      return username;
+    }
+  }
+
+  return `user${crypto.randomBytes(8).toString('hex')}`;
+};
+
 // Index for better performance
 userSchema.index({ reputation: -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ isPlaceholder: 1 }, { unique: true, partialFilterExpression: { isPlaceholder: true } });
 
 module.exports = mongoose.model('User', userSchema);
@@ -23,6 +23,14 @@ const voteSchema = new mongoose.Schema({
     type: String,
     enum: Object.values(VOTE_TYPES),
     required: [true, 'Vote type is required']
+  },
+  
+  // Whether the vote changed the target author's reputation when cast.
+  // Votes on community wiki posts don't, so changing or removing them must
+  // not either, whatever the post's wiki state is by then
+  reputationApplied: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
@@ -39,6 +47,10 @@ voteSchema.index({ voter: 1, createdAt: -1 });
 voteSchema.pre('save', async function(next) {
   if (this.isNew) {
     try {
+      const Target = mongoose.model(this.targetType === 'question' ? 'Question' : 'Answer');
+      const target = await Target.findById(this.target).select('isCommunityWiki');
+      this.reputationApplied = !target?.isCommunityWiki;
+
       await this.updateTargetVoteScore();
     } catch (error) {
       return next(error);
@@ -47,8 +59,8 @@ voteSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-remove middleware to update vote score when vote is removed
-voteSchema.pre('remove', async function(next) {
+// Update vote score when a vote document is deleted
+voteSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   try {
     // Reverse the vote impact
     const voteValue = this.voteType === VOTE_TYPES.UPVOTE ? -1 : 1;
@@ -80,13 +92,14 @@ voteSchema.methods.updateTargetVoteScore = async function(customValue = null) {
       { $inc: { voteScore: voteValue } }
     );
     
-    // Also update the question's last activity
+    // Also update the question's last activity, and have the acceptance job
+    // check it for a community-accepted answer again
     const answer = await Answer.findById(this.target);
     if (answer) {
       const Question = mongoose.model('Question');
       await Question.findByIdAndUpdate(
         answer.question,
-        { lastActivity: new Date() }
+        { lastActivity: new Date(), communityAcceptCheckedAt: null }
       );
     }
   }
@@ -105,8 +118,8 @@ voteSchema.statics.toggleVote = async function(voterId, targetId, targetType, vo
     if (existingVote) {
       if (existingVote.voteType === voteType) {
         // Same vote type - remove the vote
-        await existingVote.remove();
-        return { action: 'removed', vote: null };
+        await existingVote.deleteOne();
+        return { action: 'removed', vote: null, removedVote: existingVote };
       } else {
         // Different vote type - update the vote
         const oldVoteType = existingVote.voteType;
@@ -183,34 +196,25 @@ voteSchema.statics.getVoteSummary = async function(targetId, targetType) {
   return summary;
 };
 
-// Static method to update user reputation based on votes
-voteSchema.statics.updateUserReputation = async function(targetId, targetType, voteType) {
+// Static method to apply a vote's reputation change to the target's author
+// Only votes that earned reputation when cast change it (see reputationApplied)
+// Returns the author, or null if the target or author no longer exists
+voteSchema.statics.updateUserReputation = async function(vote, reputationChange) {
   try {
-    let authorId;
-    
-    if (targetType === 'question') {
-      const Question = mongoose.model('Question');
-      const question = await Question.findById(targetId);
-      authorId = question?.author;
-    } else if (targetType === 'answer') {
-      const Answer = mongoose.model('Answer');
-      const answer = await Answer.findById(targetId);
-      authorId = answer?.author;
-    }
-    
-    if (authorId) {
-      const User = mongoose.model('User');
-      const reputationChange = voteType === VOTE_TYPES.UPVOTE ? 
-        (targetType === 'question' ? 5 : 10) : 
-        -2;
-      
-      await User.findByIdAndUpdate(
-        authorId,
-        { $inc: { reputation: reputationChange } }
-      );
+    const Target = mongoose.model(vote.targetType === 'question' ? 'Question' : 'Answer');
+    const target = await Target.findById(vote.target).select('author');
+    if (!target) return null;
+
+    const User = mongoose.model('User');
+    const author = await User.findById(target.author);
+    if (!author || !vote.reputationApplied || reputationChange === 0) {
+      return author;
     }
+
+    return await author.updateReputation(reputationChange);
   } catch (error) {
     console.error('Error updating user reputation:', error);
+    return null;
   }
 };
 
@@ -2,12 +2,34 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { auth } = require('../middleware/auth');
-const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
+const {
+  scopedAuth,
+  optionalAuth,
+  loadResource,
+  can,
+  rejectLockedQuestion,
+  rejectEditLockedAnswer,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validate, validateObjectId } = require('../middleware/validation');
 const { answerLimiter } = require('../middleware/rateLimiter');
 
 // Import validation schemas
-const { createAnswerSchema, updateAnswerSchema } = require('../utils/validators');
+const {
+  answerListSchema,
+  createAnswerSchema,
+  updateAnswerSchema,
+  rollbackAnswerSchema,
+  revisionDiffSchema,
+  moderationStatusSchema
+} = require('../utils/validators');
+
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+const { PRIVILEGES, getEditPrivilege } = require('../utils/privileges');
+
+// Import models
+const Answer = require('../models/Answer');
 
 // Import answer controller
 const answerController = require('../controllers/answerController');
@@ -15,46 +37,132 @@ const answerController = require('../controllers/answerController');
 // Endpoints
 router.get('/question/:questionId',
   validateObjectId('questionId'),
-  validatePagination,
+  validate(answerListSchema, 'query'),
+  optionalAuth,
   answerController.getAnswersByQuestion
 );
 
 router.get('/:id',
   validateObjectId(),
+  optionalAuth,
   answerController.getAnswerById
 );
 
 router.post('/question/:questionId',
   validateObjectId('questionId'),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
   answerLimiter,
   validate(createAnswerSchema),
+  requireVerifiedEmail(),
   answerController.createAnswer
 );
 
 router.put('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(req => getEditPrivilege(req.resource), { ownerFields: ['author'] }),
+  rejectLockedQuestion(req => req.resource.question),
+  rejectEditLockedAnswer(req => req.params.id),
   validate(updateAnswerSchema),
   answerController.updateAnswer
 );
 
 router.delete('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
   answerController.deleteAnswer
 );
 
+router.post('/:id/undelete',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  answerController.undeleteAnswer
+);
+
+router.post('/:id/community-wiki',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  answerController.makeCommunityWiki
+);
+
+router.delete('/:id/community-wiki',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE),
+  answerController.removeCommunityWiki
+);
+
+router.get('/:id/revisions',
+  validateObjectId(),
+  optionalAuth,
+  answerController.getAnswerRevisions
+);
+
+router.get('/:id/revisions/diff',
+  validateObjectId(),
+  optionalAuth,
+  validate(revisionDiffSchema, 'query'),
+  answerController.getAnswerRevisionDiff
+);
+
+router.post('/:id/rollback/:revision',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  rejectLockedQuestion(req => req.resource.question),
+  rejectEditLockedAnswer(req => req.params.id),
+  validate(rollbackAnswerSchema),
+  answerController.rollbackAnswer
+);
+
+router.post('/:id/edit-lock',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE),
+  validate(moderationStatusSchema),
+  answerController.lockAnswerEdits
+);
+
+router.delete('/:id/edit-lock',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  loadResource(Answer, 'Answer not found'),
+  can(PRIVILEGES.MODERATE),
+  answerController.unlockAnswerEdits
+);
+
 router.put('/:id/accept',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
   answerController.acceptAnswer
 );
 
 router.put('/:id/unaccept',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
   answerController.unacceptAnswer
 );
 
+router.put('/:id/also-helpful',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  answerController.markAlsoHelpful
+);
+
+router.delete('/:id/also-helpful',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  answerController.unmarkAlsoHelpful
+);
+
 module.exports = router;
@@ -3,22 +3,36 @@ const router = express.Router();
 
 // Import middleware
 const { auth } = require('../middleware/auth');
-const { validate } = require('../middleware/validation');
+const { validate, validateObjectId } = require('../middleware/validation');
 const { authLimiter, passwordResetLimiter, emailVerificationLimiter } = require('../middleware/rateLimiter');
 
 // Import validation schemas
 const {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  reportSessionSchema,
+  oauthExchangeSchema,
+  createApiTokenSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
   updateProfileSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  changePasswordSchema
 } = require('../utils/validators');
 
 // Import controller
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  getPasswordPolicy,
+  getOAuthProviders,
+  startOAuthLogin,
+  oauthCallback,
+  exchangeOAuthLoginCode,
   getMe,
   updateProfile,
   changePassword,
@@ -26,7 +40,19 @@ const {
   resetPassword,
   verifyEmail,
   resendEmailVerification,
-  logout
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  reportSession,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
 // Public routes
@@ -42,6 +68,38 @@ router.post('/login',
   login
 );
 
+router.post('/2fa/verify',
+  authLimiter,
+  validate(twoFactorLoginSchema),
+  verifyTwoFactorLogin
+);
+
+router.get('/password-policy', getPasswordPolicy);
+
+router.get('/oauth/providers', getOAuthProviders);
+
+router.post('/oauth/exchange',
+  authLimiter,
+  validate(oauthExchangeSchema),
+  exchangeOAuthLoginCode
+);
+
+router.get('/oauth/:provider', startOAuthLogin);
+
+router.get('/oauth/:provider/callback', oauthCallback);
+
+router.post('/refresh',
+  authLimiter,
+  validate(refreshTokenSchema),
+  refreshToken
+);
+
+router.post('/sessions/report',
+  authLimiter,
+  validate(reportSessionSchema),
+  reportSession
+);
+
 router.post('/forgot-password',
   passwordResetLimiter,
   validate(forgotPasswordSchema),
@@ -70,6 +128,7 @@ router.put('/profile',
 );
 
 router.put('/change-password',
+  validate(changePasswordSchema),
   changePassword
 );
 
@@ -80,4 +139,42 @@ router.post('/resend-verification',
 
 router.post('/logout', logout);
 
+router.post('/2fa/setup', setupTwoFactor);
+
+router.post('/2fa/enable',
+  validate(twoFactorCodeSchema),
+  enableTwoFactor
+);
+
+router.post('/2fa/disable',
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
+router.post('/2fa/recovery-codes',
+  validate(twoFactorCodeSchema),
+  regenerateRecoveryCodes
+);
+
+router.get('/sessions', getSessions);
+
+router.delete('/sessions', revokeOtherSessions);
+
+router.delete('/sessions/:id',
+  validateObjectId(),
+  revokeSession
+);
+
+router.get('/tokens', getApiTokens);
+
+router.post('/tokens',
+  validate(createApiTokenSchema),
+  createApiToken
+);
+
+router.delete('/tokens/:id',
+  validateObjectId(),
+  revokeApiToken
+);
+
 module.exports = router;
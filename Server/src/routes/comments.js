@@ -2,19 +2,48 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { auth } = require('../middleware/auth');
+const {
+  scopedAuth,
+  optionalAuth,
+  loadResource,
+  can,
+  rejectLockedQuestion,
+  requireVerifiedEmail
+} = require('../middleware/auth');
 const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
 const { commentLimiter } = require('../middleware/rateLimiter');
 
 // Import validation schemas
 const { createCommentSchema } = require('../utils/validators');
 
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+const { PRIVILEGES } = require('../utils/privileges');
+
+// Import models
+const Comment = require('../models/Comment');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+
 // Import comment controller
 const commentController = require('../controllers/commentController');
 
+// Load the post a new comment is attached to (answers include their question's author)
+const loadCommentedPost = loadResource(req => (
+  req.body.postType === 'answer'
+    ? Answer.findById(req.body.postId).populate('question', 'author')
+    : Question.findById(req.body.postId)
+), 'Post not found');
+
+// Find the question a new comment belongs to
+const getCommentedQuestionId = (req) => (
+  req.body.postType === 'answer' ? req.resource.question?._id : req.resource._id
+);
+
 // Endpoints
 router.get('/',
   validatePagination,
+  optionalAuth,
   commentController.getComments
 );
 
@@ -24,24 +53,41 @@ router.get('/:id',
 );
 
 router.post('/',
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
   commentLimiter,
   validate(createCommentSchema),
+  requireVerifiedEmail(),
+  loadCommentedPost,
+  can(PRIVILEGES.COMMENT_EVERYWHERE, { ownerFields: ['author', 'question.author'] }),
+  rejectLockedQuestion(getCommentedQuestionId),
   commentController.createComment
 );
 
 router.put('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Comment, 'Comment not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  rejectLockedQuestion(req => req.resource.getQuestionId()),
   commentController.updateComment
 );
 
 router.delete('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Comment, 'Comment not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
   commentController.deleteComment
 );
 
+router.post('/:id/undelete',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  loadResource(Comment, 'Comment not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  commentController.undeleteComment
+);
+
 router.get('/:id/replies',
   validateObjectId(),
   validatePagination,
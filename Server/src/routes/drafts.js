@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { auth } = require('../middleware/auth');
+const { validate, validateObjectId } = require('../middleware/validation');
+
+// Import validation schemas
+const {
+  saveQuestionDraftSchema,
+  saveAnswerDraftSchema
+} = require('../utils/validators');
+
+// Import draft controller
+const draftController = require('../controllers/draftController');
+
+// Endpoints
+router.use(auth); // Drafts always belong to the current user
+
+router.get('/', draftController.getDrafts);
+
+router.get('/question', draftController.getQuestionDraft);
+
+router.put('/question',
+  validate(saveQuestionDraftSchema),
+  draftController.saveQuestionDraft
+);
+
+router.delete('/question', draftController.deleteQuestionDraft);
+
+router.get('/answer/:questionId',
+  validateObjectId('questionId'),
+  draftController.getAnswerDraft
+);
+
+router.put('/answer/:questionId',
+  validateObjectId('questionId'),
+  validate(saveAnswerDraftSchema),
+  draftController.saveAnswerDraft
+);
+
+router.delete('/answer/:questionId',
+  validateObjectId('questionId'),
+  draftController.deleteAnswerDraft
+);
+
+module.exports = router;
@@ -2,15 +2,44 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { auth, optionalAuth } = require('../middleware/auth');
+const {
+  auth,
+  scopedAuth,
+  optionalAuth,
+  loadResource,
+  can,
+  rejectLockedQuestion,
+  requireVerifiedEmail
+} = require('../middleware/auth');
 const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
 const { questionLimiter } = require('../middleware/rateLimiter');
 
 // Import validation schemas
-const { createQuestionSchema, updateQuestionSchema } = require('../utils/validators');
+const {
+  createQuestionSchema,
+  updateQuestionSchema,
+  revisionDiffSchema,
+  rollbackQuestionSchema,
+  possibleDuplicatesSchema,
+  closeVoteSchema,
+  reopenVoteSchema,
+  startBountySchema,
+  awardBountySchema,
+  moderationStatusSchema
+} = require('../utils/validators');
+
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+const { PRIVILEGES, getEditPrivilege } = require('../utils/privileges');
 
-// Import question controller
+// Import models
+const Question = require('../models/Question');
+
+// Import controllers
 const questionController = require('../controllers/questionController');
+const closeVoteController = require('../controllers/closeVoteController');
+const bountyController = require('../controllers/bountyController');
+const followController = require('../controllers/followController');
 
 // Endpoints
 router.get('/',
@@ -25,6 +54,26 @@ router.get('/search',
   questionController.searchQuestions
 );
 
+router.get('/possible-duplicates',
+  optionalAuth,
+  validate(possibleDuplicatesSchema, 'query'),
+  questionController.getPossibleDuplicates
+);
+
+router.get('/close-queue',
+  auth,
+  can(PRIVILEGES.CLOSE_VOTE),
+  validatePagination,
+  closeVoteController.getCloseQueue
+);
+
+router.get('/reopen-queue',
+  auth,
+  can(PRIVILEGES.CLOSE_VOTE),
+  validatePagination,
+  closeVoteController.getReopenQueue
+);
+
 router.get('/trending',
   optionalAuth,
   validatePagination,
@@ -43,36 +92,173 @@ router.get('/:id',
   questionController.getQuestionById
 );
 
+router.get('/:id/revisions',
+  validateObjectId(),
+  optionalAuth,
+  questionController.getQuestionRevisions
+);
+
+router.get('/:id/revisions/diff',
+  validateObjectId(),
+  optionalAuth,
+  validate(revisionDiffSchema, 'query'),
+  questionController.getQuestionRevisionDiff
+);
+
+router.post('/:id/revisions/:revision/rollback',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  rejectLockedQuestion(req => req.params.id),
+  validate(rollbackQuestionSchema),
+  questionController.rollbackQuestion
+);
+
 router.post('/',
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
   questionLimiter,
   validate(createQuestionSchema),
+  requireVerifiedEmail(),
   questionController.createQuestion
 );
 
 router.put('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(req => getEditPrivilege(req.resource), { ownerFields: ['author'] }),
+  rejectLockedQuestion(req => req.params.id),
   validate(updateQuestionSchema),
   questionController.updateQuestion
 );
 
 router.delete('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
   questionController.deleteQuestion
 );
 
-router.put('/:id/close',
+router.post('/:id/undelete',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  questionController.undeleteQuestion
+);
+
+router.post('/:id/protect',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
+  validate(moderationStatusSchema),
+  questionController.protectQuestion
+);
+
+router.delete('/:id/protect',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
+  questionController.unprotectQuestion
+);
+
+router.post('/:id/lock',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
+  validate(moderationStatusSchema),
+  questionController.lockQuestion
+);
+
+router.delete('/:id/lock',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
+  questionController.unlockQuestion
+);
+
+router.post('/:id/community-wiki',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(PRIVILEGES.MODERATE, { ownerFields: ['author'] }),
+  questionController.makeCommunityWiki
+);
+
+router.delete('/:id/community-wiki',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  loadResource(Question, 'Question not found'),
+  can(PRIVILEGES.MODERATE),
+  questionController.removeCommunityWiki
+);
+
+router.get('/:id/close-votes',
+  validateObjectId(),
+  optionalAuth,
+  closeVoteController.getCloseVotes
+);
+
+router.post('/:id/close-votes',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  can(PRIVILEGES.CLOSE_VOTE),
+  validate(closeVoteSchema),
+  closeVoteController.castCloseVote
+);
+
+router.delete('/:id/close-votes',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  closeVoteController.retractCloseVote
+);
+
+router.post('/:id/reopen-votes',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  can(PRIVILEGES.CLOSE_VOTE),
+  validate(reopenVoteSchema),
+  closeVoteController.castReopenVote
+);
+
+router.delete('/:id/reopen-votes',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  closeVoteController.retractReopenVote
+);
+
+router.get('/:id/bounty',
+  validateObjectId(),
+  bountyController.getBounty
+);
+
+router.post('/:id/bounty',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  requireVerifiedEmail({ allowQuarantine: false }),
+  validate(startBountySchema),
+  bountyController.startBounty
+);
+
+router.post('/:id/bounty/award',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  validate(awardBountySchema),
+  bountyController.awardBounty
+);
+
+router.post('/:id/follow',
   validateObjectId(),
   auth,
-  questionController.closeQuestion
+  followController.followQuestion
 );
 
-router.put('/:id/reopen',
+router.delete('/:id/follow',
   validateObjectId(),
   auth,
-  questionController.reopenQuestion
+  followController.unfollowQuestion
 );
 
 module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  auth,
+  scopedAuth,
+  rejectLockedQuestion,
+  rejectEditLockedAnswer,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
+
+// Import validation schemas
+const {
+  suggestQuestionEditSchema,
+  suggestAnswerEditSchema,
+  reviewSuggestedEditSchema
+} = require('../utils/validators');
+
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+
+// Import models
+const Answer = require('../models/Answer');
+const SuggestedEdit = require('../models/SuggestedEdit');
+
+// Import suggested edit controller
+const suggestedEditController = require('../controllers/suggestedEditController');
+
+// Find the question an answer being edited belongs to
+const getAnswerQuestionId = async (req) => {
+  const answer = await Answer.findById(req.params.id).select('question');
+  return answer?.question;
+};
+
+// Find the question a suggested edit applies to
+const getSuggestionQuestionId = async (req) => {
+  const suggestion = await SuggestedEdit.findById(req.params.id).select('question');
+  return suggestion?.question;
+};
+
+// Find the answer a suggested edit applies to (none for question edits)
+const getSuggestionAnswerId = async (req) => {
+  const suggestion = await SuggestedEdit.findById(req.params.id).select('targetType target');
+  return suggestion?.targetType === 'answer' ? suggestion.target : null;
+};
+
+// Endpoints
+router.get('/',
+  auth,
+  validatePagination,
+  suggestedEditController.getSuggestedEdits
+);
+
+router.get('/:id',
+  validateObjectId(),
+  auth,
+  suggestedEditController.getSuggestedEditById
+);
+
+router.post('/question/:id',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
+  validate(suggestQuestionEditSchema),
+  requireVerifiedEmail({ allowQuarantine: false }),
+  rejectLockedQuestion(req => req.params.id),
+  suggestedEditController.suggestQuestionEdit
+);
+
+router.post('/answer/:id',
+  validateObjectId(),
+  scopedAuth(API_TOKEN_SCOPES.WRITE_ANSWERS),
+  validate(suggestAnswerEditSchema),
+  requireVerifiedEmail({ allowQuarantine: false }),
+  rejectLockedQuestion(getAnswerQuestionId),
+  rejectEditLockedAnswer(req => req.params.id),
+  suggestedEditController.suggestAnswerEdit
+);
+
+router.post('/:id/approve',
+  validateObjectId(),
+  auth,
+  validate(reviewSuggestedEditSchema),
+  rejectLockedQuestion(getSuggestionQuestionId),
+  rejectEditLockedAnswer(getSuggestionAnswerId),
+  suggestedEditController.approveSuggestedEdit
+);
+
+router.post('/:id/reject',
+  validateObjectId(),
+  auth,
+  validate(reviewSuggestedEditSchema),
+  suggestedEditController.rejectSuggestedEdit
+);
+
+module.exports = router;
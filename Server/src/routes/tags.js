@@ -2,14 +2,19 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { auth, optionalAuth } = require('../middleware/auth');
+const { auth, scopedAuth, optionalAuth, can } = require('../middleware/auth');
 const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
 
 // Import validation schemas
 const { createTagSchema } = require('../utils/validators');
 
-// Import tag controller
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+const { PRIVILEGES } = require('../utils/privileges');
+
+// Import controllers
 const tagController = require('../controllers/tagController');
+const followController = require('../controllers/followController');
 
 // Endpoints
 router.get('/',
@@ -31,27 +36,42 @@ router.get('/:id',
 );
 
 router.post('/',
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.WRITE_QUESTIONS),
   validate(createTagSchema),
   tagController.createTag
 );
 
 router.put('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
   tagController.updateTag
 );
 
 router.delete('/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
   tagController.deleteTag
 );
 
 router.put('/:id/approve',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.ADMIN),
+  can(PRIVILEGES.MODERATE),
   tagController.approveTag
 );
 
+router.post('/:id/follow',
+  validateObjectId(),
+  auth,
+  followController.followTag
+);
+
+router.delete('/:id/follow',
+  validateObjectId(),
+  auth,
+  followController.unfollowTag
+);
+
 module.exports = router;
@@ -6,10 +6,11 @@ const { auth, optionalAuth } = require('../middleware/auth');
 const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
 
 // Import validation schemas
-const { updateProfileSchema } = require('../utils/validators');
+const { updateProfileSchema, deleteAccountSchema } = require('../utils/validators');
 
-// Import user controller
+// Import controllers
 const userController = require('../controllers/userController');
+const followController = require('../controllers/followController');
 
 // Endpoints
 router.get('/',
@@ -22,6 +23,22 @@ router.get('/me',
   userController.getCurrentUser
 );
 
+router.get('/me/export',
+  auth,
+  userController.exportCurrentUser
+);
+
+router.get('/me/follows',
+  auth,
+  followController.getMyFollows
+);
+
+router.delete('/me',
+  auth,
+  validate(deleteAccountSchema),
+  userController.deleteCurrentUser
+);
+
 router.get('/search',
   validatePagination,
   userController.searchUsers
@@ -2,30 +2,48 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { auth } = require('../middleware/auth');
+const { scopedAuth, canVote, rejectLockedQuestion, requireVerifiedEmail } = require('../middleware/auth');
 const { validate, validateObjectId, validatePagination } = require('../middleware/validation');
 const { voteLimiter } = require('../middleware/rateLimiter');
 
 // Import validation schemas
 const { voteSchema } = require('../utils/validators');
 
+// Import constants
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+
+// Import models
+const Answer = require('../models/Answer');
+
 // Import vote controller
 const voteController = require('../controllers/voteController');
 
+// Find the question an answer being voted on belongs to
+const getAnswerQuestionId = async (req) => {
+  const answer = await Answer.findById(req.params.id).select('question');
+  return answer?.question;
+};
+
 // Endpoints
 router.post('/question/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
   voteLimiter,
   validate(voteSchema),
+  requireVerifiedEmail({ allowQuarantine: false }),
+  canVote,
+  rejectLockedQuestion(req => req.params.id),
   voteController.voteOnQuestion
 );
 
 router.post('/answer/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
   voteLimiter,
   validate(voteSchema),
+  requireVerifiedEmail({ allowQuarantine: false }),
+  canVote,
+  rejectLockedQuestion(getAnswerQuestionId),
   voteController.voteOnAnswer
 );
 
@@ -47,13 +65,15 @@ router.get('/user/:userId',
 
 router.delete('/question/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  rejectLockedQuestion(req => req.params.id),
   voteController.removeQuestionVote
 );
 
 router.delete('/answer/:id',
   validateObjectId(),
-  auth,
+  scopedAuth(API_TOKEN_SCOPES.VOTE),
+  rejectLockedQuestion(getAnswerQuestionId),
   voteController.removeAnswerVote
 );
 
@@ -0,0 +1,139 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const notificationService = require('./notificationService');
+const { ACCEPTANCE, QUESTION_STATUS } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Answers the asker could accept
+const VISIBLE_ANSWER = { isDeleted: false, isQuarantined: { $ne: true } };
+
+/**
+ * Read a day count, overridable with an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default day count
+ * @returns {number} Day count
+ */
+const getDays = (name, fallback) => {
+  const days = parseInt(process.env[name], 10);
+  return days > 0 ? days : fallback;
+};
+
+const daysBefore = (now, days) => new Date(now.getTime() - days * DAY_MS);
+
+class AcceptanceService {
+  /**
+   * Remind askers to accept an answer once someone else's answer has been
+   * waiting ACCEPT_REMINDER_DAYS (ACCEPTANCE.REMINDER_DAYS). Each question
+   * gets one reminder, by notification and email. Only answers that reached
+   * that age in the last ACCEPTANCE.REMINDER_WINDOW_DAYS count, so questions
+   * answered long before this feature existed aren't reminded.
+   * @param {Date} now - Current time
+   * @returns {Promise} Promise resolving to the number of reminders sent
+   */
+  async sendAcceptReminders(now = new Date()) {
+    const answeredBefore = daysBefore(now, getDays('ACCEPT_REMINDER_DAYS', ACCEPTANCE.REMINDER_DAYS));
+    const answeredAfter = daysBefore(answeredBefore, ACCEPTANCE.REMINDER_WINDOW_DAYS);
+
+    const questionIds = await Answer.distinct('question', {
+      ...VISIBLE_ANSWER,
+      isSelfAnswer: { $ne: true },
+      createdAt: { $gt: answeredAfter, $lte: answeredBefore }
+    });
+
+    // Whatever doesn't fit in this batch is picked up by the next run
+    const due = await Question.find({
+      _id: { $in: questionIds },
+      acceptedAnswer: null,
+      acceptReminderSentAt: null,
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true },
+      status: { $in: [QUESTION_STATUS.ACTIVE, QUESTION_STATUS.PROTECTED] }
+    })
+      .select('title author')
+      .sort({ createdAt: 1 })
+      .limit(ACCEPTANCE.BATCH_SIZE);
+
+    let sent = 0;
+
+    for (const question of due) {
+      try {
+        // Another worker may have sent it, or the asker accepted meanwhile
+        if (!await Question.claimAcceptReminder(question._id, now)) continue;
+
+        await notificationService.notifyAcceptAnswerReminder(question);
+        sent++;
+      } catch (error) {
+        console.error(`Failed to send acceptance reminder for question ${question._id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Find the answer that clearly leads a question by score
+   * @param {string} questionId - Question ID
+   * @returns {Promise} Promise resolving to the answer, or null if none dominates
+   */
+  async findDominantAnswer(questionId) {
+    const [top, next] = await Answer.find({ question: questionId, ...VISIBLE_ANSWER })
+      .sort({ voteScore: -1, createdAt: 1 })
+      .limit(2)
+      .select('voteScore');
+
+    if (!top || top.voteScore < ACCEPTANCE.COMMUNITY_ACCEPT_MIN_SCORE) return null;
+
+    const lead = top.voteScore - (next ? next.voteScore : 0);
+    return lead >= ACCEPTANCE.COMMUNITY_ACCEPT_MIN_LEAD ? top : null;
+  }
+
+  /**
+   * Flag the community-accepted answer of questions whose asker was reminded
+   * COMMUNITY_ACCEPT_DAYS ago and hasn't signed in for
+   * COMMUNITY_ACCEPT_INACTIVE_DAYS. acceptedAnswer is left to the asker.
+   * Each question is checked once, and again only after votes on its answers
+   * (see communityAcceptCheckedAt).
+   * @param {Date} now - Current time
+   * @returns {Promise} Promise resolving to the number of questions flagged
+   */
+  async flagCommunityAcceptedAnswers(now = new Date()) {
+    const remindedBefore = daysBefore(now, getDays('COMMUNITY_ACCEPT_DAYS', ACCEPTANCE.COMMUNITY_ACCEPT_DAYS));
+    const activeSince = daysBefore(now, getDays('COMMUNITY_ACCEPT_INACTIVE_DAYS', ACCEPTANCE.ASKER_INACTIVE_DAYS));
+
+    const candidates = await Question.find({
+      acceptedAnswer: null,
+      communityAcceptCheckedAt: null,
+      acceptReminderSentAt: { $lte: remindedBefore },
+      communityAcceptedAnswer: null,
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
+    })
+      .select('author')
+      .sort({ acceptReminderSentAt: 1 })
+      .limit(ACCEPTANCE.BATCH_SIZE)
+      .populate('author', 'lastLogin');
+
+    let flagged = 0;
+
+    for (const question of candidates) {
+      try {
+        // An asker who signed in recently may still accept an answer themselves
+        const askerInactive = !(question.author?.lastLogin > activeSince);
+        const answer = askerInactive ? await this.findDominantAnswer(question._id) : null;
+
+        if (answer) {
+          if (await Question.setCommunityAcceptedAnswer(question._id, answer._id, now)) flagged++;
+        } else {
+          await Question.updateOne({ _id: question._id }, { communityAcceptCheckedAt: now });
+        }
+      } catch (error) {
+        console.error(`Failed to flag community-accepted answer for question ${question._id}:`, error);
+      }
+    }
+
+    return flagged;
+  }
+}
+
+module.exports = new AcceptanceService();
@@ -0,0 +1,210 @@
+const User = require('../models/User');
+const Question = require('../models/Question');
+const QuestionRevision = require('../models/QuestionRevision');
+const SuggestedEdit = require('../models/SuggestedEdit');
+const CloseVote = require('../models/CloseVote');
+const Bounty = require('../models/Bounty');
+const Draft = require('../models/Draft');
+const Follow = require('../models/Follow');
+const Answer = require('../models/Answer');
+const Comment = require('../models/Comment');
+const Vote = require('../models/Vote');
+const Notification = require('../models/Notification');
+const ViewHistory = require('../models/ViewHistory');
+const Tag = require('../models/Tag');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiToken = require('../models/ApiToken');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const tokenService = require('./tokenService');
+const oauthService = require('./oauthService');
+const { ApiError } = require('../middleware/errorHandler');
+const { sanitizeUser } = require('../utils/helpers');
+const { SUGGESTED_EDIT_STATUS, HTTP_STATUS } = require('../utils/constants');
+const { createZip } = require('../utils/zip');
+
+class AccountService {
+  /**
+   * Confirm a sensitive action with the account password, or with a fresh
+   * provider sign-in (see oauthService.createReauthToken) for accounts
+   * created through OAuth, which have no password
+   * @param {Object} user - User document with the password selected
+   * @param {Object} proof - { password, reauthToken }
+   * @returns {Promise} Promise resolving once confirmed
+   */
+  async confirmIdentity(user, { password, reauthToken }) {
+    if (user.hasPassword) {
+      if (!password || !(await user.comparePassword(password))) {
+        throw new ApiError('Password is incorrect', HTTP_STATUS.BAD_REQUEST);
+      }
+      return;
+    }
+
+    if (!reauthToken) {
+      throw new ApiError('Sign in with your login provider again to confirm', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await oauthService.redeemReauthToken(reauthToken, user._id);
+  }
+
+  /**
+   * Collect everything stored about a user
+   * @param {string} userId - User ID
+   * @returns {Promise} Promise resolving to the export object
+   */
+  async exportUserData(userId) {
+    const [
+      user,
+      questions,
+      questionRevisions,
+      suggestedEdits,
+      closeVotes,
+      bounties,
+      drafts,
+      follows,
+      answers,
+      comments,
+      votes,
+      notifications,
+      viewHistory,
+      sessions,
+      apiTokens,
+      oauthIdentities
+    ] = await Promise.all([
+      User.findById(userId).lean(),
+      Question.find({ author: userId }).select('-__v').lean(),
+      QuestionRevision.find({ editor: userId }).select('-__v').lean(),
+      SuggestedEdit.find({ suggestedBy: userId }).select('-__v').lean(),
+      CloseVote.find({ voter: userId }).select('-__v').lean(),
+      Bounty.find({ $or: [{ sponsor: userId }, { awardedTo: userId }] }).select('-__v').lean(),
+      Draft.find({ user: userId }).select('-__v').lean(),
+      Follow.find({ user: userId }).select('-__v').lean(),
+      Answer.find({ author: userId }).select('-__v').lean(),
+      Comment.find({ author: userId }).select('-__v').lean(),
+      Vote.find({ voter: userId }).select('-__v').lean(),
+      Notification.find({ recipient: userId }).select('-__v').lean(),
+      ViewHistory.find({ user: userId }).select('-__v').lean(),
+      Session.find({ user: userId }).select('userAgent ipAddress createdAt lastUsedAt revokedAt').lean(),
+      ApiToken.find({ user: userId })
+        .select('name tokenPreview scopes expiresAt lastUsedAt lastUsedIp revokedAt createdAt')
+        .lean(),
+      OAuthIdentity.find({ user: userId }).select('provider email lastLoginAt createdAt').lean()
+    ]);
+
+    const profile = sanitizeUser(user);
+    delete profile.__v;
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      questions,
+      questionRevisions,
+      suggestedEdits,
+      closeVotes,
+      bounties,
+      drafts,
+      follows,
+      answers,
+      comments,
+      votes,
+      notifications,
+      viewHistory,
+      sessions,
+      apiTokens,
+      oauthIdentities
+    };
+  }
+
+  /**
+   * Package a data export as a ZIP archive with one JSON file per section
+   * @param {Object} data - Result of exportUserData()
+   * @returns {Buffer} ZIP archive
+   */
+  createExportArchive(data) {
+    const files = Object.entries(data)
+      .filter(([section]) => section !== 'exportedAt')
+      .map(([section, content]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(content, null, 2)
+      }));
+
+    files.unshift({
+      name: 'README.txt',
+      content: `Data export generated at ${data.exportedAt.toISOString()}.\n` +
+        'Each JSON file holds one kind of record stored for your account.\n'
+    });
+
+    return createZip(files, data.exportedAt);
+  }
+
+  /**
+   * Delete an account
+   * Published posts and comments are handed to the shared "deleted user"
+   * placeholder so threads stay intact; personal data is removed.
+   * @param {string} userId - User ID
+   * @returns {Promise} Promise resolving when the account is gone
+   */
+  async deleteAccount(userId) {
+    const placeholder = await User.getDeletedUserPlaceholder();
+    const author = { author: userId };
+
+    // Sign out everywhere first so no request can write on the account's behalf
+    await tokenService.revokeAllForUser(userId);
+
+    // Unpublished (quarantined) content has no thread to preserve, and
+    // suggestions and close votes still waiting for a decision are withdrawn
+    const unpublishedQuestionIds = await Question.find({ ...author, isQuarantined: true }).distinct('_id');
+    await Promise.all([
+      Question.deleteMany({ _id: { $in: unpublishedQuestionIds } }),
+      QuestionRevision.deleteMany({ question: { $in: unpublishedQuestionIds } }),
+      Answer.deleteMany({ ...author, isQuarantined: true }),
+      Comment.deleteMany({ ...author, isQuarantined: true }),
+      SuggestedEdit.deleteMany({ suggestedBy: userId, status: SUGGESTED_EDIT_STATUS.PENDING }),
+      CloseVote.deleteMany({ voter: userId, isResolved: false })
+    ]);
+
+    await Promise.all([
+      Question.updateMany(author, { author: placeholder._id }),
+      Question.updateMany({ closedBy: userId }, { closedBy: placeholder._id }),
+      Question.updateMany({ deletedBy: userId }, { deletedBy: placeholder._id }),
+      QuestionRevision.updateMany({ editor: userId }, { editor: placeholder._id }),
+      SuggestedEdit.updateMany({ suggestedBy: userId }, { suggestedBy: placeholder._id }),
+      SuggestedEdit.updateMany({ postAuthor: userId }, { postAuthor: placeholder._id }),
+      SuggestedEdit.updateMany({ reviewedBy: userId }, { reviewedBy: placeholder._id }),
+      CloseVote.updateMany({ voter: userId }, { voter: placeholder._id }),
+      // Running bounties keep running; their reputation is already held
+      Bounty.updateMany({ sponsor: userId }, { sponsor: placeholder._id }),
+      Bounty.updateMany({ awardedTo: userId }, { awardedTo: placeholder._id }),
+      Answer.updateMany(author, { author: placeholder._id }),
+      Answer.updateMany({ deletedBy: userId }, { deletedBy: placeholder._id }),
+      Answer.updateMany({ editLockedBy: userId }, { editLockedBy: placeholder._id }),
+      Answer.updateMany(
+        { 'editHistory.editedBy': userId },
+        { $set: { 'editHistory.$[edit].editedBy': placeholder._id } },
+        { arrayFilters: [{ 'edit.editedBy': userId }] }
+      ),
+      Comment.updateMany(author, { author: placeholder._id }),
+      Comment.updateMany({ deletedBy: userId }, { deletedBy: placeholder._id }),
+      Tag.updateMany({ createdBy: userId }, { createdBy: placeholder._id }),
+      Tag.updateMany({ approvedBy: userId }, { approvedBy: placeholder._id }),
+      Notification.updateMany({ sender: userId }, { sender: null })
+    ]);
+
+    // Votes are removed but scores they contributed to are left as they are
+    await Promise.all([
+      Vote.deleteMany({ voter: userId }),
+      Notification.deleteMany({ recipient: userId }),
+      ViewHistory.deleteMany({ user: userId }),
+      Draft.deleteMany({ user: userId }),
+      Follow.deleteMany({ user: userId }),
+      Session.deleteMany({ user: userId }),
+      RefreshToken.deleteMany({ user: userId }),
+      ApiToken.deleteMany({ user: userId }),
+      OAuthIdentity.deleteMany({ user: userId })
+    ]);
+
+    await User.deleteOne({ _id: userId });
+  }
+}
+
+module.exports = new AccountService();
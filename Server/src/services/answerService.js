@@ -0,0 +1,170 @@
+const Answer = require('../models/Answer');
+const Vote = require('../models/Vote');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  ANSWER_SORTS,
+  VOTE_TYPES,
+  PAGINATION
+} = require('../utils/constants');
+const { encodeCursor, decodeCursor } = require('../utils/helpers');
+
+// Votes from the last TRENDING_WINDOW_DAYS count TRENDING_VOTE_WEIGHT times
+// towards the trending order
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_VOTE_WEIGHT = 3;
+
+// Sort keys of each order. Every order ends with _id so no two answers tie,
+// which keeps cursors stable.
+const SORT_KEYS = {
+  [ANSWER_SORTS.VOTES]: { isAccepted: -1, isAlsoHelpful: -1, voteScore: -1, createdAt: 1, _id: 1 },
+  [ANSWER_SORTS.NEWEST]: { createdAt: -1, _id: -1 },
+  [ANSWER_SORTS.OLDEST]: { createdAt: 1, _id: 1 },
+  [ANSWER_SORTS.ACTIVE]: { activityAt: -1, _id: -1 },
+  [ANSWER_SORTS.TRENDING]: { trendingScore: -1, voteScore: -1, _id: -1 }
+};
+
+const AUTHOR_FIELDS = 'username profile.firstName profile.lastName profile.avatar reputation';
+
+class AnswerService {
+  /**
+   * Build aggregation stages adding the computed sort keys of an order
+   * @param {string} sort - One of ANSWER_SORTS
+   * @returns {Array} Aggregation stages
+   */
+  buildSortKeyStages(sort) {
+    switch (sort) {
+      case ANSWER_SORTS.VOTES:
+        // Answers from before "also helpful" marks have no isAlsoHelpful
+        return [{ $addFields: { isAlsoHelpful: { $ifNull: ['$isAlsoHelpful', false] } } }];
+      case ANSWER_SORTS.ACTIVE:
+        // Answers posted before lastActivity was tracked fall back to createdAt
+        return [{ $addFields: { activityAt: { $ifNull: ['$lastActivity', '$createdAt'] } } }];
+      case ANSWER_SORTS.TRENDING: {
+        const since = new Date(Date.now() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        return [
+          {
+            $lookup: {
+              from: Vote.collection.name,
+              let: { answerId: '$_id' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: { $eq: ['$target', '$$answerId'] },
+                    targetType: 'answer',
+                    updatedAt: { $gte: since }
+                  }
+                },
+                {
+                  $group: {
+                    _id: null,
+                    score: { $sum: { $cond: [{ $eq: ['$voteType', VOTE_TYPES.UPVOTE] }, 1, -1] } }
+                  }
+                }
+              ],
+              as: 'recentVotes'
+            }
+          },
+          {
+            $addFields: {
+              trendingScore: {
+                $add: [
+                  '$voteScore',
+                  { $multiply: [TRENDING_VOTE_WEIGHT, { $ifNull: [{ $first: '$recentVotes.score' }, 0] }] }
+                ]
+              }
+            }
+          }
+        ];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Build a filter matching the answers that come after a cursor
+   * @param {Object} sortKeys - Sort keys of the order
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object} Filter on the sort keys
+   * @throws {ApiError} When the cursor is malformed or belongs to another order
+   */
+  buildCursorFilter(sortKeys, cursor) {
+    const fields = Object.keys(sortKeys);
+    const values = decodeCursor(cursor);
+
+    if (!values || values.length !== fields.length) {
+      throw new ApiError('Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Equal on every earlier key and past the cursor on this one
+    return {
+      $or: fields.map((field, i) => {
+        const condition = {};
+        fields.slice(0, i).forEach((earlier, j) => {
+          condition[earlier] = { $eq: values[j] };
+        });
+        condition[field] = { [sortKeys[field] === 1 ? '$gt' : '$lt']: values[i] };
+        return condition;
+      })
+    };
+  }
+
+  /**
+   * List a page of answers in one of the answer orders
+   * @param {Object} criteria - Answer filter (e.g. question and visibility)
+   * @param {Object} options - { sort, cursor, limit }
+   * @returns {Promise} Promise resolving to { answers, total, nextCursor }
+   */
+  async listAnswers(criteria, options = {}) {
+    const { cursor = null, limit = PAGINATION.DEFAULT_LIMIT } = options;
+    const sort = SORT_KEYS[options.sort] ? options.sort : ANSWER_SORTS.VOTES;
+    const sortKeys = SORT_KEYS[sort];
+    const fields = Object.keys(sortKeys);
+
+    // Aggregations don't cast, so cast the filter the way find() would
+    const pipeline = [
+      { $match: Answer.find(criteria).cast() },
+      ...this.buildSortKeyStages(sort)
+    ];
+    if (cursor) {
+      pipeline.push({ $match: this.buildCursorFilter(sortKeys, cursor) });
+    }
+    pipeline.push(
+      { $sort: sortKeys },
+      { $limit: limit + 1 }, // The extra answer tells whether there is a next page
+      { $project: Object.fromEntries(fields.map(field => [field, 1])) }
+    );
+
+    const [keys, total] = await Promise.all([
+      Answer.aggregate(pipeline),
+      Answer.countDocuments(criteria)
+    ]);
+
+    const pageKeys = keys.slice(0, limit);
+    const found = await Answer.find({ _id: { $in: pageKeys.map(key => key._id) } })
+      .populate('author', AUTHOR_FIELDS);
+
+    // $in doesn't keep the order of the page
+    const byId = new Map(found.map(answer => [answer._id.toString(), answer]));
+    const answers = pageKeys
+      .map(key => byId.get(key._id.toString()))
+      .filter(Boolean);
+
+    const last = pageKeys[pageKeys.length - 1];
+    const nextCursor = keys.length > limit
+      ? encodeCursor(fields.map(field => last[field]))
+      : null;
+
+    // Community wiki answers credit everyone who wrote them
+    const answersWithContributors = await Promise.all(answers.map(async answer => (
+      answer.isCommunityWiki
+        ? { ...answer.toJSON(), contributors: await answer.getContributors() }
+        : answer
+    )));
+
+    return { answers: answersWithContributors, total, nextCursor };
+  }
+}
+
+module.exports = new AnswerService();
@@ -0,0 +1,256 @@
+const Bounty = require('../models/Bounty');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  QUESTION_STATUS,
+  BOUNTY,
+  BOUNTY_STATUS
+} = require('../utils/constants');
+
+class BountyService {
+  /**
+   * Get the active bounty on a question
+   * @param {string} questionId - Question ID
+   * @returns {Promise} Promise resolving to the bounty, or null
+   */
+  async getActiveBounty(questionId) {
+    return await Bounty.findOne({ question: questionId, status: BOUNTY_STATUS.ACTIVE });
+  }
+
+  /**
+   * Get all bounties offered on a question, newest first
+   * @param {string} questionId - Question ID
+   * @returns {Promise} Promise resolving to the bounties
+   */
+  async getBounties(questionId) {
+    return await Bounty.find({ question: questionId })
+      .populate('sponsor', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .populate('awardedTo', 'username profile.firstName profile.lastName profile.avatar reputation')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Offer a bounty on a question
+   * The amount is taken from the sponsor's reputation straight away and held
+   * until the bounty is awarded or refunded
+   * @param {Object} question - Question document
+   * @param {Object} user - Sponsor
+   * @param {Object} options - { amount, message }
+   * @returns {Promise} Promise resolving to the bounty
+   */
+  async startBounty(question, user, options) {
+    const { amount, message = null } = options;
+
+    if (![QUESTION_STATUS.ACTIVE, QUESTION_STATUS.PROTECTED].includes(question.status)) {
+      throw new ApiError('Bounties can only be offered on open questions', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Debit before creating the bounty; the balance on user may be stale
+    const sponsor = await User.spendReputation(user._id, amount);
+    if (!sponsor) {
+      throw new ApiError('You do not have enough reputation to offer this bounty', HTTP_STATUS.FORBIDDEN);
+    }
+    user.reputation = sponsor.reputation;
+
+    let bounty;
+    try {
+      bounty = await Bounty.create({
+        question: question._id,
+        sponsor: user._id,
+        amount,
+        message: message || null,
+        expiresAt: new Date(Date.now() + BOUNTY.DURATION_DAYS * 24 * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      await this.refundSponsor(user._id, amount);
+      user.reputation += amount;
+
+      if (error.code === 11000) {
+        throw new ApiError('This question already has an active bounty', HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+
+    question.bountyAmount = amount;
+    question.bountyExpiresAt = bounty.expiresAt;
+    question.lastActivity = new Date();
+    await question.save();
+
+    return bounty;
+  }
+
+  /**
+   * Let the sponsor award their bounty to an answer
+   * @param {Object} question - Question document
+   * @param {Object} user - Sponsor
+   * @param {string} answerId - Answer to award
+   * @returns {Promise} Promise resolving to the awarded bounty
+   */
+  async awardBountyTo(question, user, answerId) {
+    const bounty = await this.getActiveBounty(question._id);
+    if (!bounty) {
+      throw new ApiError('This question has no active bounty', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (bounty.sponsor.toString() !== user._id.toString()) {
+      throw new ApiError('Only the bounty sponsor can award it', HTTP_STATUS.FORBIDDEN);
+    }
+
+    const answer = await Answer.findOne({
+      _id: answerId,
+      question: question._id,
+      isDeleted: false,
+      isQuarantined: { $ne: true }
+    });
+
+    if (!answer) {
+      throw new ApiError('Answer not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (answer.author.toString() === user._id.toString()) {
+      throw new ApiError('You cannot award a bounty to your own answer', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const awarded = await this.awardBounty(bounty, answer, question, 'manual');
+    if (!awarded) {
+      throw new ApiError('This bounty has already ended', HTTP_STATUS.CONFLICT);
+    }
+
+    return awarded;
+  }
+
+  /**
+   * Award the active bounty to an answer the asker just accepted
+   * The sponsor's own answer can't win their bounty, so it stays open
+   * @param {Object} question - Question document
+   * @param {Object} answer - Accepted answer
+   * @returns {Promise} Promise resolving to the awarded bounty, or null
+   */
+  async awardOnAccept(question, answer) {
+    const bounty = await this.getActiveBounty(question._id);
+    if (!bounty || bounty.sponsor.toString() === answer.author.toString()) {
+      return null;
+    }
+
+    return await this.awardBounty(bounty, answer, question, 'accepted');
+  }
+
+  /**
+   * Settle a bounty in favour of an answer and pay its author
+   * @param {Object} bounty - Active bounty
+   * @param {Object} answer - Winning answer
+   * @param {Object} question - Question the bounty is on
+   * @param {string} awardType - "manual", "accepted" or "auto"
+   * @returns {Promise} Promise resolving to the bounty, or null if it had already ended
+   */
+  async awardBounty(bounty, answer, question, awardType) {
+    const awarded = await Bounty.settle(bounty._id, {
+      status: BOUNTY_STATUS.AWARDED,
+      awardedAnswer: answer._id,
+      awardedTo: answer.author,
+      awardType
+    });
+
+    if (!awarded) return null;
+
+    const recipient = await User.findById(answer.author);
+    if (recipient) {
+      await recipient.updateReputation(awarded.amount);
+    }
+
+    await this.clearQuestionBounty(question._id);
+    await notificationService.notifyBountyAwarded(awarded, question);
+
+    return awarded;
+  }
+
+  /**
+   * Settle expired bounties
+   * Each goes to the top-voted answer that reaches the auto-award score, or
+   * back to the sponsor when no answer qualifies
+   * @param {Date} [now] - Current time
+   * @returns {Promise} Promise resolving to { awarded, refunded }
+   */
+  async expireDueBounties(now = new Date()) {
+    const due = await Bounty.find({
+      status: BOUNTY_STATUS.ACTIVE,
+      expiresAt: { $lte: now }
+    }).sort({ expiresAt: 1 });
+
+    const result = { awarded: 0, refunded: 0 };
+
+    for (const bounty of due) {
+      try {
+        const outcome = await this.expireBounty(bounty);
+        if (outcome) result[outcome]++;
+      } catch (error) {
+        console.error(`Failed to expire bounty ${bounty._id}:`, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Settle a single expired bounty
+   * @param {Object} bounty - Expired active bounty
+   * @returns {Promise} Promise resolving to "awarded", "refunded", or null if
+   * another process settled it first
+   */
+  async expireBounty(bounty) {
+    const question = await Question.findById(bounty.question);
+
+    if (question && !question.isDeleted) {
+      const answer = await Answer.findOne({
+        question: bounty.question,
+        author: { $ne: bounty.sponsor },
+        isDeleted: false,
+        isQuarantined: { $ne: true },
+        voteScore: { $gte: BOUNTY.AUTO_AWARD_MIN_SCORE }
+      }).sort({ voteScore: -1, createdAt: 1 });
+
+      if (answer) {
+        const awarded = await this.awardBounty(bounty, answer, question, 'auto');
+        return awarded ? 'awarded' : null;
+      }
+    }
+
+    const expired = await Bounty.settle(bounty._id, { status: BOUNTY_STATUS.EXPIRED });
+    if (!expired) return null;
+
+    await this.refundSponsor(expired.sponsor, expired.amount);
+
+    if (question) {
+      await this.clearQuestionBounty(question._id);
+      await notificationService.notifyBountyExpired(expired, question);
+    }
+
+    return 'refunded';
+  }
+
+  /**
+   * Give escrowed reputation back to a sponsor
+   * @param {string} sponsorId - Sponsor user ID
+   * @param {number} amount - Reputation to give back
+   */
+  async refundSponsor(sponsorId, amount) {
+    await User.updateOne({ _id: sponsorId }, { $inc: { reputation: amount } });
+  }
+
+  /**
+   * Remove the bounty shown on a question once it has ended
+   * @param {string} questionId - Question ID
+   */
+  async clearQuestionBounty(questionId) {
+    await Question.updateOne(
+      { _id: questionId },
+      { bountyAmount: 0, bountyExpiresAt: null }
+    );
+  }
+}
+
+module.exports = new BountyService();
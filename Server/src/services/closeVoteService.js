@@ -0,0 +1,265 @@
+const CloseVote = require('../models/CloseVote');
+const Question = require('../models/Question');
+const notificationService = require('./notificationService');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+  HTTP_STATUS,
+  QUESTION_STATUS,
+  CLOSE_REASONS,
+  CLOSE_REASON_LABELS,
+  DEFAULT_CLOSE_VOTES_REQUIRED
+} = require('../utils/constants');
+const { PRIVILEGES, hasPrivilege } = require('../utils/privileges');
+
+/**
+ * Pick the most frequent value; ties go to the value seen first
+ * @param {Array} values - Values in vote order
+ * @returns {*} Most frequent value, or null for an empty list
+ */
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const entry = counts.get(String(value)) || { value, count: 0 };
+    entry.count++;
+    counts.set(String(value), entry);
+  });
+
+  // Map keeps insertion order, so the first value seen wins a tie
+  let winner = null;
+  counts.forEach(entry => {
+    if (!winner || entry.count > winner.count) winner = entry;
+  });
+
+  return winner ? winner.value : null;
+};
+
+/**
+ * Count votes per close reason
+ * @param {Array} reasons - Reasons of individual votes
+ * @returns {Object} { [reason]: count }
+ */
+const countReasons = (reasons) => {
+  return reasons.filter(Boolean).reduce((counts, reason) => {
+    counts[reason] = (counts[reason] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+class CloseVoteService {
+  /**
+   * Get the number of votes that closes or reopens a question
+   * @returns {number} Votes required
+   */
+  getVotesRequired() {
+    const required = parseInt(process.env.CLOSE_VOTES_REQUIRED, 10);
+    return required > 0 ? required : DEFAULT_CLOSE_VOTES_REQUIRED;
+  }
+
+  /**
+   * Summarize the active close and reopen votes on a question
+   * @param {string} questionId - Question ID
+   * @param {string} [userId] - Current user, to report their own votes
+   * @returns {Promise} Promise resolving to the tally
+   */
+  async getTally(questionId, userId = null) {
+    const [closeVotes, reopenVotes] = await Promise.all([
+      CloseVote.findActive(questionId, 'close'),
+      CloseVote.findActive(questionId, 'reopen')
+    ]);
+
+    const hasVoted = (votes) => !!userId && votes.some(vote => vote.voter.toString() === userId.toString());
+
+    return {
+      votesRequired: this.getVotesRequired(),
+      close: {
+        count: closeVotes.length,
+        reasons: countReasons(closeVotes.map(vote => vote.reason)),
+        hasVoted: hasVoted(closeVotes)
+      },
+      reopen: {
+        count: reopenVotes.length,
+        hasVoted: hasVoted(reopenVotes)
+      }
+    };
+  }
+
+  /**
+   * Store a vote, rejecting a second active vote of the same type
+   * @param {Object} data - Vote fields
+   * @returns {Promise} Promise resolving to the vote
+   */
+  async createVote(data) {
+    try {
+      return await CloseVote.create(data);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(`You have already voted to ${data.type} this question`, HTTP_STATUS.CONFLICT);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Vote to close a question
+   * Closes it once enough votes agree, or straight away for a moderator
+   * @param {Object} question - Question document
+   * @param {Object} user - Voter
+   * @param {Object} options - { reason, duplicateOf, comment }
+   * @returns {Promise} Promise resolving to { vote, closed }
+   */
+  async castCloseVote(question, user, options) {
+    const { reason, duplicateOf = null, comment = null } = options;
+
+    if (question.status === QUESTION_STATUS.CLOSED) {
+      throw new ApiError('Question is already closed', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (question.status === QUESTION_STATUS.LOCKED) {
+      throw new ApiError('Question is locked', HTTP_STATUS.FORBIDDEN);
+    }
+
+    let canonical = null;
+    if (reason === CLOSE_REASONS.DUPLICATE) {
+      // Link to the end of any duplicate chain rather than to another duplicate
+      canonical = await Question.findCanonical(duplicateOf);
+
+      if (!canonical || canonical.isDeleted || canonical.isQuarantined) {
+        throw new ApiError('Duplicate question not found', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (canonical._id.equals(question._id)) {
+        throw new ApiError('A question cannot be a duplicate of itself', HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    const vote = await this.createVote({
+      question: question._id,
+      voter: user._id,
+      type: 'close',
+      reason,
+      duplicateOf: canonical?._id || null,
+      comment: comment || null,
+      isBinding: hasPrivilege(user, PRIVILEGES.MODERATE)
+    });
+
+    const votes = await CloseVote.findActive(question._id, 'close');
+    if (vote.isBinding || votes.length >= this.getVotesRequired()) {
+      await this.closeQuestion(question, user._id, votes, vote.isBinding ? vote : null);
+    }
+
+    return { vote, closed: question.status === QUESTION_STATUS.CLOSED };
+  }
+
+  /**
+   * Vote to reopen a closed question
+   * Reopens it once enough votes agree, or straight away for a moderator
+   * @param {Object} question - Question document
+   * @param {Object} user - Voter
+   * @param {Object} options - { comment }
+   * @returns {Promise} Promise resolving to { vote, reopened }
+   */
+  async castReopenVote(question, user, options = {}) {
+    if (question.status !== QUESTION_STATUS.CLOSED) {
+      throw new ApiError('Question is not closed', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const vote = await this.createVote({
+      question: question._id,
+      voter: user._id,
+      type: 'reopen',
+      comment: options.comment || null,
+      isBinding: hasPrivilege(user, PRIVILEGES.MODERATE)
+    });
+
+    const votes = await CloseVote.findActive(question._id, 'reopen');
+    if (vote.isBinding || votes.length >= this.getVotesRequired()) {
+      await question.reopenQuestion();
+      await CloseVote.resolveAll(question._id);
+    }
+
+    return { vote, reopened: question.status !== QUESTION_STATUS.CLOSED };
+  }
+
+  /**
+   * Withdraw an active vote
+   * @param {string} questionId - Question ID
+   * @param {string} userId - Voter ID
+   * @param {string} type - "close" or "reopen"
+   */
+  async retractVote(questionId, userId, type) {
+    const vote = await CloseVote.findOneAndDelete({
+      question: questionId,
+      voter: userId,
+      type,
+      isResolved: false
+    });
+
+    if (!vote) {
+      throw new ApiError(`You have not voted to ${type} this question`, HTTP_STATUS.NOT_FOUND);
+    }
+  }
+
+  /**
+   * Close a question on the outcome of its votes
+   * A binding vote sets the reason; otherwise the most common reason wins
+   * and duplicates link to the most voted canonical question
+   * @param {Object} question - Question document
+   * @param {string} closedBy - User who cast the deciding vote
+   * @param {Array} votes - Active close votes, oldest first
+   * @param {Object} [bindingVote] - Moderator vote that decided the outcome
+   */
+  async closeQuestion(question, closedBy, votes, bindingVote = null) {
+    const reasonType = bindingVote ? bindingVote.reason : mostCommon(votes.map(vote => vote.reason));
+
+    let duplicateOf = null;
+    if (reasonType === CLOSE_REASONS.DUPLICATE) {
+      duplicateOf = bindingVote
+        ? bindingVote.duplicateOf
+        : mostCommon(votes.filter(vote => vote.duplicateOf).map(vote => vote.duplicateOf));
+    }
+
+    let reason = CLOSE_REASON_LABELS[reasonType];
+    const canonical = duplicateOf && await Question.findById(duplicateOf).select('title');
+
+    if (canonical) {
+      reason = `Duplicate of "${canonical.title}"`;
+    } else if (bindingVote?.comment) {
+      reason = `${reason}: ${bindingVote.comment}`;
+    }
+
+    await question.closeQuestion(closedBy, { reason, reasonType, duplicateOf });
+
+    if (duplicateOf) {
+      // Duplicates of this question now point at the new canonical question
+      await Question.updateMany({ duplicateOf: question._id }, { duplicateOf });
+    }
+
+    await CloseVote.resolveAll(question._id);
+    await notificationService.notifyQuestionClosed(question, closedBy, { type: reasonType, text: reason });
+    await notificationService.notifyQuestionFollowers(question, {
+      sender: closedBy,
+      message: `"${question.title}" was closed. Reason: ${reason}`,
+      exclude: [question.author]
+    });
+  }
+
+  /**
+   * Get questions waiting for a close or reopen decision
+   * @param {string} type - "close" or "reopen"
+   * @param {Object} options - { skip, limit }
+   * @returns {Promise} Promise resolving to { entries, total }
+   */
+  async getQueue(type, options) {
+    const { entries, total } = await CloseVote.getQueue(type, options);
+
+    return {
+      entries: entries.map(entry => ({
+        ...entry,
+        reasons: countReasons(entry.reasons)
+      })),
+      total
+    };
+  }
+}
+
+module.exports = new CloseVoteService();
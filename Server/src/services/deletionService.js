@@ -0,0 +1,164 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Tag = require('../models/Tag');
+const { ApiError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+const { canViewDeleted, canUndelete } = require('../utils/privileges');
+
+class DeletionService {
+  /**
+   * Check that a user may undelete a post or comment
+   * @param {Object} item - Deleted question, answer or comment document
+   * @param {Object} user - User document
+   * @param {string} label - "Question", "Answer" or "Comment"
+   * @throws {ApiError} When the item can't be undeleted by the user
+   */
+  assertCanUndelete(item, user, label) {
+    if (!canViewDeleted(item, user)) {
+      throw new ApiError(`${label} not found`, HTTP_STATUS.NOT_FOUND);
+    }
+    if (!item.isDeleted) {
+      throw new ApiError(`${label} is not deleted`, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (item.deletedWith) {
+      throw new ApiError(
+        `${label} was deleted along with the post it belongs to; undelete that post instead`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    if (!canUndelete(item, user)) {
+      throw new ApiError(
+        `Only a moderator can undelete a ${label.toLowerCase()} deleted by someone else`,
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+  }
+
+  /**
+   * Soft delete a question with its answers and comments
+   * @param {Object} question - Question document
+   * @param {Object} user - User deleting the question
+   * @returns {Promise} Promise resolving to the deleted question
+   */
+  async deleteQuestion(question, user) {
+    if (question.isDeleted) {
+      throw new ApiError('Question not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    await question.softDelete(user._id);
+
+    // Deleted questions don't count towards tag usage
+    await Tag.updateMany(
+      { _id: { $in: question.tags } },
+      { $inc: { usageCount: -1 } }
+    );
+
+    return question;
+  }
+
+  /**
+   * Undelete a question with the answers and comments deleted along with it
+   * @param {Object} question - Deleted question document
+   * @param {Object} user - User undeleting the question
+   * @returns {Promise} Promise resolving to the restored question
+   */
+  async undeleteQuestion(question, user) {
+    this.assertCanUndelete(question, user, 'Question');
+
+    await question.restore();
+
+    await Tag.updateMany(
+      { _id: { $in: question.tags } },
+      { $inc: { usageCount: 1 } }
+    );
+
+    return question;
+  }
+
+  /**
+   * Soft delete an answer with its comments
+   * @param {Object} answer - Answer document
+   * @param {Object} user - User deleting the answer
+   * @returns {Promise} Promise resolving to the deleted answer
+   */
+  async deleteAnswer(answer, user) {
+    if (answer.isDeleted) {
+      throw new ApiError('Answer not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    await answer.softDelete(user._id);
+
+    // The answer keeps isAccepted so undeleting it restores the acceptance
+    if (answer.isAccepted) {
+      await Question.updateOne(
+        { _id: answer.question, acceptedAnswer: answer._id },
+        { acceptedAnswer: null }
+      );
+    }
+
+    // Another answer may lead now, so the acceptance job checks again
+    await Question.updateOne(
+      { _id: answer.question, communityAcceptedAnswer: answer._id },
+      { communityAcceptedAnswer: null, communityAcceptedAt: null }
+    );
+    await Question.updateOne({ _id: answer.question }, { communityAcceptCheckedAt: null });
+
+    return answer;
+  }
+
+  /**
+   * Undelete an answer with the comments deleted along with it
+   * @param {Object} answer - Deleted answer document
+   * @param {Object} user - User undeleting the answer
+   * @returns {Promise} Promise resolving to the restored answer
+   */
+  async undeleteAnswer(answer, user) {
+    this.assertCanUndelete(answer, user, 'Answer');
+
+    const question = await Question.findById(answer.question).select('isDeleted');
+    if (!question || question.isDeleted) {
+      throw new ApiError('Undelete the question before its answers', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await answer.restore();
+
+    // The answer may lead again, so the acceptance job checks again
+    await Question.updateOne({ _id: answer.question }, { communityAcceptCheckedAt: null });
+
+    return answer;
+  }
+
+  /**
+   * Soft delete a comment
+   * @param {Object} comment - Comment document
+   * @param {Object} user - User deleting the comment
+   * @returns {Promise} Promise resolving to the deleted comment
+   */
+  async deleteComment(comment, user) {
+    if (comment.isDeleted) {
+      throw new ApiError('Comment not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return await comment.softDelete(user._id);
+  }
+
+  /**
+   * Undelete a comment
+   * @param {Object} comment - Deleted comment document
+   * @param {Object} user - User undeleting the comment
+   * @returns {Promise} Promise resolving to the restored comment
+   */
+  async undeleteComment(comment, user) {
+    this.assertCanUndelete(comment, user, 'Comment');
+
+    const Parent = comment.parentType === 'answer' ? Answer : Question;
+    const parent = await Parent.findById(comment.parent).select('isDeleted');
+    if (!parent || parent.isDeleted) {
+      throw new ApiError(`Undelete the ${comment.parentType} before its comments`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return await comment.restore();
+  }
+}
+
+module.exports = new DeletionService();
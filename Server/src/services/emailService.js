@@ -202,6 +202,76 @@ class EmailService {
     return await this.sendEmail({ to, subject, text, html });
   }
 
+  /**
+   * Send new sign-in alert email
+   * @param {string} to - Recipient email
+   * @param {string} username - User's username
+   * @param {Object} details - Sign-in details { ipAddress, userAgent, time }
+   * @param {string} reportToken - Token for the "this wasn't me" link
+   * @returns {Promise} Promise resolving to email info
+   */
+  async sendNewLoginEmail(to, username, details, reportToken) {
+    const reportUrl = `${process.env.FRONTEND_URL}/secure-account?token=${reportToken}`;
+    const time = details.time.toUTCString();
+    // User agent is client-controlled - strip markup characters
+    const device = (details.userAgent || 'Unknown device').replace(/[<>&"']/g, '');
+    const ipAddress = details.ipAddress || 'Unknown IP';
+
+    const subject = 'StackIt - New sign-in to your account';
+    const text = `
+      Hi ${username},
+
+      Your StackIt account was just signed in to from a new device or location.
+
+      Time: ${time}
+      IP address: ${ipAddress}
+      Device: ${device}
+
+      If this was you, you can ignore this email.
+
+      If this wasn't you, sign out that device and change your password:
+      ${reportUrl}
+
+      Best regards,
+      The StackIt Team
+    `;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #d97706;">New Sign-In to Your Account</h2>
+
+        <p>Hi ${username},</p>
+
+        <p>Your StackIt account was just signed in to from a new device or location.</p>
+
+        <ul style="color: #444; font-size: 14px;">
+          <li><strong>Time:</strong> ${time}</li>
+          <li><strong>IP address:</strong> ${ipAddress}</li>
+          <li><strong>Device:</strong> ${device}</li>
+        </ul>
+
+        <p>If this was you, you can ignore this email.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${reportUrl}" style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            This Wasn't Me
+          </a>
+        </div>
+
+        <p style="color: #666; font-size: 14px;">The link signs out that device. Change your password afterwards to keep your account safe.</p>
+
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+        <p style="color: #999; font-size: 12px;">
+          Best regards,<br>
+          The StackIt Team
+        </p>
+      </div>
+    `;
+
+    return await this.sendEmail({ to, subject, text, html });
+  }
+
   /**
    * Send notification email
    * @param {string} to - Recipient email
@@ -270,6 +340,36 @@ class EmailService {
         `;
         break;
 
+      case 'accept_answer_reminder':
+        subject = `Did an answer solve your question? - ${data.questionTitle}`;
+        text = `
+          Hi ${username},
+
+          Your question "${data.questionTitle}" has answers but none is accepted yet.
+          If one of them solved your problem, accept it so others can find the solution.
+
+          Review the answers: ${data.url}
+
+          Best regards,
+          The StackIt Team
+        `;
+        html = `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #2563eb;">Did an Answer Solve Your Question?</h2>
+            <p>Hi ${username},</p>
+            <p>Your question "<em>${data.questionTitle}</em>" has answers but none is accepted yet.</p>
+            <p>If one of them solved your problem, accept it so others can find the solution.</p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${data.url}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+                Review Answers
+              </a>
+            </div>
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px;">Best regards,<br>The StackIt Team</p>
+          </div>
+        `;
+        break;
+
       default:
         subject = 'New notification from StackIt';
         text = `Hi ${username}, you have a new notification from StackIt.`;
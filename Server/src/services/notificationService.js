@@ -1,6 +1,7 @@
 const Notification = require('../models/Notification');
+const Follow = require('../models/Follow');
 const emailService = require('./emailService');
-const { NOTIFICATION_TYPES } = require('../utils/constants');
+const { NOTIFICATION_TYPES, SUGGESTED_EDIT_STATUS, FOLLOW_TARGETS } = require('../utils/constants');
 
 class NotificationService {
   constructor() {
@@ -20,6 +21,7 @@ class NotificationService {
       questionId,
       answerId,
       commentId,
+      closeReason,
       customMessage
     } = notificationData;
 
@@ -48,7 +50,8 @@ class NotificationService {
         questionId,
         answerId,
         commentId,
-        url
+        url,
+        closeReason
       });
 
       // Send email notification if enabled and user hasn't opted out
@@ -91,8 +94,24 @@ class NotificationService {
         return `${senderName} mentioned you`;
       case NOTIFICATION_TYPES.ANSWER_ACCEPTED:
         return `${senderName} accepted your answer`;
+      case NOTIFICATION_TYPES.ANSWER_ALSO_HELPFUL:
+        return `${senderName} marked your answer as also helpful`;
+      case NOTIFICATION_TYPES.ACCEPT_ANSWER_REMINDER:
+        return 'Your question has answers waiting to be accepted';
       case NOTIFICATION_TYPES.QUESTION_CLOSED:
         return `Your question was closed by ${senderName}`;
+      case NOTIFICATION_TYPES.SUGGESTED_EDIT:
+        return `${senderName} suggested an edit to your post`;
+      case NOTIFICATION_TYPES.SUGGESTED_EDIT_REVIEWED:
+        return `${senderName} reviewed your suggested edit`;
+      case NOTIFICATION_TYPES.BOUNTY_AWARDED:
+        return 'You were awarded a bounty';
+      case NOTIFICATION_TYPES.BOUNTY_EXPIRED:
+        return 'Your bounty expired';
+      case NOTIFICATION_TYPES.FOLLOWED_QUESTION_ACTIVITY:
+        return 'There is new activity on a question you follow';
+      case NOTIFICATION_TYPES.FOLLOWED_TAG_QUESTION:
+        return `${senderName} asked a question in a tag you follow`;
       default:
         return `You have a new notification from ${senderName}`;
     }
@@ -185,13 +204,16 @@ class NotificationService {
    * @param {Object} question - Question object
    */
   async notifyNewAnswer(answer, question) {
+    // The question author may be populated
+    const questionAuthorId = question.author._id || question.author;
+
     // Don't notify if answerer is the question author
-    if (answer.author.toString() === question.author.toString()) {
+    if (answer.author.toString() === questionAuthorId.toString()) {
       return;
     }
 
     return await this.createNotification({
-      recipient: question.author,
+      recipient: questionAuthorId,
       sender: answer.author,
       type: NOTIFICATION_TYPES.NEW_ANSWER,
       questionId: question._id,
@@ -247,11 +269,47 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify when an answer is marked as also helpful
+   * @param {Object} answer - Answer object
+   * @param {Object} question - Question object
+   */
+  async notifyAnswerAlsoHelpful(answer, question) {
+    // Don't notify if question author marked their own answer
+    if (answer.author.toString() === question.author.toString()) {
+      return;
+    }
+
+    return await this.createNotification({
+      recipient: answer.author,
+      sender: question.author,
+      type: NOTIFICATION_TYPES.ANSWER_ALSO_HELPFUL,
+      questionId: question._id,
+      answerId: answer._id,
+      questionTitle: question.title
+    });
+  }
+
+  /**
+   * Remind an asker to accept one of the answers to their question
+   * @param {Object} question - Question object
+   */
+  async notifyAcceptAnswerReminder(question) {
+    return await this.createNotification({
+      recipient: question.author,
+      sender: null,
+      type: NOTIFICATION_TYPES.ACCEPT_ANSWER_REMINDER,
+      questionId: question._id,
+      questionTitle: question.title,
+      customMessage: `Did an answer solve "${question.title}"? Accept it to let others know`
+    });
+  }
+
   /**
    * Notify when question is closed
    * @param {Object} question - Question object
    * @param {string} closedBy - User ID who closed the question
-   * @param {string} reason - Close reason
+   * @param {Object} reason - { type, text } where type is one of CLOSE_REASONS
    */
   async notifyQuestionClosed(question, closedBy, reason) {
     // Don't notify if question author closed their own question
@@ -265,10 +323,182 @@ class NotificationService {
       type: NOTIFICATION_TYPES.QUESTION_CLOSED,
       questionId: question._id,
       questionTitle: question.title,
-      customMessage: `Your question was closed. Reason: ${reason}`
+      closeReason: reason.type,
+      customMessage: `Your question was closed. Reason: ${reason.text}`
     });
   }
 
+  /**
+   * Notify post author about a suggested edit waiting for review
+   * @param {Object} suggestion - Suggested edit object
+   */
+  async notifySuggestedEdit(suggestion) {
+    return await this.createNotification({
+      recipient: suggestion.postAuthor,
+      sender: suggestion.suggestedBy,
+      type: NOTIFICATION_TYPES.SUGGESTED_EDIT,
+      questionId: suggestion.question,
+      answerId: suggestion.targetType === 'answer' ? suggestion.target : null,
+      customMessage: `An edit was suggested to your ${suggestion.targetType} and is waiting for review`
+    });
+  }
+
+  /**
+   * Notify the suggester that their edit was approved or rejected
+   * @param {Object} suggestion - Reviewed suggested edit object
+   */
+  async notifySuggestedEditReviewed(suggestion) {
+    const outcome = suggestion.status === SUGGESTED_EDIT_STATUS.APPROVED ? 'approved' : 'rejected';
+
+    return await this.createNotification({
+      recipient: suggestion.suggestedBy,
+      sender: suggestion.reviewedBy,
+      type: NOTIFICATION_TYPES.SUGGESTED_EDIT_REVIEWED,
+      questionId: suggestion.question,
+      answerId: suggestion.targetType === 'answer' ? suggestion.target : null,
+      customMessage: `Your suggested edit was ${outcome}` +
+        (suggestion.reviewComment ? `: ${suggestion.reviewComment}` : '')
+    });
+  }
+
+  /**
+   * Notify the author of an answer that won a bounty
+   * @param {Object} bounty - Awarded bounty object
+   * @param {Object} question - Question object
+   */
+  async notifyBountyAwarded(bounty, question) {
+    return await this.createNotification({
+      recipient: bounty.awardedTo,
+      // Bounties awarded on expiry come from the system
+      sender: bounty.awardType === 'auto' ? null : bounty.sponsor,
+      type: NOTIFICATION_TYPES.BOUNTY_AWARDED,
+      questionId: question._id,
+      answerId: bounty.awardedAnswer,
+      questionTitle: question.title,
+      customMessage: `Your answer was awarded a +${bounty.amount} bounty`
+    });
+  }
+
+  /**
+   * Notify the sponsor that their bounty expired without an eligible answer
+   * @param {Object} bounty - Expired bounty object
+   * @param {Object} question - Question object
+   */
+  async notifyBountyExpired(bounty, question) {
+    return await this.createNotification({
+      recipient: bounty.sponsor,
+      sender: null,
+      type: NOTIFICATION_TYPES.BOUNTY_EXPIRED,
+      questionId: question._id,
+      questionTitle: question.title,
+      customMessage: `Your +${bounty.amount} bounty expired without a qualifying answer and was refunded`
+    });
+  }
+
+  /**
+   * Notify users following a question about activity on it
+   * @param {Object} question - Question object
+   * @param {Object} activity - { sender, message, answerId, exclude }
+   *   where exclude lists user IDs already notified about the same activity
+   */
+  async notifyQuestionFollowers(question, activity) {
+    const { sender = null, message, answerId = null, exclude = [] } = activity;
+
+    try {
+      const followerIds = await Follow.getFollowerIds(FOLLOW_TARGETS.QUESTION, question._id);
+      const skipped = new Set([sender, ...exclude].filter(Boolean).map(id => id.toString()));
+
+      const notificationPromises = followerIds
+        .filter(followerId => !skipped.has(followerId.toString()))
+        .map(followerId =>
+          this.createNotification({
+            recipient: followerId,
+            sender,
+            type: NOTIFICATION_TYPES.FOLLOWED_QUESTION_ACTIVITY,
+            questionId: question._id,
+            answerId,
+            questionTitle: question.title,
+            customMessage: message
+          })
+        );
+
+      await Promise.all(notificationPromises);
+    } catch (error) {
+      console.error('Error notifying question followers:', error);
+    }
+  }
+
+  /**
+   * Notify users following any tag of a newly asked question
+   * @param {Object} question - Question object
+   */
+  async notifyTagFollowers(question) {
+    if (!question.tags || question.tags.length === 0) {
+      return;
+    }
+
+    try {
+      const followerIds = await Follow.getFollowerIds(FOLLOW_TARGETS.TAG, question.tags);
+
+      const notificationPromises = followerIds
+        .filter(followerId => followerId.toString() !== question.author.toString())
+        .map(followerId =>
+          this.createNotification({
+            recipient: followerId,
+            sender: question.author,
+            type: NOTIFICATION_TYPES.FOLLOWED_TAG_QUESTION,
+            questionId: question._id,
+            questionTitle: question.title,
+            customMessage: `New question in a tag you follow: "${question.title}"`
+          })
+        );
+
+      await Promise.all(notificationPromises);
+    } catch (error) {
+      console.error('Error notifying tag followers:', error);
+    }
+  }
+
+  /**
+   * Send the notifications held back while an author's content was quarantined
+   * @param {Object} author - User whose content was published
+   * @param {Object} released - { questions, answers, comments } from
+   *   User.releaseQuarantinedContent
+   */
+  async notifyReleasedContent(author, released) {
+    const Question = require('../models/Question');
+    const Answer = require('../models/Answer');
+
+    try {
+      for (const question of released.questions.filter(item => !item.isDeleted)) {
+        await this.notifyTagFollowers(question);
+      }
+
+      for (const answer of released.answers.filter(item => !item.isDeleted)) {
+        const question = await Question.findById(answer.question).select('title author');
+        if (!question) continue;
+
+        await this.notifyNewAnswer(answer, question);
+        await this.notifyQuestionFollowers(question, {
+          sender: author._id,
+          message: `${author.username} answered "${question.title}"`,
+          answerId: answer._id,
+          exclude: [question.author]
+        });
+      }
+
+      for (const comment of released.comments.filter(item => !item.isDeleted)) {
+        const Parent = comment.parentType === 'answer' ? Answer : Question;
+        const parent = await Parent.findById(comment.parent).select('author question');
+        if (parent) {
+          await this.notifyNewComment(comment, parent, comment.parentType);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending notifications for released content:', error);
+    }
+  }
+
   /**
    * Notify users mentioned in content
    * @param {string} content - Content text
@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OAuthIdentity = require('../models/OAuthIdentity');
+const RevokedToken = require('../models/RevokedToken');
+const { getProvider, getEnabledProviders, getRedirectUri } = require('../config/oauth');
+const { ApiError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const STATE_PURPOSE = 'oauth_state';
+const LOGIN_CODE_PURPOSE = 'oauth_login';
+const REAUTH_PURPOSE = 'oauth_reauth';
+
+// What the provider round trip is for
+const OAUTH_INTENTS = ['login', 'reauth'];
+
+class OAuthService {
+  constructor() {
+    this.discoveryCache = new Map();
+  }
+
+  /**
+   * List providers users can sign in with
+   * @returns {Array} Array of { id, name }
+   */
+  listProviders() {
+    return getEnabledProviders().map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Get a configured provider or fail
+   * @param {string} providerId - Provider ID
+   * @returns {Object} Provider config
+   */
+  requireProvider(providerId) {
+    const provider = getProvider(providerId);
+    if (!provider) {
+      throw new ApiError('Unknown login provider', HTTP_STATUS.NOT_FOUND);
+    }
+    return provider;
+  }
+
+  /**
+   * Fetch JSON from a provider endpoint
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - fetch options
+   * @returns {Promise} Promise resolving to parsed body
+   */
+  async fetchJson(url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: {
+          Accept: 'application/json',
+          'User-Agent': 'StackIt',
+          ...options.headers
+        }
+      });
+    } catch (error) {
+      console.error(`OAuth request to ${url} failed:`, error);
+      throw new ApiError('Login provider is unreachable', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.error) {
+      console.error(`OAuth request to ${url} returned ${response.status}:`, body);
+      throw new ApiError('Login provider rejected the request', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return body;
+  }
+
+  /**
+   * Load the OIDC discovery document of a provider (cached)
+   * @param {Object} provider - Provider config
+   * @returns {Promise} Promise resolving to discovery document
+   */
+  async discover(provider) {
+    if (!this.discoveryCache.has(provider.issuer)) {
+      const issuer = provider.issuer.replace(/\/$/, '');
+      const document = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+      this.discoveryCache.set(provider.issuer, document);
+    }
+    return this.discoveryCache.get(provider.issuer);
+  }
+
+  /**
+   * Build the provider authorization URL
+   * The returned nonce must be stored in a cookie and passed back on callback
+   * @param {string} providerId - Provider ID
+   * @param {string} intent - "login", or "reauth" to confirm a sensitive action
+   * @returns {Promise} Promise resolving to { url, nonce }
+   */
+  async getAuthorizationUrl(providerId, intent = 'login') {
+    const provider = this.requireProvider(providerId);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    if (!OAUTH_INTENTS.includes(intent)) {
+      throw new ApiError('Invalid login intent', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const state = jwt.sign(
+      { provider: provider.id, nonce, intent, purpose: STATE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+
+    const authorizationUrl = provider.type === 'oidc'
+      ? (await this.discover(provider)).authorization_endpoint
+      : provider.authorizationUrl;
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: getRedirectUri(provider.id),
+      scope: provider.scope,
+      state
+    });
+
+    if (provider.type === 'oidc') {
+      params.set('nonce', nonce);
+    }
+
+    return { url: `${authorizationUrl}?${params.toString()}`, nonce };
+  }
+
+  /**
+   * Verify the state parameter against the nonce cookie
+   * @param {Object} provider - Provider config
+   * @param {string} state - State from the callback
+   * @param {string} cookieNonce - Nonce stored in the browser cookie
+   * @returns {Object} Verified { nonce, intent }
+   */
+  verifyState(provider, state, cookieNonce) {
+    let payload;
+    try {
+      payload = jwt.verify(state, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ApiError('Login attempt expired. Please try again.', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (payload.purpose !== STATE_PURPOSE || payload.provider !== provider.id || !cookieNonce || payload.nonce !== cookieNonce) {
+      throw new ApiError('Invalid login state. Please try again.', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return { nonce: payload.nonce, intent: payload.intent || 'login' };
+  }
+
+  /**
+   * Exchange an authorization code for provider tokens
+   * @param {Object} provider - Provider config
+   * @param {string} code - Authorization code
+   * @returns {Promise} Promise resolving to token response
+   */
+  async exchangeCode(provider, code) {
+    const tokenUrl = provider.type === 'oidc'
+      ? (await this.discover(provider)).token_endpoint
+      : provider.tokenUrl;
+
+    return await this.fetchJson(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: getRedirectUri(provider.id),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret
+      }).toString()
+    });
+  }
+
+  /**
+   * Read the profile of an OIDC user from the ID token
+   * The token comes straight from the token endpoint over TLS, so its
+   * claims are checked without verifying the signature (OIDC Core 3.1.3.7)
+   * @param {Object} provider - Provider config
+   * @param {Object} tokens - Token response
+   * @param {string} nonce - Expected nonce
+   * @returns {Promise} Promise resolving to normalized profile
+   */
+  async getOidcProfile(provider, tokens, nonce) {
+    const discovery = await this.discover(provider);
+    const claims = jwt.decode(tokens.id_token);
+
+    if (!claims) {
+      throw new ApiError('Login provider did not return an ID token', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const isValid = claims.iss === discovery.issuer &&
+      audiences.includes(provider.clientId) &&
+      claims.exp * 1000 > Date.now() &&
+      claims.nonce === nonce;
+
+    if (!isValid) {
+      throw new ApiError('Invalid ID token from login provider', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Some providers only put profile claims in the userinfo response
+    let profile = claims;
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this.fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+
+      if (userInfo.sub === claims.sub) {
+        profile = { ...userInfo, ...claims };
+      }
+    }
+
+    return {
+      subject: profile.sub,
+      email: profile.email || null,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      firstName: profile.given_name,
+      lastName: profile.family_name,
+      avatar: profile.picture || null,
+      usernameHints: [profile.preferred_username, profile.nickname, profile.email?.split('@')[0], profile.name]
+    };
+  }
+
+  /**
+   * Read the profile of a GitHub user
+   * @param {Object} provider - Provider config
+   * @param {Object} tokens - Token response
+   * @returns {Promise} Promise resolving to normalized profile
+   */
+  async getGithubProfile(provider, tokens) {
+    const headers = { Authorization: `Bearer ${tokens.access_token}` };
+    const account = await this.fetchJson(provider.userInfoUrl, { headers });
+    const emails = await this.fetchJson(provider.emailsUrl, { headers });
+
+    const primaryEmail = Array.isArray(emails)
+      ? emails.find(entry => entry.primary && entry.verified)
+      : null;
+    const [firstName, ...lastName] = (account.name || '').split(' ');
+
+    return {
+      subject: String(account.id),
+      email: primaryEmail?.email || null,
+      emailVerified: !!primaryEmail,
+      firstName: firstName || undefined,
+      lastName: lastName.join(' ') || undefined,
+      avatar: account.avatar_url || null,
+      usernameHints: [account.login, primaryEmail?.email.split('@')[0]]
+    };
+  }
+
+  /**
+   * Complete the provider callback and resolve the local user
+   * Re-authentication only accepts an identity that is already linked
+   * @param {string} providerId - Provider ID
+   * @param {Object} params - { code, state, cookieNonce }
+   * @returns {Promise} Promise resolving to { user, intent }
+   */
+  async handleCallback(providerId, params) {
+    const provider = this.requireProvider(providerId);
+    const { nonce, intent } = this.verifyState(provider, params.state, params.cookieNonce);
+
+    if (!params.code) {
+      throw new ApiError('Missing authorization code', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const tokens = await this.exchangeCode(provider, params.code);
+    const profile = provider.type === 'oidc'
+      ? await this.getOidcProfile(provider, tokens, nonce)
+      : await this.getGithubProfile(provider, tokens);
+
+    if (!profile.subject) {
+      throw new ApiError('Login provider did not return an account ID', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const user = intent === 'reauth'
+      ? await this.findLinkedUser(provider, profile)
+      : await this.findOrCreateUser(provider, profile);
+
+    return { user, intent };
+  }
+
+  /**
+   * Resolve the user already linked to an external identity
+   * @param {Object} provider - Provider config
+   * @param {Object} profile - Normalized profile
+   * @returns {Promise} Promise resolving to user document
+   */
+  async findLinkedUser(provider, profile) {
+    const identity = await OAuthIdentity.findByProviderSubject(provider.id, profile.subject);
+    const user = identity ? await User.findById(identity.user) : null;
+
+    if (!user || !user.isActive) {
+      throw new ApiError(`This ${provider.name} account is not linked to a StackIt account`, HTTP_STATUS.FORBIDDEN);
+    }
+
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return user;
+  }
+
+  /**
+   * Resolve the user linked to an external identity, linking or creating one
+   * Existing accounts are only linked by email when both the provider and the
+   * account verified it, so nobody can pre-register someone else's address
+   * @param {Object} provider - Provider config
+   * @param {Object} profile - Normalized profile
+   * @returns {Promise} Promise resolving to user document
+   */
+  async findOrCreateUser(provider, profile) {
+    const identity = await OAuthIdentity.findByProviderSubject(provider.id, profile.subject);
+
+    if (identity) {
+      const user = await User.findById(identity.user);
+      if (!user || !user.isActive) {
+        throw new ApiError('This account has been deactivated', HTTP_STATUS.FORBIDDEN);
+      }
+
+      identity.lastLoginAt = new Date();
+      if (profile.email) identity.email = profile.email;
+      await identity.save();
+      return user;
+    }
+
+    if (!profile.email) {
+      throw new ApiError(`${provider.name} did not share an email address`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    let user = await User.findOne({ email: profile.email.toLowerCase() });
+
+    if (user) {
+      if (!profile.emailVerified) {
+        throw new ApiError(
+          'An account with this email already exists. Sign in with your password instead.',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      // Whoever registered an unverified account may not own the address
+      if (!user.isEmailVerified) {
+        throw new ApiError(
+          'An account with this email already exists but its email is not verified. Sign in with your password and verify your email first.',
+          HTTP_STATUS.CONFLICT
+        );
+      }
+
+      if (!user.isActive) {
+        throw new ApiError('This account has been deactivated', HTTP_STATUS.FORBIDDEN);
+      }
+    } else {
+      const username = await User.generateUniqueUsername(profile.usernameHints);
+
+      user = await User.create({
+        username,
+        email: profile.email,
+        // Unusable random password - "forgot password" can set a real one
+        password: crypto.randomBytes(32).toString('hex'),
+        hasPassword: false,
+        isEmailVerified: profile.emailVerified,
+        profile: {
+          firstName: profile.firstName?.slice(0, 50),
+          lastName: profile.lastName?.slice(0, 50),
+          avatar: profile.avatar
+        }
+      });
+    }
+
+    await OAuthIdentity.create({
+      user: user._id,
+      provider: provider.id,
+      subject: profile.subject,
+      email: profile.email
+    });
+
+    return user;
+  }
+
+  /**
+   * Create a single-use code the frontend exchanges for tokens
+   * Keeps tokens out of redirect URLs
+   * @param {Object} user - User document
+   * @returns {string} Signed login code
+   */
+  createLoginCode(user) {
+    return jwt.sign(
+      { id: user._id, purpose: LOGIN_CODE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: '2m', jwtid: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Verify a single-use code and burn it
+   * @param {string} code - Signed code
+   * @param {string} purpose - Expected purpose
+   * @param {string} message - Error message when the code is rejected
+   * @returns {Promise} Promise resolving to the code payload
+   */
+  async burnCode(code, purpose, message) {
+    let payload;
+    try {
+      payload = jwt.verify(code, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ApiError(message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (payload.purpose !== purpose || !payload.jti) {
+      throw new ApiError(message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    // The unique jti index rejects a second redemption
+    try {
+      await RevokedToken.create({
+        jti: payload.jti,
+        user: payload.id,
+        expiresAt: new Date(payload.exp * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(message, HTTP_STATUS.UNAUTHORIZED);
+      }
+      throw error;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Redeem a login code
+   * @param {string} loginCode - Code from the callback redirect
+   * @returns {Promise} Promise resolving to user document
+   */
+  async redeemLoginCode(loginCode) {
+    const payload = await this.burnCode(loginCode, LOGIN_CODE_PURPOSE, 'Invalid or expired login code');
+
+    const user = await User.findById(payload.id);
+    if (!user || !user.isActive) {
+      throw new ApiError('Invalid or expired login code', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    return user;
+  }
+
+  /**
+   * Create a single-use proof that the user just signed in with a provider
+   * Lets accounts without a password confirm sensitive actions
+   * @param {Object} user - User document
+   * @returns {string} Signed re-authentication token
+   */
+  createReauthToken(user) {
+    return jwt.sign(
+      { id: user._id, purpose: REAUTH_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m', jwtid: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Redeem a re-authentication token for the given user
+   * @param {string} reauthToken - Token from the callback redirect
+   * @param {string} userId - User confirming the action
+   * @returns {Promise} Promise resolving once the token is burned
+   */
+  async redeemReauthToken(reauthToken, userId) {
+    const message = 'Sign-in confirmation is invalid or expired. Please sign in with your provider again.';
+
+    // Check the owner before burning so someone else's token stays usable
+    const claims = jwt.decode(reauthToken);
+    if (!claims || String(claims.id) !== String(userId)) {
+      throw new ApiError(message, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await this.burnCode(reauthToken, REAUTH_PURPOSE, message);
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ERROR_CODES } = require('../utils/constants');
+
+const DEFAULT_BREACHED_PASSWORDS_PATH = path.join(__dirname, '../../data/breached-passwords.txt');
+const PREFIX_LENGTH = 5;
+
+// Character classes counted towards PASSWORD_MIN_CHARACTER_CLASSES
+const CHARACTER_CLASSES = [
+  { name: 'lowercase letters', pattern: /[a-z]/ },
+  { name: 'uppercase letters', pattern: /[A-Z]/ },
+  { name: 'numbers', pattern: /[0-9]/ },
+  { name: 'symbols', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// Shortest username/email part that passwords may not contain
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class PasswordPolicyService {
+  constructor() {
+    // Breached hashes from a single list file: prefix -> Set of suffixes
+    this.breachedRanges = null;
+  }
+
+  /**
+   * Get the configured password policy
+   * @returns {Object} Policy settings
+   */
+  getPolicy() {
+    return {
+      minLength: readInt(process.env.PASSWORD_MIN_LENGTH, 8),
+      maxLength: readInt(process.env.PASSWORD_MAX_LENGTH, 128),
+      minCharacterClasses: readInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES, 2),
+      disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false',
+      checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false'
+    };
+  }
+
+  /**
+   * List the rules a password breaks
+   * @param {string} password - Candidate password
+   * @param {Object} [account] - { username, email } of the account
+   * @returns {string[]} Human readable problems (empty if none)
+   */
+  getViolations(password, account = {}) {
+    const policy = this.getPolicy();
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+
+    if (password.length > policy.maxLength) {
+      violations.push(`Password must not exceed ${policy.maxLength} characters`);
+    }
+
+    const classCount = CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password)).length;
+    if (classCount < policy.minCharacterClasses) {
+      const classNames = CHARACTER_CLASSES.map(({ name }) => name).join(', ');
+      violations.push(
+        `Password must contain at least ${policy.minCharacterClasses} of: ${classNames}`
+      );
+    }
+
+    if (policy.disallowPersonalInfo) {
+      const lowerPassword = password.toLowerCase();
+      const personalInfo = [account.username, account.email?.split('@')[0]]
+        .filter(value => value && value.length >= MIN_PERSONAL_INFO_LENGTH)
+        .map(value => value.toLowerCase());
+
+      if (personalInfo.some(value => lowerPassword.includes(value))) {
+        violations.push('Password must not contain your username or email address');
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get where the breached-password list lives
+   * @returns {string} File or directory path
+   */
+  getBreachedPasswordsPath() {
+    return process.env.BREACHED_PASSWORDS_PATH || DEFAULT_BREACHED_PASSWORDS_PATH;
+  }
+
+  /**
+   * Load a single list file of SHA-1 hashes ("HASH" or "HASH:COUNT" lines)
+   * into hash ranges keyed by prefix
+   * @param {string} filePath - List file
+   * @returns {Promise} Promise resolving to Map of prefix -> Set of suffixes
+   */
+  async loadBreachedRanges(filePath) {
+    const ranges = new Map();
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    content.split(/\r?\n/).forEach(line => {
+      const hash = line.split(':')[0].trim().toUpperCase();
+      if (!/^[0-9A-F]{40}$/.test(hash)) return;
+
+      const prefix = hash.slice(0, PREFIX_LENGTH);
+      if (!ranges.has(prefix)) ranges.set(prefix, new Set());
+      ranges.get(prefix).add(hash.slice(PREFIX_LENGTH));
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Read the suffixes in one hash range
+   * Directories hold one file per prefix ("ABCDE" or "ABCDE.txt") with
+   * "SUFFIX:COUNT" lines, as produced by the Pwned Passwords downloader
+   * @param {string} prefix - First five hex characters of the SHA-1 hash
+   * @returns {Promise} Promise resolving to Set of suffixes
+   */
+  async getBreachedRange(prefix) {
+    const listPath = this.getBreachedPasswordsPath();
+    const stats = await fs.promises.stat(listPath);
+
+    if (!stats.isDirectory()) {
+      if (!this.breachedRanges || this.breachedRanges.path !== listPath) {
+        this.breachedRanges = {
+          path: listPath,
+          ranges: await this.loadBreachedRanges(listPath)
+        };
+      }
+      return this.breachedRanges.ranges.get(prefix) || new Set();
+    }
+
+    for (const fileName of [prefix, `${prefix}.txt`]) {
+      try {
+        const content = await fs.promises.readFile(path.join(listPath, fileName), 'utf8');
+        return new Set(
+          content.split(/\r?\n/).map(line => line.split(':')[0].trim().toUpperCase())
+        );
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    return new Set();
+  }
+
+  /**
+   * Check a password against the local breached-password list
+   * Only the hash prefix is used to pick a range, mirroring the
+   * k-anonymity model of the Pwned Passwords range API
+   * @param {string} password - Candidate password
+   * @returns {Promise} Promise resolving to true if the password is breached
+   */
+  async isBreached(password) {
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+
+    try {
+      const range = await this.getBreachedRange(hash.slice(0, PREFIX_LENGTH));
+      return range.has(hash.slice(PREFIX_LENGTH));
+    } catch (error) {
+      // A missing or unreadable list shouldn't lock users out of changing passwords
+      console.error('Breached password check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check a new password against the policy and the breached list
+   * @param {string} password - Candidate password
+   * @param {Object} [account] - { username, email } of the account
+   * @returns {Promise} Promise resolving to null if accepted, otherwise
+   *   { message, code, errors }
+   */
+  async check(password, account = {}) {
+    const errors = this.getViolations(password, account);
+
+    if (errors.length > 0) {
+      return { message: errors[0], code: ERROR_CODES.WEAK_PASSWORD, errors };
+    }
+
+    if (this.getPolicy().checkBreached && await this.isBreached(password)) {
+      const message = 'This password has appeared in a data breach. Please choose a different one.';
+      return { message, code: ERROR_CODES.BREACHED_PASSWORD, errors: [message] };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new PasswordPolicyService();
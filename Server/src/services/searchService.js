@@ -1,8 +1,49 @@
 const Question = require('../models/Question');
-const Answer = require('../models/Answer');
 const Tag = require('../models/Tag');
 const User = require('../models/User');
-const { escapeRegex } = require('../utils/helpers');
+const answerService = require('./answerService');
+const { escapeRegex, getQuestionStatusFilter } = require('../utils/helpers');
+const { QUESTION_STATUS, ANSWER_SORTS } = require('../utils/constants');
+
+// Text index matches considered when looking for duplicates
+const DUPLICATE_CANDIDATES = 25;
+
+// Weakest match still reported as a possible duplicate
+const MIN_DUPLICATE_SIMILARITY = 0.3;
+
+// Words ignored when comparing question titles
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+  'get', 'how', 'i', 'in', 'is', 'it', 'my', 'of', 'on', 'or', 'that', 'the', 'this',
+  'to', 'what', 'when', 'why', 'with', 'without'
+]);
+
+/**
+ * Split text into a set of lowercase words for similarity scoring
+ * @param {string} text - Text to split
+ * @returns {Set} Distinct words
+ */
+const toWordSet = (text) => {
+  const words = (text || '').toLowerCase().match(/[a-z0-9+#.]+/g) || [];
+  return new Set(words
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+};
+
+/**
+ * Jaccard similarity of two word sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
 
 class SearchService {
   constructor() {
@@ -90,22 +131,22 @@ class SearchService {
   /**
    * Search answers for a specific question
    * @param {string} questionId - Question ID
-   * @param {Object} searchParams - Search parameters
+   * @param {Object} searchParams - Search parameters ({ query, sortBy, cursor, limit })
    * @returns {Promise} Promise resolving to search results
    */
   async searchAnswers(questionId, searchParams) {
     const {
       query = '',
-      sortBy = 'votes',
-      page = 1,
+      sortBy = ANSWER_SORTS.VOTES,
+      cursor = null,
       limit = 10
     } = searchParams;
 
     try {
-      const skip = (page - 1) * limit;
       const searchCriteria = {
         question: questionId,
-        isDeleted: false
+        isDeleted: false,
+        isQuarantined: { $ne: true }
       };
 
       // Add text search if query provided
@@ -116,33 +157,28 @@ class SearchService {
         };
       }
 
-      const sortCriteria = this.buildAnswerSortCriteria(sortBy);
-
-      const [answers, totalCount] = await Promise.all([
-        Answer.find(searchCriteria)
-          .populate('author', 'username profile.firstName profile.lastName profile.avatar reputation')
-          .sort(sortCriteria)
-          .skip(skip)
-          .limit(limit)
-          .lean(),
-        Answer.countDocuments(searchCriteria)
-      ]);
+      const { answers, total, nextCursor } = await answerService.listAnswers(searchCriteria, {
+        sort: sortBy,
+        cursor,
+        limit
+      });
 
-      const enhancedAnswers = query ? 
-        this.addSearchHighlights(answers, query, 'content') : 
-        answers;
+      const plainAnswers = answers.map(answer => (answer.toJSON ? answer.toJSON() : answer));
+      const enhancedAnswers = query ?
+        this.addSearchHighlights(plainAnswers, query, 'content') :
+        plainAnswers;
 
       return {
         answers: enhancedAnswers,
         pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalCount,
-          hasNext: page < Math.ceil(totalCount / limit),
-          hasPrev: page > 1
+          totalCount: total,
+          hasNext: !!nextCursor,
+          nextCursor
         }
       };
     } catch (error) {
+      // An invalid cursor is the caller's mistake, not a search failure
+      if (error.isOperational) throw error;
       console.error('Answer search error:', error);
       throw new Error('Answer search operation failed');
     }
@@ -333,7 +369,9 @@ class SearchService {
         case 'questions':
           suggestions = await Question.find({
             title: { $regex: escapedQuery, $options: 'i' },
-            status: 'active'
+            status: getQuestionStatusFilter(QUESTION_STATUS.ACTIVE),
+            isDeleted: { $ne: true },
+            isQuarantined: { $ne: true }
           })
             .select('title')
             .limit(5)
@@ -376,6 +414,55 @@ class SearchService {
     }
   }
 
+  /**
+   * Find existing questions that look like a question being asked
+   * Candidates come from the question text index; they are re-ranked by
+   * title word overlap so near-identical titles come first
+   * @param {Object} params - { title, description, excludeId, limit }
+   * @returns {Promise} Promise resolving to questions with a similarity score
+   */
+  async findPossibleDuplicates(params) {
+    const { title, description = '', excludeId = null, limit = 5 } = params;
+
+    // The body only adds context; long bodies would match almost anything
+    const query = `${title} ${description.slice(0, 300)}`.trim();
+    const titleWords = toWordSet(title);
+
+    const criteria = {
+      $text: { $search: query },
+      isDeleted: { $ne: true },
+      isQuarantined: { $ne: true }
+    };
+
+    if (excludeId) {
+      criteria._id = { $ne: excludeId };
+    }
+
+    const candidates = await Question.find(criteria, { score: { $meta: 'textScore' } })
+      .select('title status answerCount voteScore acceptedAnswer duplicateOf createdAt')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(DUPLICATE_CANDIDATES)
+      .lean();
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const topScore = candidates[0].score;
+
+    return candidates
+      .map(({ score, ...question }) => {
+        const titleSimilarity = jaccard(titleWords, toWordSet(question.title));
+        const similarity = 0.6 * titleSimilarity + 0.4 * (score / topScore);
+        return { question, titleSimilarity, similarity: Math.round(similarity * 100) / 100 };
+      })
+      // A shared title word is required so a strong body match alone isn't reported
+      .filter(match => match.titleSimilarity > 0 && match.similarity >= MIN_DUPLICATE_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+      .map(({ question, similarity }) => ({ ...question, similarity }));
+  }
+
   /**
    * Build question search criteria
    */
@@ -392,7 +479,7 @@ class SearchService {
       dateTo
     } = params;
 
-    const criteria = {};
+    const criteria = { isDeleted: { $ne: true }, isQuarantined: { $ne: true } };
 
     // Text search
     if (query) {
@@ -401,7 +488,7 @@ class SearchService {
 
     // Status filter
     if (status) {
-      criteria.status = status;
+      criteria.status = getQuestionStatusFilter(status);
     }
 
     // Tags filter
@@ -464,21 +551,6 @@ class SearchService {
     }
   }
 
-  /**
-   * Build sort criteria for answers
-   */
-  buildAnswerSortCriteria(sortBy) {
-    switch (sortBy) {
-      case 'newest':
-        return { createdAt: -1 };
-      case 'oldest':
-        return { createdAt: 1 };
-      case 'votes':
-      default:
-        return { isAccepted: -1, voteScore: -1, createdAt: -1 };
-    }
-  }
-
   /**
    * Build sort criteria for tags
    */
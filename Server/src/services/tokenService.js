@@ -0,0 +1,265 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { generateToken } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const SESSION_REPORT_PURPOSE = 'session_report';
+
+class TokenService {
+  /**
+   * Start a new device session and issue its access/refresh token pair
+   * @param {Object} user - User document
+   * @param {Object} context - Request context ({ ip, userAgent })
+   * @returns {Promise} Promise resolving to { token, refreshToken, session }
+   */
+  async issueTokens(user, context = {}) {
+    const session = await Session.create({
+      user: user._id,
+      ipAddress: context.ip || null,
+      userAgent: (context.userAgent || '').slice(0, 500)
+    });
+
+    const token = generateToken(user._id, session._id);
+    const { rawToken } = await RefreshToken.issue(user._id, {
+      ip: context.ip,
+      session: session._id
+    });
+
+    return { token, refreshToken: rawToken, session };
+  }
+
+  /**
+   * Verify an access token and load its user
+   * Rejects tokens that are revoked, belong to a revoked session or were
+   * issued before a password change
+   * @param {string} token - Raw JWT access token
+   * @returns {Promise} Promise resolving to { user, payload, session }
+   */
+  async verifyAccessToken(token) {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (payload.purpose) {
+      throw new ApiError('Invalid token.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (await RevokedToken.isRevoked(payload.jti)) {
+      throw new ApiError('Token has been revoked.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    const user = await User.findById(payload.id).select('-password');
+
+    if (!user || !user.isActive) {
+      throw new ApiError('Invalid token or user deactivated.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (user.changedPasswordAfter(payload.iat)) {
+      throw new ApiError('Password was changed. Please log in again.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    let session = null;
+    if (payload.sid) {
+      session = await Session.findOne({ _id: payload.sid, user: user._id });
+
+      if (!session || session.revokedAt) {
+        throw new ApiError('Session has been signed out.', HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      await session.touch();
+    }
+
+    return { user, payload, session };
+  }
+
+  /**
+   * Check if a bearer credential is a personal API token rather than a JWT
+   * @param {string} token - Bearer credential
+   * @returns {boolean} True for API tokens
+   */
+  isApiToken(token) {
+    return ApiToken.isApiToken(token);
+  }
+
+  /**
+   * Verify a personal API token, load its user and record usage
+   * @param {string} rawToken - Raw API token
+   * @param {Object} context - Request context ({ ip })
+   * @returns {Promise} Promise resolving to { user, apiToken }
+   */
+  async verifyApiToken(rawToken, context = {}) {
+    const apiToken = await ApiToken.findByRawToken(rawToken);
+
+    if (!apiToken || !apiToken.isActive) {
+      throw new ApiError('Invalid, expired or revoked API token.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    const user = await User.findById(apiToken.user).select('-password');
+
+    if (!user || !user.isActive) {
+      throw new ApiError('Invalid token or user deactivated.', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    await apiToken.touch(context.ip);
+
+    return { user, apiToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * Reusing an already rotated token revokes every session of its user
+   * @param {string} rawToken - Raw refresh token
+   * @param {Object} context - Request context ({ ip, userAgent })
+   * @returns {Promise} Promise resolving to { user, token, refreshToken }
+   */
+  async rotateRefreshToken(rawToken, context = {}) {
+    const stored = await RefreshToken.findByRawToken(rawToken);
+
+    if (!stored) {
+      throw new ApiError('Invalid refresh token', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (stored.revokedAt) {
+      // Token reuse - assume it was stolen and kill every session
+      await this.revokeAllForUser(stored.user);
+      throw new ApiError('Refresh token has been revoked', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new ApiError('Refresh token has expired', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      throw new ApiError('User not found or deactivated', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    let session = null;
+    if (stored.session) {
+      session = await Session.findById(stored.session);
+      if (!session || session.revokedAt) {
+        throw new ApiError('Session has been signed out', HTTP_STATUS.UNAUTHORIZED);
+      }
+      await session.touch(context.ip);
+    }
+
+    const token = generateToken(user._id, session?._id);
+    const { rawToken: newRawToken, refreshToken } = await RefreshToken.issue(user._id, {
+      ip: context.ip,
+      session: session?._id
+    });
+
+    stored.revokedAt = new Date();
+    stored.replacedBy = refreshToken._id;
+    await stored.save();
+
+    return { user, token, refreshToken: newRawToken };
+  }
+
+  /**
+   * Add an access token to the revocation list
+   * @param {Object} payload - Decoded JWT payload
+   */
+  async revokeAccessToken(payload) {
+    if (!payload?.jti) return;
+    await RevokedToken.revoke(payload.jti, payload.id, new Date(payload.exp * 1000));
+  }
+
+  /**
+   * Revoke a single refresh token belonging to a user
+   * @param {string} rawToken - Raw refresh token
+   * @param {string} userId - Owner user ID
+   */
+  async revokeRefreshToken(rawToken, userId) {
+    if (!rawToken) return;
+    await RefreshToken.updateOne(
+      { tokenHash: RefreshToken.hashToken(rawToken), user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  /**
+   * Revoke a single session of a user and disconnect its sockets
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise} Promise resolving to revoked session or null
+   */
+  async revokeSession(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+    if (!session) return null;
+
+    await session.revoke();
+    this.disconnectSessions([session._id]);
+    return session;
+  }
+
+  /**
+   * Revoke every session and refresh token of a user
+   * @param {string} userId - User ID
+   * @param {string} [exceptSessionId] - Session to keep signed in
+   * @returns {Promise} Promise resolving to number of revoked sessions
+   */
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    const sessionIds = await Session.revokeAllForUser(userId, exceptSessionId);
+
+    // Tokens issued before sessions existed are not tied to one
+    if (!exceptSessionId) {
+      await RefreshToken.revokeAllForUser(userId);
+    }
+
+    this.disconnectSessions(sessionIds);
+    return sessionIds.length;
+  }
+
+  /**
+   * Create the token behind the "this wasn't me" link of a sign-in alert
+   * @param {Object} session - Session document
+   * @returns {string} Signed report token
+   */
+  createSessionReportToken(session) {
+    return jwt.sign(
+      { id: session.user, sid: session._id, purpose: SESSION_REPORT_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.SESSION_REPORT_EXPIRE || '7d' }
+    );
+  }
+
+  /**
+   * Revoke the session referenced by a report token
+   * @param {string} reportToken - Token from the sign-in alert email
+   * @returns {Promise} Promise resolving to revoked session or null if already signed out
+   */
+  async reportSession(reportToken) {
+    let payload;
+    try {
+      payload = jwt.verify(reportToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ApiError('Invalid or expired link', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (payload.purpose !== SESSION_REPORT_PURPOSE) {
+      throw new ApiError('Invalid or expired link', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return await this.revokeSession(payload.sid, payload.id);
+  }
+
+  /**
+   * Disconnect live sockets of revoked sessions
+   * @param {Array} sessionIds - Session IDs
+   */
+  disconnectSessions(sessionIds) {
+    try {
+      const { disconnectSession } = require('../socket/socketHandlers');
+      sessionIds.forEach(sessionId => disconnectSession(sessionId.toString()));
+    } catch (error) {
+      console.error('Failed to disconnect session sockets:', error);
+    }
+  }
+}
+
+module.exports = new TokenService();
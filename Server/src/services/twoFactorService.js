@@ -0,0 +1,185 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, USER_ROLES } = require('../utils/constants');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  /**
+   * Create a short-lived challenge token for the second login step
+   * @param {Object} user - User document
+   * @returns {string} Signed challenge token
+   */
+  createChallengeToken(user) {
+    return jwt.sign(
+      { id: user._id, purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+    );
+  }
+
+  /**
+   * Verify a challenge token and return its user ID
+   * @param {string} challengeToken - Challenge token from login
+   * @returns {string} User ID
+   */
+  verifyChallengeToken(challengeToken) {
+    try {
+      const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      if (payload.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Wrong token purpose');
+      }
+      return payload.id;
+    } catch (error) {
+      throw new ApiError('Invalid or expired two-factor challenge', HTTP_STATUS.UNAUTHORIZED);
+    }
+  }
+
+  /**
+   * Start enrollment by generating a pending secret
+   * @param {string} userId - User ID
+   * @returns {Promise} Promise resolving to { secret, otpauthUrl }
+   */
+  async beginEnrollment(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      throw new ApiError('Two-factor authentication is already enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise} Promise resolving to plain recovery codes (shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      throw new ApiError('Two-factor authentication is already enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      throw new ApiError('Two-factor setup has not been started', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new ApiError('Invalid authentication code', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enrolledAt = new Date();
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP or recovery code for a user with 2FA enabled
+   * Recovery codes are consumed on use
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise} Promise resolving to { user, method, remainingRecoveryCodes }
+   */
+  async verifyCode(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      throw new ApiError('Two-factor authentication is not enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep ?? null
+    });
+
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return {
+        user,
+        method: 'totp',
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+      };
+    }
+
+    const codeHash = hashRecoveryCode(code);
+    const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+
+    if (index === -1) {
+      throw new ApiError('Invalid authentication code', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save();
+
+    return {
+      user,
+      method: 'recovery_code',
+      remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+    };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise} Promise resolving to new plain recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - User ID
+   */
+  async disable(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (user.role === USER_ROLES.ADMIN && process.env.REQUIRE_ADMIN_2FA === 'true') {
+      throw new ApiError('Two-factor authentication is required for admin accounts', HTTP_STATUS.FORBIDDEN);
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enrolledAt = null;
+    await user.save();
+  }
+}
+
+module.exports = new TwoFactorService();
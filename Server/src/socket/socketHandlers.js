@@ -1,6 +1,7 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const tokenService = require('../services/tokenService');
 
 let io;
 
@@ -33,13 +34,10 @@ const initializeSocket = (server) => {
       const token = socket.handshake.auth.token;
       
       if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
-        
-        if (user && user.isActive) {
-          socket.userId = user._id.toString();
-          socket.user = user;
-        }
+        const { user, session } = await tokenService.verifyAccessToken(token);
+        socket.userId = user._id.toString();
+        socket.user = user;
+        socket.sessionId = session?._id.toString();
       }
       
       // Allow anonymous connections for viewing
@@ -58,7 +56,15 @@ const initializeSocket = (server) => {
     // Join user-specific room for notifications
     if (socket.userId) {
       socket.join(`user_${socket.userId}`);
+
+      // Join session room so a revoked session can be disconnected
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
       
+      // Join rooms of followed questions for their live updates
+      joinFollowedQuestionRooms(socket);
+
       // Update user's last seen
       updateUserLastSeen(socket.userId);
       
@@ -265,6 +271,43 @@ const sendUnreadNotificationCount = async (userId) => {
   }
 };
 
+/**
+ * Join a socket to the rooms of every question its user follows
+ * @param {Socket} socket - Authenticated socket
+ */
+const joinFollowedQuestionRooms = async (socket) => {
+  try {
+    const questionIds = await Follow.getFollowedQuestionIds(socket.userId);
+    if (questionIds.length > 0) {
+      socket.join(questionIds.map(questionId => `question_${questionId}`));
+    }
+  } catch (error) {
+    console.error('Error joining followed question rooms:', error);
+  }
+};
+
+/**
+ * Join all connected sockets of a user to a question room
+ * @param {string} userId - User ID
+ * @param {string} questionId - Question ID
+ */
+const joinQuestionRoom = (userId, questionId) => {
+  if (io) {
+    io.in(`user_${userId}`).socketsJoin(`question_${questionId}`);
+  }
+};
+
+/**
+ * Remove all connected sockets of a user from a question room
+ * @param {string} userId - User ID
+ * @param {string} questionId - Question ID
+ */
+const leaveQuestionRoom = (userId, questionId) => {
+  if (io) {
+    io.in(`user_${userId}`).socketsLeave(`question_${questionId}`);
+  }
+};
+
 /**
  * Update user's last seen timestamp
  * @param {string} userId - User ID
@@ -311,6 +354,16 @@ const sendQuestionStatsUpdate = (questionId, stats) => {
   }
 };
 
+/**
+ * Disconnect all sockets authenticated with a session
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
 /**
  * Get connected users count
  * @returns {number} Number of connected users
@@ -369,6 +422,9 @@ module.exports = {
   sendUnreadNotificationCount,
   sendVoteUpdate,
   sendQuestionStatsUpdate,
+  disconnectSession,
+  joinQuestionRoom,
+  leaveQuestionRoom,
   getConnectedUsersCount,
   getUsersInQuestionRoom,
   isUserOnline
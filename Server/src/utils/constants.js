@@ -8,6 +8,7 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -15,16 +16,90 @@ const HTTP_STATUS = {
 const USER_ROLES = {
   GUEST: 'guest',
   USER: 'user',
+  MODERATOR: 'moderator',
   ADMIN: 'admin'
 };
 
+// Personal API token scopes
+const API_TOKEN_SCOPES = {
+  READ: 'read',
+  WRITE_QUESTIONS: 'write:questions',
+  WRITE_ANSWERS: 'write:answers',
+  VOTE: 'vote',
+  ADMIN: 'admin'
+};
+
+// Maximum active personal API tokens per user
+const MAX_API_TOKENS_PER_USER = 20;
+
 // Question status
 const QUESTION_STATUS = {
   ACTIVE: 'active',
   CLOSED: 'closed',
-  DELETED: 'deleted'
+  PROTECTED: 'protected', // Only users with some reputation can answer
+  LOCKED: 'locked' // No edits, votes or comments
+};
+
+// Statuses moderators apply on top of a question's active or closed status
+const MODERATION_STATUSES = [QUESTION_STATUS.PROTECTED, QUESTION_STATUS.LOCKED];
+
+// Longest a question can be protected or locked for, in days
+const MAX_MODERATION_STATUS_DAYS = 365;
+
+// Days deleted posts and comments stay visible to their author and
+// moderators, and can be undeleted
+const UNDELETE_WINDOW_DAYS = 30;
+
+// Reasons a question can be closed for
+const CLOSE_REASONS = {
+  DUPLICATE: 'duplicate',
+  OFF_TOPIC: 'off_topic',
+  NEEDS_DETAILS: 'needs_details',
+  OPINION_BASED: 'opinion_based'
+};
+
+// Text shown to users for each close reason
+const CLOSE_REASON_LABELS = {
+  [CLOSE_REASONS.DUPLICATE]: 'Duplicate',
+  [CLOSE_REASONS.OFF_TOPIC]: 'Off-topic',
+  [CLOSE_REASONS.NEEDS_DETAILS]: 'Needs details or clarity',
+  [CLOSE_REASONS.OPINION_BASED]: 'Opinion-based'
+};
+
+// Close (or reopen) votes that decide a question without a moderator
+// (overridable with CLOSE_VOTES_REQUIRED)
+const DEFAULT_CLOSE_VOTES_REQUIRED = 3;
+
+// Question bounties
+const BOUNTY = {
+  MIN_AMOUNT: 50,
+  MAX_AMOUNT: 500,
+  DURATION_DAYS: 7,
+  AUTO_AWARD_MIN_SCORE: 2 // Score an answer needs to receive a bounty nobody awarded
+};
+
+// Bounty status
+const BOUNTY_STATUS = {
+  ACTIVE: 'active',
+  AWARDED: 'awarded',
+  EXPIRED: 'expired' // Not awarded; the reputation went back to the sponsor
+};
+
+// Things a user can follow
+const FOLLOW_TARGETS = {
+  QUESTION: 'question',
+  TAG: 'tag'
+};
+
+// Draft kinds
+const DRAFT_KINDS = {
+  QUESTION: 'question', // New question being asked
+  ANSWER: 'answer' // Answer being written on a question
 };
 
+// Days an untouched draft is kept (overridable with DRAFT_EXPIRY_DAYS)
+const DEFAULT_DRAFT_EXPIRY_DAYS = 30;
+
 // Vote types
 const VOTE_TYPES = {
   UPVOTE: 'upvote',
@@ -38,7 +113,78 @@ const NOTIFICATION_TYPES = {
   COMMENT_ON_QUESTION: 'comment_on_question',
   MENTION: 'mention',
   ANSWER_ACCEPTED: 'answer_accepted',
-  QUESTION_CLOSED: 'question_closed'
+  ANSWER_ALSO_HELPFUL: 'answer_also_helpful',
+  ACCEPT_ANSWER_REMINDER: 'accept_answer_reminder',
+  QUESTION_CLOSED: 'question_closed',
+  SUGGESTED_EDIT: 'suggested_edit',
+  SUGGESTED_EDIT_REVIEWED: 'suggested_edit_reviewed',
+  BOUNTY_AWARDED: 'bounty_awarded',
+  BOUNTY_EXPIRED: 'bounty_expired',
+  FOLLOWED_QUESTION_ACTIVITY: 'followed_question_activity',
+  FOLLOWED_TAG_QUESTION: 'followed_tag_question'
+};
+
+// Suggested edit status
+const SUGGESTED_EDIT_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Maximum suggested edits a user can have waiting for review
+const MAX_PENDING_SUGGESTED_EDITS_PER_USER = 5;
+
+// Machine-readable error codes for clients
+const ERROR_CODES = {
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
+  TWO_FACTOR_ENROLLMENT_REQUIRED: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',
+  INSUFFICIENT_PRIVILEGE: 'INSUFFICIENT_PRIVILEGE',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  WEAK_PASSWORD: 'WEAK_PASSWORD',
+  BREACHED_PASSWORD: 'BREACHED_PASSWORD',
+  QUESTION_LOCKED: 'QUESTION_LOCKED',
+  ANSWER_EDIT_LOCKED: 'ANSWER_EDIT_LOCKED'
+};
+
+// What happens to posts and votes from users who haven't verified their email
+const UNVERIFIED_USER_POLICIES = {
+  ALLOW: 'allow', // No restrictions
+  BLOCK: 'block', // Reject posts and votes
+  QUARANTINE: 'quarantine' // Accept posts but hide them until verified; reject votes
+};
+
+// Progressive lockout after repeated failed logins on one account
+const ACCOUNT_LOCKOUT = {
+  MAX_ATTEMPTS: 5, // Failures before the first lock
+  BASE_LOCK_MINUTES: 1, // Doubled for every further failure
+  MAX_LOCK_MINUTES: 24 * 60,
+  ATTEMPT_WINDOW_HOURS: 24 // Older failures are forgotten
+};
+
+// Most answers an asker can mark as "also helpful" besides the accepted one
+const MAX_ALSO_HELPFUL_ANSWERS = 5;
+
+// Reminding askers to accept an answer, and flagging a community-accepted
+// answer when they don't (the day counts are overridable, see acceptanceService)
+const ACCEPTANCE = {
+  REMINDER_DAYS: 3, // Age an answer needs before the asker is reminded
+  REMINDER_WINDOW_DAYS: 7, // Answers that reached that age longer ago are ignored
+  COMMUNITY_ACCEPT_DAYS: 7, // Days after the reminder before the community accepts
+  ASKER_INACTIVE_DAYS: 7, // Days the asker must not have signed in
+  COMMUNITY_ACCEPT_MIN_SCORE: 5, // Score the top answer needs
+  COMMUNITY_ACCEPT_MIN_LEAD: 3, // Score lead it needs over the next answer
+  BATCH_SIZE: 100 // Questions handled per job run, for each of the two steps
+};
+
+// Answer orders
+const ANSWER_SORTS = {
+  VOTES: 'votes', // Accepted answer first, then by score
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  ACTIVE: 'active', // Most recently posted or edited first
+  TRENDING: 'trending' // Score weighted by recent votes
 };
 
 // Pagination defaults
@@ -62,6 +208,18 @@ const VALIDATION_LIMITS = {
     MIN: 1,
     MAX: 600
   },
+  EDIT_REASON: {
+    MAX: 200
+  },
+  CLOSE_COMMENT: {
+    MAX: 150
+  },
+  REVIEW_COMMENT: {
+    MAX: 300
+  },
+  DRAFT_BODY: {
+    MAX: 50000
+  },
   BIO: {
     MAX: 500
   },
@@ -78,9 +236,30 @@ const VALIDATION_LIMITS = {
 module.exports = {
   HTTP_STATUS,
   USER_ROLES,
+  API_TOKEN_SCOPES,
+  MAX_API_TOKENS_PER_USER,
   QUESTION_STATUS,
+  MODERATION_STATUSES,
+  MAX_MODERATION_STATUS_DAYS,
+  UNDELETE_WINDOW_DAYS,
+  CLOSE_REASONS,
+  CLOSE_REASON_LABELS,
+  DEFAULT_CLOSE_VOTES_REQUIRED,
+  BOUNTY,
+  BOUNTY_STATUS,
+  FOLLOW_TARGETS,
+  DRAFT_KINDS,
+  DEFAULT_DRAFT_EXPIRY_DAYS,
   VOTE_TYPES,
+  ANSWER_SORTS,
+  MAX_ALSO_HELPFUL_ANSWERS,
+  ACCEPTANCE,
   NOTIFICATION_TYPES,
+  SUGGESTED_EDIT_STATUS,
+  MAX_PENDING_SUGGESTED_EDITS_PER_USER,
+  ERROR_CODES,
+  UNVERIFIED_USER_POLICIES,
+  ACCOUNT_LOCKOUT,
   PAGINATION,
   VALIDATION_LIMITS
 };
@@ -0,0 +1,161 @@
+/**
+ * Split text into diff tokens
+ * Line mode keeps line breaks on each line; word mode keeps runs of
+ * whitespace as their own tokens so joining the tokens restores the text
+ * @param {string} text - Text to split
+ * @param {string} mode - "line" or "word"
+ * @returns {string[]} Tokens
+ */
+const tokenize = (text, mode) => {
+  if (!text) return [];
+  const pattern = mode === 'word' ? /\s+|[^\s]+/g : /[^\n]*\n|[^\n]+$/g;
+  return text.match(pattern) || [];
+};
+
+// Beyond this many edits a diff is shown as a full replacement
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Compute the shortest edit script between two token lists (Myers' algorithm)
+ * Common leading and trailing tokens are matched up front; very different
+ * inputs fall back to deleting the old tokens and inserting the new ones
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Array} Operations [{ type: 'equal'|'delete'|'insert', value }]
+ */
+const diffTokens = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const tail = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+
+  return [...head, ...diffMiddle(oldMiddle, newMiddle), ...tail];
+};
+
+/**
+ * Myers' O((N+M)D) diff of two token lists
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Array} Operations
+ */
+const diffMiddle = (a, b) => {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d-1..d+1 are read back for this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [
+      ...a.map(value => ({ type: 'delete', value })),
+      ...b.map(value => ({ type: 'insert', value }))
+    ];
+  }
+
+  // Walk the trace backwards to recover the operations
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[--x] });
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[--y] });
+      } else {
+        ops.push({ type: 'delete', value: a[--x] });
+      }
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two texts, merging neighbouring operations of the same type
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @param {string} [mode] - "line" (default) or "word"
+ * @returns {Array} Chunks [{ type: 'equal'|'delete'|'insert', value }]
+ */
+const diffText = (oldText, newText, mode = 'line') => {
+  const ops = diffTokens(tokenize(oldText, mode), tokenize(newText, mode));
+
+  return ops.reduce((chunks, op) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      chunks.push({ ...op });
+    }
+    return chunks;
+  }, []);
+};
+
+/**
+ * Compare two sets of IDs
+ * @param {Array} oldIds - Previous IDs
+ * @param {Array} newIds - New IDs
+ * @returns {Object} { added, removed, unchanged } as string IDs
+ */
+const diffSets = (oldIds, newIds) => {
+  const oldSet = new Set(oldIds.map(String));
+  const newSet = new Set(newIds.map(String));
+
+  return {
+    added: [...newSet].filter(id => !oldSet.has(id)),
+    removed: [...oldSet].filter(id => !newSet.has(id)),
+    unchanged: [...newSet].filter(id => oldSet.has(id))
+  };
+};
+
+module.exports = {
+  tokenize,
+  diffTokens,
+  diffText,
+  diffSets
+};
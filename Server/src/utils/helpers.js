@@ -1,14 +1,20 @@
 const jwt = require('jsonwebtoken');
-const { PAGINATION } = require('./constants');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PAGINATION, QUESTION_STATUS, MODERATION_STATUSES } = require('./constants');
 
 /**
- * Generate JWT token
+ * Generate short-lived JWT access token
  * @param {string} id - User ID
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+const generateToken = (id, sessionId = null) => {
+  const payload = sessionId ? { id, sid: sessionId.toString() } : { id };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
   });
 };
 
@@ -77,6 +83,62 @@ const createPaginationMeta = (total, page, limit) => {
   };
 };
 
+/**
+ * Create cursor pagination metadata
+ * @param {number} total - Total count
+ * @param {number} limit - Items per page
+ * @param {string|null} nextCursor - Cursor of the next page (null on the last page)
+ * @returns {object} Pagination metadata
+ */
+const createCursorPaginationMeta = (total, limit, nextCursor) => {
+  return {
+    pagination: {
+      total,
+      limit,
+      hasNext: !!nextCursor,
+      nextCursor
+    }
+  };
+};
+
+/**
+ * Encode the sort key values of the last item of a page as an opaque cursor
+ * @param {Array} values - Sort key values (strings, numbers, booleans, dates or ObjectIds)
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (values) => {
+  const tagged = values.map(value => {
+    if (value instanceof Date) return { d: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+    return value;
+  });
+
+  return Buffer.from(JSON.stringify(tagged)).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @returns {Array|null} Sort key values, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const tagged = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(tagged)) return null;
+
+    const values = tagged.map(value => {
+      if (value === null || typeof value !== 'object') return value;
+      if (typeof value.d === 'string') return new Date(value.d);
+      if (typeof value.o === 'string') return new mongoose.Types.ObjectId(value.o);
+      throw new Error('Unexpected cursor value');
+    });
+
+    return values.some(value => value instanceof Date && isNaN(value)) ? null : values;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Sanitize user object for response (remove sensitive data)
  * @param {object} user - User object
@@ -90,6 +152,15 @@ const sanitizeUser = (user) => {
   delete userObj.emailVerificationToken;
   delete userObj.passwordResetToken;
   delete userObj.passwordResetExpires;
+  delete userObj.failedLoginAttempts;
+  delete userObj.lastFailedLoginAt;
+  delete userObj.lockUntil;
+  if (userObj.twoFactor) {
+    delete userObj.twoFactor.secret;
+    delete userObj.twoFactor.pendingSecret;
+    delete userObj.twoFactor.recoveryCodes;
+    delete userObj.twoFactor.lastUsedStep;
+  }
   
   return userObj;
 };
@@ -120,12 +191,41 @@ const calculateReputationChange = (action) => {
     'answer_upvote': 10,
     'answer_downvote': -2,
     'answer_accepted': 15,
-    'accept_answer': 2
+    'answer_also_helpful': 5,
+    'accept_answer': 2,
+    'suggested_edit_approved': 2
   };
 
   return reputationMap[action] || 0;
 };
 
+/**
+ * Summarize who contributed to a post and how often
+ * @param {Array} contributions - [{ user, at }] where user is a user ID
+ * @returns {Array} [{ user, contributions, firstContributionAt, lastContributionAt }],
+ * earliest contributor first
+ */
+const summarizeContributors = (contributions) => {
+  const byUser = new Map();
+
+  contributions.forEach(({ user, at }) => {
+    const key = user.toString();
+    const entry = byUser.get(key) || {
+      user,
+      contributions: 0,
+      firstContributionAt: at,
+      lastContributionAt: at
+    };
+
+    entry.contributions++;
+    if (at < entry.firstContributionAt) entry.firstContributionAt = at;
+    if (at > entry.lastContributionAt) entry.lastContributionAt = at;
+    byUser.set(key, entry);
+  });
+
+  return [...byUser.values()].sort((a, b) => a.firstContributionAt - b.firstContributionAt);
+};
+
 /**
  * Format date for consistent output
  * @param {Date} date - Date to format
@@ -144,14 +244,32 @@ const escapeRegex = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * Build the status condition of a question query
+ * Protected and locked questions are still open questions, so "active"
+ * matches them too
+ * @param {string} status - Requested question status
+ * @returns {string|Object} Status condition
+ */
+const getQuestionStatusFilter = (status) => {
+  return status === QUESTION_STATUS.ACTIVE
+    ? { $in: [QUESTION_STATUS.ACTIVE, ...MODERATION_STATUSES] }
+    : status;
+};
+
 module.exports = {
   generateToken,
   createResponse,
   getPaginationParams,
   createPaginationMeta,
+  createCursorPaginationMeta,
+  encodeCursor,
+  decodeCursor,
   sanitizeUser,
   generateRandomString,
   calculateReputationChange,
+  summarizeContributors,
   formatDate,
-  escapeRegex
+  escapeRegex,
+  getQuestionStatusFilter
 };
@@ -0,0 +1,172 @@
+const { USER_ROLES, UNDELETE_WINDOW_DAYS } = require('./constants');
+
+// Privileges checked by the can() middleware
+const PRIVILEGES = {
+  VOTE_UP: 'vote_up',
+  ANSWER_PROTECTED: 'answer_protected',
+  COMMENT_EVERYWHERE: 'comment_everywhere',
+  EDIT_COMMUNITY_WIKI: 'edit_community_wiki',
+  VOTE_DOWN: 'vote_down',
+  EDIT_OTHERS_POSTS: 'edit_others_posts',
+  CLOSE_VOTE: 'close_vote',
+  MODERATE: 'moderate'
+};
+
+// Privilege policy
+// A privilege is granted by reaching its reputation threshold or by holding
+// one of its roles. Admins hold every privilege; moderators hold every
+// reputation-gated one regardless of their reputation.
+const PRIVILEGE_POLICY = {
+  [PRIVILEGES.VOTE_UP]: {
+    reputation: 0,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.ANSWER_PROTECTED]: {
+    reputation: 10,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.COMMENT_EVERYWHERE]: {
+    reputation: 50,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.EDIT_COMMUNITY_WIKI]: {
+    reputation: 100,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.VOTE_DOWN]: {
+    reputation: 125,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.EDIT_OTHERS_POSTS]: {
+    reputation: 2000,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.CLOSE_VOTE]: {
+    reputation: 3000,
+    roles: [USER_ROLES.MODERATOR]
+  },
+  [PRIVILEGES.MODERATE]: {
+    reputation: null, // Role only
+    roles: [USER_ROLES.MODERATOR]
+  }
+};
+
+/**
+ * Check if a user's reputation alone grants a privilege
+ * @param {Object} user - User document
+ * @param {string} privilege - Privilege name
+ * @returns {boolean} True if reputation is high enough
+ */
+const hasReputationFor = (user, privilege) => {
+  const policy = PRIVILEGE_POLICY[privilege];
+  if (!user || !policy || policy.reputation === null) return false;
+  return (user.reputation || 0) >= policy.reputation;
+};
+
+/**
+ * Check if a user holds a privilege
+ * @param {Object} user - User document
+ * @param {string} privilege - Privilege name
+ * @returns {boolean} True if allowed
+ */
+const hasPrivilege = (user, privilege) => {
+  const policy = PRIVILEGE_POLICY[privilege];
+  if (!user || !policy) return false;
+  if (user.role === USER_ROLES.ADMIN) return true;
+  return policy.roles.includes(user.role) || hasReputationFor(user, privilege);
+};
+
+/**
+ * List every privilege a user holds
+ * @param {Object} user - User document
+ * @returns {string[]} Privilege names
+ */
+const getPrivileges = (user) => {
+  return Object.values(PRIVILEGES).filter(privilege => hasPrivilege(user, privilege));
+};
+
+/**
+ * Get the reputation needed for a privilege
+ * @param {string} privilege - Privilege name
+ * @returns {number|null} Reputation threshold, or null if role only
+ */
+const getRequiredReputation = (privilege) => {
+  return PRIVILEGE_POLICY[privilege]?.reputation ?? null;
+};
+
+/**
+ * Get the privilege needed to edit someone else's post
+ * Community wiki posts are open to editing at a lower reputation
+ * @param {Object} post - Question or answer document
+ * @returns {string} Privilege name
+ */
+const getEditPrivilege = (post) => {
+  return post?.isCommunityWiki ? PRIVILEGES.EDIT_COMMUNITY_WIKI : PRIVILEGES.EDIT_OTHERS_POSTS;
+};
+
+/**
+ * Get the earliest deletion time still inside the undelete window
+ * @returns {Date} Window start
+ */
+const getUndeleteWindowStart = () => {
+  return new Date(Date.now() - UNDELETE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check if a user can see a post or comment, deleted or not
+ * Deleted content stays visible to its author and moderators during the
+ * undelete window
+ * @param {Object} post - Question, answer or comment document
+ * @param {Object} [user] - User document
+ * @returns {boolean} True if visible
+ */
+const canViewDeleted = (post, user) => {
+  if (!post.isDeleted) return true;
+  if (!user || !post.deletedAt || post.deletedAt < getUndeleteWindowStart()) return false;
+
+  const authorId = (post.author?._id || post.author)?.toString();
+  return hasPrivilege(user, PRIVILEGES.MODERATE) || authorId === user._id.toString();
+};
+
+/**
+ * Check if a user can undelete a deleted post or comment
+ * Authors can only undelete what they deleted themselves; moderators can
+ * undelete anything still inside the undelete window
+ * @param {Object} post - Deleted question, answer or comment document
+ * @param {Object} user - User document
+ * @returns {boolean} True if allowed
+ */
+const canUndelete = (post, user) => {
+  if (!canViewDeleted(post, user)) return false;
+  return hasPrivilege(user, PRIVILEGES.MODERATE) || post.deletedBy?.toString() === user._id.toString();
+};
+
+/**
+ * Build a query filter for the posts or comments a user can see
+ * Matches everything not deleted plus the deleted content canViewDeleted allows
+ * @param {Object} [user] - User document
+ * @returns {Object} MongoDB filter
+ */
+const getVisibilityFilter = (user) => {
+  if (!user) return { isDeleted: false };
+
+  const recentlyDeleted = { isDeleted: true, deletedAt: { $gte: getUndeleteWindowStart() } };
+  if (!hasPrivilege(user, PRIVILEGES.MODERATE)) {
+    recentlyDeleted.author = user._id;
+  }
+
+  return { $or: [{ isDeleted: false }, recentlyDeleted] };
+};
+
+module.exports = {
+  PRIVILEGES,
+  PRIVILEGE_POLICY,
+  hasPrivilege,
+  hasReputationFor,
+  getPrivileges,
+  getRequiredReputation,
+  getEditPrivilege,
+  canViewDeleted,
+  canUndelete,
+  getVisibilityFilter
+};
@@ -1,5 +1,13 @@
 const Joi = require('joi');
-const { VALIDATION_LIMITS, USER_ROLES } = require('./constants');
+const {
+  VALIDATION_LIMITS,
+  USER_ROLES,
+  API_TOKEN_SCOPES,
+  CLOSE_REASONS,
+  BOUNTY,
+  MAX_MODERATION_STATUS_DAYS,
+  ANSWER_SORTS
+} = require('./constants');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -21,12 +29,9 @@ const registerSchema = Joi.object({
       'string.email': 'Please provide a valid email address'
     }),
   
+  // Strength is checked against the password policy in the controller
   password: Joi.string()
-    .min(6)
-    .required()
-    .messages({
-      'string.min': 'Password must be at least 6 characters long'
-    }),
+    .required(),
   
   firstName: Joi.string()
     .min(1)
@@ -48,6 +53,88 @@ const loginSchema = Joi.object({
     .required()
 });
 
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+});
+
+// OAuth login code exchange validation schema
+const oauthExchangeSchema = Joi.object({
+  code: Joi.string()
+    .required()
+});
+
+// Personal API token validation schema
+const createApiTokenSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.values(API_TOKEN_SCOPES)))
+    .min(1)
+    .required(),
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .allow(null)
+});
+
+// Sign-in alert "this wasn't me" validation schema
+const reportSessionSchema = Joi.object({
+  token: Joi.string()
+    .required()
+});
+
+// Two-factor authentication validation schemas
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required(),
+  
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required()
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .optional(),
+  
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .required(),
+  
+  // Accounts created through OAuth have no password to confirm with
+  reauthToken: Joi.string()
+    .optional()
+});
+
+// Account deletion validation schema
+const deleteAccountSchema = Joi.object({
+  password: Joi.string()
+    .optional(),
+  
+  code: Joi.string()
+    .trim()
+    .max(20)
+    .optional(),
+  
+  // Accounts created through OAuth have no password to confirm with
+  reauthToken: Joi.string()
+    .optional()
+});
+
 const updateProfileSchema = Joi.object({
   firstName: Joi.string()
     .min(1)
@@ -96,6 +183,17 @@ const createQuestionSchema = Joi.object({
     .messages({
       'array.min': `Question must have at least ${VALIDATION_LIMITS.TAGS_PER_QUESTION.MIN} tag`,
       'array.max': `Question cannot have more than ${VALIDATION_LIMITS.TAGS_PER_QUESTION.MAX} tags`
+    }),
+  
+  communityWiki: Joi.boolean()
+    .optional(),
+  
+  // The author's own answer, posted along with the question
+  answer: Joi.string()
+    .min(30)
+    .optional()
+    .messages({
+      'string.min': 'Answer must be at least 30 characters long'
     })
 });
 
@@ -113,17 +211,200 @@ const updateQuestionSchema = Joi.object({
     .items(Joi.string().length(24))
     .min(VALIDATION_LIMITS.TAGS_PER_QUESTION.MIN)
     .max(VALIDATION_LIMITS.TAGS_PER_QUESTION.MAX)
+    .optional(),
+  
+  reason: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.EDIT_REASON.MAX)
+    .allow('')
+    .optional()
+});
+
+// Question revision validation schemas
+const revisionDiffSchema = Joi.object({
+  from: Joi.number()
+    .integer()
+    .min(1)
+    .required(),
+  
+  to: Joi.number()
+    .integer()
+    .min(1)
+    .required(),
+  
+  mode: Joi.string()
+    .valid('line', 'word')
+    .default('line')
+});
+
+const rollbackQuestionSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.EDIT_REASON.MAX)
+    .allow('')
+    .optional()
+});
+
+const possibleDuplicatesSchema = Joi.object({
+  title: Joi.string()
+    .trim()
+    .min(3)
+    .max(VALIDATION_LIMITS.QUESTION_TITLE.MAX)
+    .required(),
+  
+  description: Joi.string()
+    .max(2000)
+    .allow('')
+    .optional(),
+  
+  exclude: Joi.string()
+    .hex()
+    .length(24)
+    .optional(),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(5)
+});
+
+const closeVoteSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...Object.values(CLOSE_REASONS))
+    .required(),
+  
+  duplicateOf: Joi.string()
+    .hex()
+    .length(24)
+    .when('reason', {
+      is: CLOSE_REASONS.DUPLICATE,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'any.required': 'The duplicate question is required when closing as a duplicate',
+      'string.length': 'Duplicate question ID must be a valid ID',
+      'string.hex': 'Duplicate question ID must be a valid ID'
+    }),
+  
+  comment: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.CLOSE_COMMENT.MAX)
+    .allow('')
+    .optional()
+});
+
+const reopenVoteSchema = Joi.object({
+  comment: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.CLOSE_COMMENT.MAX)
+    .allow('')
+    .optional()
+});
+
+// Draft validation schemas
+// Drafts are work in progress, so only size limits apply
+const saveQuestionDraftSchema = Joi.object({
+  title: Joi.string()
+    .max(VALIDATION_LIMITS.QUESTION_TITLE.MAX)
+    .allow('')
+    .optional(),
+  
+  description: Joi.string()
+    .max(VALIDATION_LIMITS.DRAFT_BODY.MAX)
+    .allow('')
+    .optional(),
+  
+  tags: Joi.array()
+    .items(Joi.string().max(VALIDATION_LIMITS.TAG_NAME.MAX))
+    .max(VALIDATION_LIMITS.TAGS_PER_QUESTION.MAX)
+    .optional()
+});
+
+const saveAnswerDraftSchema = Joi.object({
+  content: Joi.string()
+    .max(VALIDATION_LIMITS.DRAFT_BODY.MAX)
+    .allow('')
+    .required()
+});
+
+// Bounty validation schemas
+const startBountySchema = Joi.object({
+  amount: Joi.number()
+    .integer()
+    .min(BOUNTY.MIN_AMOUNT)
+    .max(BOUNTY.MAX_AMOUNT)
+    .required()
+    .messages({
+      'number.min': `Bounty must be at least ${BOUNTY.MIN_AMOUNT} reputation`,
+      'number.max': `Bounty cannot exceed ${BOUNTY.MAX_AMOUNT} reputation`
+    }),
+  
+  message: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .optional()
+});
+
+const awardBountySchema = Joi.object({
+  answerId: Joi.string()
+    .hex()
+    .length(24)
+    .required()
+    .messages({
+      'string.length': 'Answer ID must be a valid ID',
+      'string.hex': 'Answer ID must be a valid ID'
+    })
+});
+
+// Protect / lock validation schema
+// Without a duration the status stays until a moderator removes it
+const moderationStatusSchema = Joi.object({
+  durationDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_MODERATION_STATUS_DAYS)
+    .optional()
+    .messages({
+      'number.max': `Duration cannot exceed ${MAX_MODERATION_STATUS_DAYS} days`
+    }),
+  
+  reason: Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
     .optional()
 });
 
 // Answer validation schemas
+const answerListSchema = Joi.object({
+  sort: Joi.string()
+    .valid(...Object.values(ANSWER_SORTS))
+    .optional(),
+  
+  cursor: Joi.string()
+    .max(500)
+    .optional(),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+});
+
 const createAnswerSchema = Joi.object({
   content: Joi.string()
     .min(30)
     .required()
     .messages({
       'string.min': 'Answer must be at least 30 characters long'
-    })
+    }),
+  
+  communityWiki: Joi.boolean()
+    .optional()
 });
 
 const updateAnswerSchema = Joi.object({
@@ -136,6 +417,44 @@ const updateAnswerSchema = Joi.object({
     .optional()
 });
 
+const rollbackAnswerSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.EDIT_REASON.MAX)
+    .allow('')
+    .optional()
+});
+
+// Suggested edit validation schemas
+const suggestQuestionEditSchema = updateQuestionSchema
+  .or('title', 'description', 'tags')
+  .messages({
+    'object.missing': 'Suggest a change to the title, description or tags'
+  });
+
+const suggestAnswerEditSchema = Joi.object({
+  content: Joi.string()
+    .min(30)
+    .required()
+    .messages({
+      'string.min': 'Answer must be at least 30 characters long'
+    }),
+  
+  reason: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.EDIT_REASON.MAX)
+    .allow('')
+    .optional()
+});
+
+const reviewSuggestedEditSchema = Joi.object({
+  comment: Joi.string()
+    .trim()
+    .max(VALIDATION_LIMITS.REVIEW_COMMENT.MAX)
+    .allow('')
+    .optional()
+});
+
 // Comment validation schemas
 const createCommentSchema = Joi.object({
   content: Joi.string()
@@ -244,23 +563,58 @@ const resetPasswordSchema = Joi.object({
     .required(),
   
   password: Joi.string()
-    .min(6)
     .required()
 });
 
+const changePasswordSchema = Joi.object({
+  // Not needed by accounts created through OAuth, which send reauthToken
+  currentPassword: Joi.string()
+    .optional(),
+  
+  newPassword: Joi.string()
+    .required(),
+  
+  reauthToken: Joi.string()
+    .optional()
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  reportSessionSchema,
+  oauthExchangeSchema,
+  createApiTokenSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  deleteAccountSchema,
   updateProfileSchema,
   createQuestionSchema,
   updateQuestionSchema,
+  revisionDiffSchema,
+  rollbackQuestionSchema,
+  possibleDuplicatesSchema,
+  closeVoteSchema,
+  reopenVoteSchema,
+  startBountySchema,
+  awardBountySchema,
+  moderationStatusSchema,
+  saveQuestionDraftSchema,
+  saveAnswerDraftSchema,
+  answerListSchema,
   createAnswerSchema,
   updateAnswerSchema,
+  rollbackAnswerSchema,
+  suggestQuestionEditSchema,
+  suggestAnswerEditSchema,
+  reviewSuggestedEditSchema,
   createCommentSchema,
   updateCommentSchema,
   createTagSchema,
   voteSchema,
   paginationSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  changePasswordSchema
 };